@@ -8,8 +8,11 @@ module.exports = {
 		expect: true,
 		expectRejection: true
 	},
+	// Parses dynamic import(), which espree does not support
+	parser: 'babel-eslint',
 	parserOptions: {
-		ecmaVersion: 6
+		ecmaVersion: 6,
+		sourceType: 'script'
 	},
 	rules: {
 		// Possible errors
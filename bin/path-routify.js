@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict'
+
+// Local
+const cli = require('../lib/cli')
+
+// Constants
+// process.argv begins with the node and script paths
+const kArgsOffset = 2
+
+process.exitCode = cli.run(process.argv.slice(kArgsOffset), process.stdout, process.stderr)
@@ -1,14 +1,17 @@
 'use strict'
 
 // Local
+const openapi = require('./lib/openapi')
 const PathRoutifier = require('./lib/PathRoutifier')
+const watch = require('./lib/watch')
 
 /**
  * Convenience method for generating express-compatible routes using PathRoutifier. Any ${options}
  * are also passed to the PathRoutifier for its configuration.
  *
  * @param {express} app
- * @param {String} routesPath root path to recursively transform into express compatible routes
+ * @param {String|Array.<RoutesRoot>} routesPath root path to recursively transform into express
+ *   compatible routes or an array of roots (e.g. [{path, prefix: '/v1'}], see PathRoutifier)
  * @param {Object} [options = {}] defaults to an empty object; passed directly to PathRoutifier
  * @param {String} [options.middlewaresPath] path to all application middlewares
  * @param {RegExp} [ignorePattern] ignore all files matching this regex
@@ -19,3 +22,38 @@ module.exports = function(app, routesPath, options = {}) {
 	const middlewares = pathRoutifier.loadMiddlewares(options.middlewaresPath, options.ignorePattern)
 	return pathRoutifier.routify(routesPath, middlewares)
 }
+
+/**
+ * Asynchronous variant of the above convenience method which supports handler and middleware
+ * factories that return promises.
+ *
+ * @param {express} app
+ * @param {String|Array.<RoutesRoot>} routesPath root path to recursively transform into express
+ *   compatible routes or an array of roots (e.g. [{path, prefix: '/v1'}], see PathRoutifier)
+ * @param {Object} [options = {}] defaults to an empty object; passed directly to PathRoutifier
+ * @param {String} [options.middlewaresPath] path to all application middlewares
+ * @param {RegExp} [ignorePattern] ignore all files matching this regex
+ * @returns {Promise.<express.Router>}
+ */
+module.exports.async = function(app, routesPath, options = {}) {
+	const pathRoutifier = new PathRoutifier(app, options)
+	return pathRoutifier.loadMiddlewaresAsync(options.middlewaresPath, options.ignorePattern)
+		.then((middlewares) => pathRoutifier.routifyAsync(routesPath, middlewares))
+}
+
+/**
+ * Generates an OpenAPI 3.0 document reflecting the routes beneath a routes directory (see
+ * lib/openapi.js for details).
+ */
+module.exports.generateOpenApi = openapi.generateOpenApi
+
+/**
+ * Development variant of the convenience method that rebuilds the routes whenever the routes or
+ * middlewares change (see lib/watch.js for details).
+ *
+ * @param {express} app
+ * @param {String} routesPath root path to recursively transform into express compatible routes
+ * @param {Object} [options = {}] defaults to an empty object; passed directly to PathRoutifier
+ * @returns {Function} express-compatible dispatcher with reload() and close() methods
+ */
+module.exports.watch = watch.watch
@@ -27,4 +27,42 @@ describe('path-routify', function() {
 				])
 			})
 	})
+
+	it('async generates express routes', function() {
+		const app = express()
+		const logger = bunyan.createLogger({name: 'indexTester', streams: []})
+
+		return pathRoutify.async(app, path.resolve(__dirname, 'test-data', 'routing-simple'), {logger})
+			.then((router) => {
+				app.use(router)
+				return request(app).get('/activities')
+			})
+			.then((res) => {
+				expect(res.body).eql([
+					'get /activities'
+				])
+			})
+	})
+
+	it('generates express routes from multiple roots', function() {
+		const app = express()
+		const rootsPath = path.resolve(__dirname, 'test-data', 'routing-roots')
+		const router = pathRoutify(app, [
+			{path: path.resolve(rootsPath, 'v1'), prefix: '/v1'},
+			{path: path.resolve(rootsPath, 'v2'), prefix: '/v2', fallback: '/v1'}
+		])
+
+		app.use(router)
+
+		return request(app).get('/v2/status')
+			.then((res) => {
+				expect(res.body.version).equal('v2')
+			})
+	})
+
+	it('generateOpenApi generates OpenAPI document', function() {
+		const result = pathRoutify.generateOpenApi(path.resolve(__dirname, 'test-data', 'routing-simple'))
+
+		expect(Object.keys(result.paths)).eql(['/activities'])
+	})
 })
@@ -25,6 +25,37 @@
  * sign was chosen as an alternative).
  *
  *
+ * # Typed parameters
+ * A parameter directory may constrain the values it matches to a built-in type, either within
+ * parentheses or after a period, or to a custom regular expression within parentheses:
+ *
+ * /owners/$id(int)/get.js		--> GET /owners/:id(\d+)
+ * /owners/$id.uuid/get.js		--> GET /owners/:id([0-9a-fA-F]{8}-...)
+ * /posts/$slug([a-z-]+)/get.js	--> GET /posts/:slug([a-z-]+)
+ *
+ * The built-in types are int and uuid. Custom patterns may not contain groups, wildcards or
+ * slashes. Requests that do not match the constraint fall through to subsequent routes (e.g.
+ * /owners/new/get.js is reachable despite $id(int) being registered first). Set
+ * options.coerceParams to true to convert int parameters to numbers before any route middleware
+ * is called. The parameters of each route are included in the output of inspect (and the
+ * pattern in each endpoint).
+ *
+ *
+ * # Optional and catch-all parameters
+ * Suffix a parameter directory with an underscore to make the parameter optional, and prefix it
+ * with a double dollar sign to capture the rest of the URL (slashes included) into a named
+ * parameter:
+ *
+ * /reports/$year_/get.js			--> GET /reports/:year? (matches /reports and /reports/2020)
+ * /reports/$year(int)_/get.js		--> GET /reports/:year(\d+)?
+ * /files/$$path/get.js				--> GET /files/:path(.+) (req.params.path is a/b.txt for /files/a/b.txt)
+ * /files/$$path_/get.js			--> GET /files/:path(.+)? (also matches /files)
+ *
+ * Unlike wildcard handlers (.star.js), which are anonymous and intended to fall through to more
+ * specific routes, a catch-all parameter is an ordinary route whose remaining URL is available by
+ * name. Catch-all parameters may not be typed.
+ *
+ *
  * # Wildcard routes (.star.js)
  * In some cases, it is desirable to specify route handlers for all routes that include a wildcard
  * character (*). To specify these, simply suffix the relevant handler filename with '.star.js'.
@@ -58,6 +89,36 @@
  * numeric prefix will also become part of the REST URL endpoint.
  *
  *
+ * # Route conflicts
+ * Lexical ordering makes it possible for a route to never receive a request. For example,
+ * /owners/$id/get.js is registered before (and thus shadows) /owners/new/get.js, and sibling
+ * parameter directories such as $id and $name produce equivalent routes. After generating all
+ * routes, any such duplicate, unreachable or shadowed routes are logged at the WARN level. Set
+ * options.strictConflicts to true to throw an error instead. Wildcard routes are not considered.
+ *
+ *
+ * # Ignored files
+ * Files that are not valid handlers are skipped rather than routed; for example, Get.js (not
+ * lowercase), gets.js (not a method), get.ts (not one of options.extensions) or ^auth/1.get.js
+ * (numeric prefix within a middleware directory). Each skipped file is logged at the WARN level
+ * along with its reason code (see inspect) and listed by ignoredFiles after routify, dryRoutify or
+ * inspect. Set options.strictIgnoredFiles to true to throw an error listing them instead. Files
+ * with an extension that is not a route module extension are only considered if their name would
+ * otherwise be a handler (e.g. README.md and get.schema.json are not reported).
+ *
+ *
+ * # Method not allowed and OPTIONS responses (options.allowedMethods)
+ * By default, a request whose method has no handler (e.g. PUT /owners/1 when owners/$id only
+ * contains get.js and delete.js) falls through to the next matching route or the 404 handler of
+ * the application. Set options.allowedMethods to true to register, after all other routes, a
+ * callback for each endpoint that instead responds 405 with an Allow header listing the methods
+ * of its routes (e.g. DELETE, GET, HEAD, OPTIONS). The same callback answers OPTIONS requests
+ * with a 204 and the Allow header unless options.js exists or 'options' is not one of
+ * options.methods. The methods of any endpoint that matches all the requests of another (e.g.
+ * owners/$id for owners/new) are allowed for both. Endpoints with an all.js handler and wildcard
+ * routes are not affected.
+ *
+ *
  * # Middleware that applies to all child routes
  * If a directory name begins with the caret symbol (^), it is considered a middleware directory and
  * any relevant middlewares will be executed before processing child routes. Middleware may be
@@ -70,6 +131,98 @@
  * ^auth/users/post.js
  *
  *
+ * # Route groups ((name) directories)
+ * A directory name enclosed in parentheses is a route group. Groups organize files (e.g. by team)
+ * without contributing to the URL; unlike middleware directories, they are otherwise ordinary
+ * route directories. Thus, a group may contain handlers (including numeric and wildcard files)
+ * along with caret prefixed middleware files that only apply to the routes within the group.
+ *
+ * (admin)/^all.js			--> This middleware is only executed before the routes in (admin)
+ * (admin)/post.js			--> POST /
+ * (admin)/settings/get.js	--> GET /settings
+ * (public)/about/get.js	--> GET /about
+ *
+ * As with any directory, the routes of a group are registered after those of its parent
+ * directory and in the lexical order of the group name amongst its siblings. Identical routes
+ * in different groups are reported as conflicts (see above).
+ *
+ *
+ * # Naming conventions (options.conventions)
+ * The tokens used throughout this documentation are the defaults. Where $ and ^ are awkward (e.g.
+ * shell escaping or Windows tooling), options.conventions replaces any of them while keeping the
+ * same semantics (see lib/conventions.js):
+ *
+ * new PathRoutifier(app, {
+ * 	conventions: {middlewarePrefix: '_', paramPrefix: '[', paramSuffix: ']', starSuffix: '+all'}
+ * })
+ *
+ * _auth/all.js			--> instead of ^auth/all.js
+ * owners/_get.js			--> instead of owners/^get.js
+ * owners/[id(int)]/get.js	--> instead of owners/$id(int)/get.js
+ * files/[[path]]/get.js	--> instead of files/$$path/get.js
+ * get+all.js				--> instead of get.star.js
+ *
+ * The numeric ordering separator (orderSeparator, e.g. - for 1-get.js) and the pattern of method
+ * names (methodPattern, e.g. [a-zA-Z]+) may also be changed. The conventions are validated on
+ * construction; tokens that would make names ambiguous (e.g. a middleware prefix that begins with
+ * the param prefix or a wildcard suffix that begins with a method character) throw an error.
+ *
+ *
+ * # HTTP methods, aliases and method maps
+ * By default, only get, post, put, patch, delete and options files (along with all) are routed.
+ * options.methods enables any other method supported by node and express (e.g. ['get', 'head',
+ * 'search', 'propfind', 'report']) or every one of them with '*'. Unknown methods throw an error on
+ * construction. Files named after an HTTP method that is not enabled (e.g. head.js with the
+ * default methods) are ignored with a warning. Methods that contain other characters (e.g.
+ * m-search) also require a matching methodPattern (see above).
+ *
+ * Because express and koa answer HEAD requests with the GET route of an endpoint, each head.js
+ * handler is registered before the get.js handler in the same directory.
+ *
+ * options.aliases maps additional file names onto an enabled method (or all):
+ *
+ * new PathRoutifier(app, {aliases: {index: 'get'}})
+ *
+ * /users/index.js		--> GET /users
+ *
+ * Alternatively, a single route.js file may define the handlers of several methods for its
+ * endpoint by exporting a map of handler factories (or handler declarations) keyed by method:
+ *
+ * module.exports = {
+ * 	get: function(app, middlewares, routeMiddlewares) { ... },
+ * 	post: function(app, middlewares, routeMiddlewares) { ... }
+ * }
+ *
+ * Each key produces a route (in export order) exactly as if it were defined in its own file;
+ * keys of methods that are not enabled are ignored with a warning and any other key throws an
+ * error. Method map files are loaded while traversing the routes directory (even in lazy mode)
+ * and may not be prefixed with the caret symbol or have a wildcard suffix. The request schema of
+ * each method is the schema property of its factory; a co-located route.schema.json applies to
+ * every method.
+ *
+ *
+ * # Multiple roots, prefixes and fallbacks
+ * Instead of a single routes directory, routify (and routifyAsync, dryRoutify and inspect) accept
+ * an array of roots, each with a path, an optional static URL prefix, and an optional fallback:
+ *
+ * pathRoutifier.routify([
+ * 		{path: 'routes/v1', prefix: '/v1'},
+ * 		{path: 'routes/v2', prefix: '/v2', fallback: '/v1'},
+ * 		{path: pluginRoutesPath}
+ * ], middlewares)
+ *
+ * All roots are registered with the same router in array order; thus, conflicts are detected
+ * across roots. The routes of a root are generated as if its directory was located at its prefix
+ * (e.g. routes/v1/users/get.js --> GET /v1/users). Route middlewares do not cross roots.
+ *
+ * A fallback names the prefix of a preceding root. After generating its own routes, each route of
+ * the fallback root (including its own fallback routes) is also registered beneath the prefix of
+ * this root unless this root has a route with the same method (or 'all') and endpoint relative to
+ * its prefix. For example, GET /v2/status is handled by routes/v1/status/get.js if
+ * routes/v2/status/get.js does not exist. Fallback routes share the callbacks (and route
+ * middlewares) of the original route.
+ *
+ *
  * # Default middleware
  * It may be useful to specify a default middleware for all routes that match a given criteria. For
  * example, ensure that the body of all POST requests is valid JSON. This may be done simply and at
@@ -88,6 +241,54 @@
  * an express route.
  *
  *
+ * # Error handlers (^error.js)
+ * A ^error.js file (error.js within a middleware directory) at any level returns error handling
+ * callbacks - function(error, req, res, next) - that are appended after the handlers of every
+ * route beneath it. When several apply, the nearest is called first; it may pass the error to the
+ * next one by calling next(error). For example:
+ *
+ * ^error.js				--> responds with a JSON error for every route
+ * ^auth/error.js			--> formats authentication errors for the routes beneath ^auth
+ * ^auth/users/get.js
+ * owners/^error.js		--> called before ^error.js for the routes beneath owners
+ * owners/get.js
+ *
+ * Because they are route callbacks, error handlers receive errors from the route middlewares and
+ * handlers of their routes (but not from global express middleware). Error handler files may not
+ * have a numeric prefix or wildcard suffix. The paths of the error handlers that apply to each
+ * route are included in the output of dryRoutify and inspect (errorHandlerPaths) and logged.
+ * Outside of middleware directories, an error.js without the caret prefix is not an error handler
+ * and is ignored (see inspect).
+ *
+ *
+ * # Param handlers (^param.js)
+ * A ^param.js file within a parameter directory returns a single callback that is called with
+ * the value of that parameter - function(req, res, next, value) as with express router.param -
+ * for every route beneath the directory. It is called after the route middlewares of the
+ * directories above (e.g. an enclosing ^auth directory) and before those of its own directory and
+ * beneath (e.g. $id/^get.js). For example, it may load the resource the parameter identifies (or
+ * respond 404) in one place:
+ *
+ * // /owners/$id/^param.js
+ * module.exports = function(app, middlewares, routeMiddlewares, context) {
+ * 	return function(req, res, next, id) {
+ * 		context.db.owners.find(id).then((owner) => {
+ * 			if (!owner)
+ * 				return res.sendStatus(404)
+ * 			req.owner = owner
+ * 			next()
+ * 		}, next)
+ * 	}
+ * }
+ *
+ * Unlike router.param, param handlers only apply to the routes beneath their directory; thus,
+ * same-named parameters in other directories (e.g. /dogs/$id) are unaffected. Nested param
+ * handlers are called outermost first and each is called at most once per request for a given
+ * value (e.g. if a wildcard route beneath the directory passes the request on). With the koa
+ * adapter the callback is function(value, ctx, next) as with @koa/router and with fastify
+ * function(request, reply, next, value).
+ *
+ *
  * # Handler definitions
  * Each middleware or handler file is expected to return a function which when called returns the
  * function for handling this request. This looks like the following:
@@ -120,6 +321,26 @@
  * 		]
  * }
  *
+ * Alternatively, a handler module may export a declarative object. Each name in middlewares is a
+ * dotted path into the middlewares tree (see below) and is run, in order, before the handler.
+ * Each name in skipUpstream removes the upstream route middleware(s) with that dotted path or
+ * function name; it is an error if none is found.
+ *
+ * // /users/post.js
+ * module.exports = {
+ * 		middlewares: ['auth.hasAccount'],
+ * 		skipUpstream: ['jsonBody'],
+ * 		handler(req, res, next) {
+ * 			...
+ * 		},
+ * 		meta: {
+ * 			summary: 'Create a user'
+ * 		}
+ * }
+ *
+ * Caret prefixed middleware files (e.g. ^post.js) may also export a declarative object; however,
+ * skipUpstream is not supported by these.
+ *
  *
  * # Middleware handler example
  * Middleware modules should export a function that accepts app and middlewares as arguments, and
@@ -141,7 +362,8 @@
  * }
  *
  * Notes
- * - The middlewares argument is not available in global middlewares
+ * - Global middleware factories receive the middlewares loaded thus far (see Context and
+ *   middleware dependencies below)
  * - The middlewares object passed into each route handler (second argument) is an object tree that
  *   reflects a given directory structure. Internal nodes are directory names. Leaf keys are the
  *   "camelCased" file names inside each directory. Leaf values are the actual middleware callbacks.
@@ -179,6 +401,135 @@
  *   with revealing what middlewares are associated with each route in log messages.
  *
  *
+ * # Context and middleware dependencies
+ * Every factory - handlers, route middlewares and global middlewares - receives the same
+ * arguments: function(app, middlewares, routeMiddlewares, context). The routeMiddlewares argument
+ * is null for middlewares and context is options.context (configured on instantiation), which is
+ * the place for shared services:
+ *
+ * new PathRoutifier(app, {context: {db, config, logger}})
+ *
+ * // /owners/get.js
+ * module.exports = function(app, middlewares, routeMiddlewares, context) {
+ * 	return function(req, res, next) {
+ * 		context.db.owners.findAll().then((owners) => res.json(owners), next)
+ * 	}
+ * }
+ *
+ * Global middlewares are loaded in traversal order by default. A middleware that uses another
+ * from its factory declares the dotted names of its dependencies via a dependencies property of
+ * the factory (or module). Its factory is then called after those of its dependencies, which are
+ * thus available in the middlewares argument:
+ *
+ * // /middlewares/audit.js
+ * module.exports = function(app, middlewares, routeMiddlewares, context) {
+ * 	const session = middlewares.auth.session
+ * 	...
+ * }
+ * module.exports.dependencies = ['auth.session']
+ *
+ * Dotted names consist of the same camelCased keys as the middlewares object (e.g.
+ * authUsers.userExists for /middlewares/auth-users/user-exists.js). Unknown and circular
+ * dependencies are errors, as is reading a middleware that has not been initialized yet (e.g. one
+ * that is not declared as a dependency). The structure and key order of the resulting middlewares
+ * object is unaffected.
+ *
+ *
+ * # Request validation (.schema.json)
+ * Each route may declare JSON schemas for its params, query, body and headers either in a
+ * co-located file named after the handler file (e.g. /owners/$id/post.schema.json for
+ * /owners/$id/post.js) or via the schema property of the handler module (e.g.
+ * module.exports.schema = {...}). Defining both is an error.
+ *
+ * // /owners/$id/post.schema.json
+ * {
+ *   "params": {"type": "object", "properties": {"id": {"type": "integer"}}},
+ *   "body": {"type": "object", "required": ["name"], "properties": {"name": {"type": "string"}}}
+ * }
+ *
+ * If present, a validation middleware is inserted after the route middlewares and immediately
+ * before the route handlers. Requests that do not conform are responded to with a 400 status and
+ * a JSON body listing every error (e.g. {errors: [{location, path, keyword, message}]}). Values of
+ * params, query and headers are coerced to the declared types. Schemas are compiled when the
+ * routes are generated and thus any invalid schema is reported immediately (except for schemas
+ * exported by handler modules that are loaded lazily; see options.lazy). The same schemas are
+ * used by generateOpenApi to document each operation.
+ *
+ *
+ * # Asynchronous factories (routifyAsync / loadMiddlewaresAsync)
+ * Factories that must perform asynchronous work before returning their callbacks (e.g. opening a
+ * database pool) may return a promise that resolves to a function or array of functions. These
+ * are only supported by the asynchronous variants, routifyAsync and loadMiddlewaresAsync, which
+ * register exactly the same routes in exactly the same order as their synchronous counterparts;
+ * routify and loadMiddlewares throw an error if a factory returns a promise (whose rejection is
+ * then ignored). If a factory throws or rejects, the returned promise rejects with that error and its sourcePath
+ * property is set to the path of the offending file.
+ *
+ * // /users/get.js
+ * module.exports = function(app, middlewares, routeMiddlewares) {
+ * 		return db.connect()
+ * 		.then((pool) => function(req, res, next) {
+ * 			...
+ * 		})
+ * }
+ *
+ *
+ * # Lazy loading (options.lazy)
+ * By default, every handler module is loaded and its factory called when the routes are
+ * generated. With options.lazy, each route is instead registered with a lightweight callback that
+ * loads the handler module and calls its factory when the route is first requested. Concurrent
+ * requests wait for the same load, and the resulting callbacks are reused by all subsequent
+ * requests. If loading fails, the error is passed to the error handlers of the route and the next
+ * request tries again. Route files are still found and their names validated immediately; route
+ * middlewares (^ directories and files) and co-located schema files (.schema.json) are also
+ * loaded immediately. Schemas exported by a handler module are necessarily compiled when the
+ * module is loaded, i.e. on the first request of its route. Handler factories may
+ * return a promise in lazy mode; this applies to both routify and routifyAsync.
+ *
+ * Frequently requested routes may be loaded immediately by listing them in options.prewarm:
+ *
+ * new PathRoutifier(app, {lazy: true, prewarm: ['GET /owners', 'GET /owners/$id']})
+ *
+ * Each entry is an HTTP method and endpoint (: may be used instead of $). Malformed entries throw
+ * an error and entries that do not match a generated route are logged as warnings. Dry runs load
+ * every handler module as usual.
+ *
+ *
+ * # ES modules, TypeScript and custom loaders
+ * By default, only .js files are considered route and middleware modules. Other extensions may
+ * be configured via options.extensions (e.g. ['.js', '.mjs', '.cjs', '.ts']). Modules may either
+ * export the factory function directly or as their default export (export default function ...).
+ *
+ * Native ES modules (.mjs) are loaded with import() and hence require the asynchronous API
+ * (routifyAsync / loadMiddlewaresAsync). All other modules are loaded with require; thus, .ts
+ * files work as is once a transpiler has been registered (e.g. ts-node/register). Alternatively,
+ * options.loader may be used to load every module; it receives the absolute module path and
+ * returns the module exports (or, for the asynchronous API only, a promise thereof).
+ *
+ *
+ * # Manifests (createManifest / routifyFromManifest)
+ * Traversing a large routes directory at every cold start (e.g. serverless deployments) may be
+ * avoided by serializing the routes at build time (createManifest or the path-routify manifest
+ * command) into a JSON manifest. routifyFromManifest registers exactly the same routes (in the
+ * same order and with the same route middlewares) by only loading the modules listed in the
+ * manifest. checkManifest lists any differences between a manifest and the current routes
+ * directory (e.g. to fail a build with a stale manifest).
+ *
+ *
+ * # Koa, fastify and custom adapters
+ * Routes are registered with an express.Router by default. Set options.adapter to 'koa' or
+ * 'fastify' to apply the same directory conventions to those frameworks; the app argument is then
+ * the koa or fastify instance and route callbacks use the signature of the relevant framework:
+ *
+ * - koa: routify returns a @koa/router instance (install separately) whose callbacks are
+ *   function(ctx, next); mount it with app.use(router.routes())
+ * - fastify: routify returns a plugin whose callbacks are function(request, reply, next); mount it
+ *   with fastify.register(plugin)
+ *
+ * In either case, wildcard routes and calling next() behave as they do in express. Other
+ * frameworks may be supported by passing a custom adapter object (see lib/adapters/index.js).
+ *
+ *
  * # Dry run (dryRoutify)
  * Returns a list of generated routes that would be created if routify was called. No routes or
  * middlewares are called although these files are required. Also note, that construction does not
@@ -194,31 +545,39 @@
  * based on the middleware's filename.
  *
  * # Other
- * The Express router transforms HEAD requests into GET requests if HEAD is not defined.
+ * The Express router transforms HEAD requests into GET requests if HEAD is not defined (see HTTP
+ * methods above).
  */
 'use strict'
 
 // Core
 const assert = require('assert')
+const fs = require('fs')
 const path = require('path')
 
-// Vendor
-const express = require('express')
-
 // Local
+const adapters = require('./adapters')
+const allowedMethods = require('./allowed-methods')
+const conventions = require('./conventions')
+const declarativeHandler = require('./declarative-handler')
 const dirTools = require('./dir-tools')
+const httpMethods = require('./http-methods')
+const moduleLoader = require('./module-loader')
+const paramTypes = require('./param-types')
+const routeManifest = require('./manifest')
+const requestValidation = require('./request-validation')
+const routeConflicts = require('./route-conflicts')
+const routeRoots = require('./route-roots')
 
 // Constants
-const kMiddlewareDirectoryPrefix = '^'
-const kParamDirectoryPrefix = '$'
-const kDefaultMethods = [
-		'get',
-		'post',
-		'put',
-		'patch',
-		'delete',
-		'options',
-	]
+const kErrorHandlerMethod = 'error'
+const kParamHandlerMethod = 'param'
+const kMethodMapMethod = 'route'
+const kReservedMethods = ['all', kErrorHandlerMethod, kParamHandlerMethod, kMethodMapMethod]
+const kGroupDirectoryRegex = /^\(.+\)$/
+const kDefaultIgnorePattern = /\.tests?.[cm]?[tj]s$/i
+const kPrewarmRouteRegex = /^([a-z]+) (\/\S*)$/i
+const kDefaultExtensions = ['.js']
 
 module.exports =
 class PathRoutifier {
@@ -228,25 +587,95 @@ class PathRoutifier {
 	 * @param {Object} [options = {}]
 	 * @param {Logger} [options.logger] a bunyan logger
 	 * @param {Boolean} [options.autoNameAnonymousMiddleware]
-	 * @param {Array.<String>} [options.methods = ['get', 'post', 'put', 'patch', 'delete', 'options']] - set of supported methods to query
+	 * @param {Array.<String>|String} [options.methods = ['get', 'post', 'put', 'patch', 'delete', 'options']] - set of supported methods to query or '*' for every HTTP method
+	 * @param {Array.<String>} [options.extensions = ['.js']] file extensions of route and middleware modules
+	 * @param {Function} [options.loader] function(modulePath) that returns the module exports (or a promise thereof)
+	 * @param {Boolean} [options.strictConflicts = false] throw (rather than warn) if any routes conflict
+	 * @param {Boolean} [options.strictIgnoredFiles = false] throw (rather than warn) if any files are
+	 *   ignored (see above)
+	 * @param {String|Adapter} [options.adapter = 'express'] framework to register routes with: express,
+	 *   koa, fastify or a custom adapter (see lib/adapters)
+	 * @param {Boolean} [options.coerceParams = false] convert the values of numeric typed parameters
+	 *   (e.g. $id(int)) to numbers
+	 * @param {Boolean} [options.allowedMethods = false] respond 405 to requests whose method has no
+	 *   route and answer OPTIONS requests (see above)
+	 * @param {Object} [options.context = {}] services passed to every handler and middleware factory
+	 *   (e.g. {db, config, logger}; see above)
+	 * @param {Conventions} [options.conventions] tokens of the directory and file naming conventions
+	 *   (see lib/conventions.js)
+	 * @param {Boolean} [options.lazy = false] load each route handler module when its route is first
+	 *   requested (see above)
+	 * @param {Array.<String>} [options.prewarm = []] routes (e.g. 'GET /owners/$id') whose handler
+	 *   modules are loaded immediately in lazy mode
+	 * @param {Object} [options.aliases = {}] method (or all) of each alias file name (e.g. {index:
+	 *   'get'}; see above)
 	 */
 	constructor(app, options = {}) {
 		this.app_ = app
 		this.logger_ = options.logger
 		this.autoNameAnonymousMiddleware_ = !!options.autoNameAnonymousMiddleware
-		this.supportedMethodsSet_ = new Set(options.methods || kDefaultMethods)
-		this.routesPath_ = null
+		this.supportedMethodsSet_ = new Set(httpMethods.expand(options.methods))
+		this.extensions_ = options.extensions || kDefaultExtensions
+		this.loader_ = options.loader || null
+		this.conventions_ = conventions.resolve(options.conventions)
+		this.aliases_ = this.validAliases_(options.aliases || {})
+		const parseFileName = conventions.fileNameParser(this.conventions_, this.extensions_)
+		this.parseFileName_ = (fileName) => aliasFileName(parseFileName(fileName), this.aliases_)
+		this.strictConflicts_ = !!options.strictConflicts
+		this.strictIgnoredFiles_ = !!options.strictIgnoredFiles
+		this.adapter_ = adapters.resolve(options.adapter)
+		this.coerceParams_ = !!options.coerceParams
+		if (this.coerceParams_ && typeof this.adapter_.paramCoercer !== 'function')
+			throw new Error(`The ${this.adapter_.name} adapter does not support coerceParams`)
+		this.allowedMethods_ = !!options.allowedMethods
+		this.context_ = options.context || {}
+		this.lazy_ = !!options.lazy
+		if (this.lazy_ && typeof this.adapter_.lazyHandler !== 'function')
+			throw new Error(`The ${this.adapter_.name} adapter does not support lazy`)
+		this.prewarm_ = new Set((options.prewarm || []).map((route) => {
+			const match = kPrewarmRouteRegex.exec(route)
+			if (!match)
+				throw new Error(`Invalid prewarm route, ${route}; expected '<METHOD> <endpoint>' (e.g. 'GET /owners/$id')`)
+			return routeKey(match[1], match[2])
+		}))
+		if (this.allowedMethods_ && typeof this.adapter_.allowedMethodsResponder !== 'function')
+			throw new Error(`The ${this.adapter_.name} adapter does not support allowedMethods`)
+		this.roots_ = null
 		this.router_ = null
 		this.middlewares_ = null
 
 		// stack of middleware handlers by http method:
 		// ${http method}: [${handlers}, ...]
 		this.middlewaresStack_ = null
+		// stack of the files that produced the above middleware handlers by http method:
+		// ${http method}: [${path}, ...]
+		this.middlewarePathsStack_ = null
+		// stack of {routeChunk, param} for each directory in the current route
 		this.routeStack_ = null
 
+		// Description of each generated route in registration order and any conflicts amongst them
+		this.generatedRoutes_ = null
+		this.conflicts_ = null
+		// Route table of the most recent routify (see routes) and the dotted name of each global
+		// middleware callback while routifying
+		this.routeTable_ = null
+		this.globalMiddlewareNames_ = null
+		// Files skipped by the most recent routify (see ignoredFiles)
+		this.ignoredFiles_ = null
+		// Prewarm routes (see options.prewarm) not yet matched by a generated route
+		this.unmatchedPrewarm_ = null
+
+		// Routes of the root currently being generated and of each completed root by prefix (for
+		// fallbacks): {prefixEndpoint, routes: [{generatedRoute, chain}, ...]}
+		this.currentRoot_ = null
+		this.completedRoots_ = null
+
 		// Dry run state
 		this.dryRun_ = false
 		this.dryPathRoutes_ = null
+
+		// Inspection state
+		this.inspecting_ = false
 	}
 
 	/**
@@ -258,95 +687,132 @@ class PathRoutifier {
 	 *   ${middlwaresPath}. The terminal key names are the "camelCased" file names found in each
 	 *   directory whose values are the middleware callback functions (see above).
 	 */
-	loadMiddlewares(middlewaresPath, ignorePattern = /\.tests?.[tj]s$/i) {
-		const middlewares = {}
-		if (!middlewaresPath)
-			return middlewares
-
-		dirTools.traverseDirectory(middlewaresPath, (listing) => {
-			const relativePathToMiddleware = path.relative(middlewaresPath, listing.directory)
-			const directoriesToMiddleware = relativePathToMiddleware ?
-					relativePathToMiddleware.split(path.sep) : null
-			let ref = middlewares
-
-			if (directoriesToMiddleware) {
-				directoriesToMiddleware.forEach((subDirectory) => {
-					const camelName = this.camelCase_(subDirectory)
-					if (ref[camelName])
-						ref = ref[camelName]
-					else
-						ref = ref[camelName] = {}
-				})
-			}
+	loadMiddlewares(middlewaresPath, ignorePattern = kDefaultIgnorePattern) {
+		// 1. Load each middleware module in traversal order
+		const middlewareInfos = []
+		const middlewares = this.traverseMiddlewares_(middlewaresPath, ignorePattern, (middlewareInfo) => {
+			this.prepareMiddleware_(middlewareInfo, this.loadModule_(middlewareInfo.path))
+			middlewareInfos.push(middlewareInfo)
+		})
 
-			// If a function already exists for this reference, then do not define any more
-			const sameNameForFileAndSubDirectory = typeof ref === 'function'
-			if (sameNameForFileAndSubDirectory) {
-				const conflictingName = directoriesToMiddleware[directoriesToMiddleware.length - 1]
-				this.log_({path: relativePathToMiddleware, conflictingName}, `Ignoring middleware directory, ${conflictingName}, because a file with this name also exists`)
-				return
+		// 2. Call each factory after those of the middlewares it depends on
+		middlewareLoadOrder(middlewareInfos).forEach((middlewareInfo) => {
+			let middleware = null
+			try {
+				middleware = middlewareInfo.factory(this.app_, middlewares, null, this.context_)
+				throwIfPromise(middleware, `The factory of ${middlewareInfo.path} returned a promise; use loadMiddlewaresAsync instead`)
 			}
-
-			// Load all the middlewares using the dot notation
-			listing.files
-			.filter((fileName) => !ignorePattern || !ignorePattern.test(fileName))
-			.filter((fileName) => fileName.endsWith('.js'))
-			.forEach((middlewareFileName) => {
-				const middlewarePath = path.resolve(listing.directory, middlewareFileName)
-				const middlewareName = this.camelCase_(path.basename(middlewareFileName, '.js'))
-				let middlewarePathId = middlewareName
-
-				if (directoriesToMiddleware)
-					middlewarePathId = directoriesToMiddleware.join('.') + '.' + middlewareName
-
-				// eslint-disable-next-line global-require
-				const middlewareFn = require(middlewarePath)
-				if (typeof middlewareFn !== 'function')
-					throw new Error(`the middleware file, ${middlewarePath}, does not export a function`)
-				ref[middlewareName] = middlewareFn(this.app_)
-
-				this.log_(`Initialized middleware: ${middlewarePathId}`)
-
-				if (this.autoNameAnonymousMiddleware_ && !ref[middlewareName].name)
-					Reflect.defineProperty(ref[middlewareName], 'name', {value: middlewareName})
-			})
+			catch (error) {
+				throw this.loadError_(error, middlewareInfo.path, `Error while loading middleware: ${middlewareInfo.id}`)
+			}
+			this.setMiddleware_(middlewareInfo, middleware)
 		})
 
 		return middlewares
 	}
 
+	/**
+	 * Asynchronous counterpart to loadMiddlewares. The directories are read without blocking the
+	 * event loop and middleware factories may return a promise that resolves to the middleware
+	 * callback(s). All factories are called in parallel (except that each waits for the
+	 * middlewares it depends on); however, the resolved object is identical in structure (and key
+	 * order) to that of loadMiddlewares.
+	 *
+	 * @param {String} middlewaresPath
+	 * @param {RegExp} [ignorePattern = /\.tests?.js$/i] ignore all files matching this regex
+	 * @returns {Promise.<Object>} resolves to the same object produced by loadMiddlewares; rejects
+	 *   with the first factory error (its sourcePath property names the offending file)
+	 */
+	loadMiddlewaresAsync(middlewaresPath, ignorePattern = kDefaultIgnorePattern) {
+		// 1. Load all middleware modules in parallel
+		const middlewareInfos = []
+		const loading = []
+		return this.traverseMiddlewaresAsync_(middlewaresPath, ignorePattern, (middlewareInfo) => {
+			// Reserve the key (in traversal order) until the module has been loaded
+			reserveMiddleware(middlewareInfo)
+			middlewareInfos.push(middlewareInfo)
+			const moduleLoading = this.loadModuleAsync_(middlewareInfo.path)
+				.then((moduleExports) => this.prepareMiddleware_(middlewareInfo, moduleExports))
+				.catch((error) => {
+					throw this.loadError_(error, middlewareInfo.path, `Error while loading middleware: ${middlewareInfo.id}`)
+				})
+			// Rejections are handled once the traversal completes; prevent them from being reported
+			// as unhandled in the meantime
+			moduleLoading.catch(() => {})
+			loading.push(moduleLoading)
+		})
+		// 2. Call each factory once the middlewares it depends on have been initialized
+		.then((middlewares) => Promise.all(loading)
+			.then(() => {
+				const initialized = new Map()
+				middlewareLoadOrder(middlewareInfos).forEach((middlewareInfo) => {
+					const dependencies = middlewareInfo.dependencies.map((id) => initialized.get(id))
+					initialized.set(middlewareInfo.id, Promise.all(dependencies)
+						.then(() => this.initMiddlewareAsync_(middlewareInfo, middlewares)))
+				})
+				return Promise.all(initialized.values())
+			})
+			.then(() => middlewares))
+	}
+
 	/**
 	 * Recursively loads all middlewares located under ${optMiddlewaresPath} (if defined) and then
 	 * generates express routes as described in the introduction that reflect the directory
 	 * structure beneath ${routesPath}.
 	 *
-	 * @param {String} routesPath
+	 * @param {String|Array.<RoutesRoot>} routesPath routes directory or array of roots (see
+	 *   introduction)
 	 * @param {Object?} optMiddlewares defaults to an empty object
-	 * @returns {express.Router}
+	 * @returns {express.Router} or the equivalent for the configured adapter (e.g. a @koa/router
+	 *   instance or fastify plugin)
 	 */
 	routify(routesPath, optMiddlewares = {}) {
-		this.routesPath_ = routesPath
-		this.middlewares_ = optMiddlewares
-		this.router_ = express.Router({ // eslint-disable-line new-cap
-			caseSensitive: true,
-			strict: true,
-			mergeParams: true
+		// 1. Create the routes of each root in order
+		this.beginRoutify_(routesPath, optMiddlewares)
+		this.roots_.forEach((root) => {
+			this.beginRoot_(root)
+			this.routifyRecurse_(root.path)
+			this.endRoot_(root)
 		})
 
-		// 1. Create the routes
-		this.middlewaresStack_ = {}
-		this.routeStack_ = []
-		this.routifyRecurse_(this.routesPath_)
-
-		// 2. Remove internal references (for memory optimization)
-		this.middlewares_ = null
-		this.middlewaresStack_ = null
-		this.routeStack_ = null
+		// 2. Remove internal references and return the router with all the associated routes
+		return this.endRoutify_()
+	}
 
-		// 3. Return the router with all the associated routes
-		return this.router_
+	/**
+	 * Asynchronous counterpart to routify. Any handler or middleware factory may return a promise
+	 * that resolves to its callback(s). Factories within the same directory are called in parallel
+	 * while directories are processed one at a time; thus, routes are registered in exactly the
+	 * same order as routify.
+	 *
+	 * @param {String|Array.<RoutesRoot>} routesPath
+	 * @param {Object?} optMiddlewares defaults to an empty object
+	 * @returns {Promise.<express.Router>} rejects with the first factory error (its sourcePath
+	 *   property names the offending file)
+	 */
+	routifyAsync(routesPath, optMiddlewares = {}) {
+		return new Promise((resolve) => {
+			this.beginRoutify_(routesPath, optMiddlewares)
+			resolve(this.roots_.reduce((promise, root) => promise
+				.then(() => {
+					this.beginRoot_(root)
+					return this.routifyRecurseAsync_(root.path)
+				})
+				.then(() => this.endRoot_(root)), Promise.resolve()))
+		})
+		.then(() => this.endRoutify_())
 	}
 
+	/**
+	 * Traverses ${routesPath} as routify would without calling any factory or registering any
+	 * route.
+	 *
+	 * @param {String|Array.<RoutesRoot>} routesPath
+	 * @param {Object?} optMiddlewares
+	 * @returns {Array.<Object>} {directory, routes} for each directory in traversal order where
+	 *   routes are the route infos of its handler files; the files that would be ignored are not
+	 *   returned but are available from ignoredFiles afterwards
+	 */
 	dryRoutify(routesPath, optMiddlewares) {
 		this.dryRun_ = true
 		this.dryPathRoutes_ = []
@@ -357,6 +823,197 @@ class PathRoutifier {
 		return result
 	}
 
+	/**
+	 * Performs a dry run and reports, for each route that would be created, the files responsible
+	 * for its middlewares along with every file that would be ignored (and why). Unlike dryRoutify
+	 * and routify, wildcard files prefixed with the caret symbol are reported rather than thrown.
+	 *
+	 * Each route has the following properties:
+	 * - httpMethod
+	 * - endpoint: express route path (e.g. /users/:id)
+	 * - path: path of the handler file
+	 * - isStar
+	 * - hasNumericPrefix
+	 * - middlewarePaths: paths of the route middleware files (^param.js files, ^ directories and
+	 *   ^verb.js files) that apply to this route in the order they are called
+	 * - params: name, type and pattern of each route parameter (see lib/param-types.js)
+	 * - errorHandlerPaths: paths of the error handler files (^error.js) that apply to this route
+	 *   in the order they are called (nearest first)
+	 *
+	 * Each conflict is described in lib/route-conflicts.js.
+	 *
+	 * Each ignored file has a path, reason code, and message (see also ignoredFiles). Reason codes:
+	 * - invalid-name: the filename does not follow the handler naming conventions
+	 * - invalid-case: the filename would follow the handler naming conventions if it were lowercase
+	 *   (e.g. Get.js)
+	 * - unsupported-extension: the filename would be a handler if it had one of the configured
+	 *   extensions (e.g. get.ts; see options.extensions)
+	 * - unsupported-method: the method is not supported (see options.methods)
+	 * - middleware-directory: numeric, wildcard, and caret prefixed files are not permitted in
+	 *   middleware directories
+	 * - star-middleware: wildcard handlers may not be prefixed with the caret symbol
+	 * - error-handler: error handlers must be prefixed with the caret symbol (^error.js) outside of
+	 *   middleware directories and may not have a numeric prefix or wildcard suffix
+	 * - param-handler: param handlers must be named ^param.js and located within a parameter
+	 *   directory
+	 * - disabled-method: the method is an HTTP method that is not enabled (see options.methods).
+	 *   Method map keys of such methods are listed with the path of the method map
+	 * - method-map: method map files (route.js) may not be prefixed with the caret symbol, have a
+	 *   wildcard suffix or be located in middleware directories
+	 *
+	 * @param {String} routesPath
+	 * @param {Object?} optMiddlewares
+	 * @returns {Object} {routes: Array.<Object>, conflicts: Array.<Conflict>, ignoredFiles: Array.<Object>}
+	 */
+	inspect(routesPath, optMiddlewares) {
+		this.inspecting_ = true
+		try {
+			this.dryRoutify(routesPath, optMiddlewares)
+		}
+		finally {
+			this.inspecting_ = false
+		}
+		return {
+			routes: this.generatedRoutes_,
+			conflicts: this.conflicts_,
+			ignoredFiles: this.ignoredFiles()
+		}
+	}
+
+	/**
+	 * Describes each route registered by the most recent routify (or routifyAsync,
+	 * routifyFromManifest, dryRoutify or inspect) call in registration order. Unlike inspect,
+	 * the middlewares of each route reflect its actual callbacks; thus, any changes a handler
+	 * factory made to its upstream route middlewares are included.
+	 *
+	 * Each route has the following properties:
+	 * - httpMethod
+	 * - endpoint: express route path (e.g. /users/:id)
+	 * - path: path of the handler file
+	 * - numericPrefix: the number that orders the handler file (e.g. 1 for 1.get.js) or null
+	 * - isStar
+	 * - middlewares: the origin of each callback of the route in the order they are called:
+	 *   - {type: 'global', name}: global middleware with its dotted name (e.g. auth.validToken)
+	 *   - {type: 'middleware-directory', path}: file within a ^ directory (e.g. ^auth/all.js)
+	 *   - {type: 'middleware-file', path}: caret prefixed file (e.g. ^post.js)
+	 *   - {type: 'params'}: coerces the typed parameters (see options.coerceParams)
+	 *   - {type: 'validator', path}: validates requests against the schema of the handler
+	 *   - {type: 'handler', path}: returned by the handler factory
+	 *   - {type: 'error-handler', path}: error handler file (e.g. ^error.js)
+	 *   - {type: 'param-handler', path}: param handler file (e.g. $id/^param.js)
+	 *
+	 * During a dry run, no factories are called; hence, the middlewares are derived from the
+	 * files that apply to each route. The same applies to lazy routes (see options.lazy).
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	routes() {
+		return this.routeTable_ ? this.routeTable_.slice() : []
+	}
+
+	/**
+	 * Lists the files skipped by the most recent routify (or routifyAsync, dryRoutify or inspect)
+	 * call in traversal order. Each has a path, reason code and message (see inspect).
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	ignoredFiles() {
+		return this.ignoredFiles_ ? this.ignoredFiles_.slice() : []
+	}
+
+	/**
+	 * Performs a dry run of ${routesPath} and serializes the routes that would be generated into a
+	 * manifest (see lib/manifest.js). As with dryRoutify, no factories are called.
+	 *
+	 * @param {String} routesPath
+	 * @returns {Manifest}
+	 */
+	createManifest(routesPath) {
+		if (typeof routesPath !== 'string')
+			throw new Error('Manifests only support a single routes directory')
+
+		const resolvedRoutesPath = path.resolve(routesPath)
+		this.dryRoutify(resolvedRoutesPath)
+		return routeManifest.create(this.generatedRoutes_, resolvedRoutesPath)
+	}
+
+	/**
+	 * Detects whether ${manifest} is stale; that is, whether routify would no longer produce the
+	 * same routes from the files beneath ${routesPath}.
+	 *
+	 * @param {Manifest} manifest
+	 * @param {String} [routesPath = manifest.routesPath]
+	 * @returns {Array.<String>} description of each difference; empty if ${manifest} is up to date
+	 */
+	checkManifest(manifest, routesPath = manifest.routesPath) {
+		routeManifest.assertValid(manifest)
+		return routeManifest.differences(manifest, this.createManifest(routesPath))
+	}
+
+	/**
+	 * Generates the same routes as routify from a ${manifest} previously produced by
+	 * createManifest. The filesystem is not traversed; only the handler and route middleware
+	 * modules listed in the manifest are loaded. Each route middleware factory is called once (in
+	 * manifest order) before any handler factory.
+	 *
+	 * @param {Manifest} manifest
+	 * @param {Object?} optMiddlewares defaults to an empty object
+	 * @param {String} [routesPath = manifest.routesPath] location of the routes directory (e.g. if
+	 *   it has moved since the manifest was created)
+	 * @returns {express.Router} or the equivalent for the configured adapter
+	 */
+	routifyFromManifest(manifest, optMiddlewares = {}, routesPath = manifest.routesPath) {
+		routeManifest.assertValid(manifest)
+		this.beginRoutify_(routesPath, optMiddlewares)
+
+		// 1. Initialize each route middleware file
+		const routeMiddlewareFiles = manifest.middlewares.map((relativePath) => {
+			const middlewarePath = path.resolve(routesPath, relativePath)
+			const fileName = this.parseFileName_(path.basename(middlewarePath))
+			if (!fileName)
+				throw new Error(`Invalid manifest: ${relativePath} is not a route middleware file`)
+
+			return {
+				path: middlewarePath,
+				handlers: this.routeMiddlewareHandlers_({httpMethod: fileName.httpMethod, path: middlewarePath})
+			}
+		})
+
+		// 2. Generate the routes in order
+		manifest.routes.forEach((manifestRoute) => {
+			const routeMiddlewares = []
+			const errorHandlers = []
+			const errorHandlerIndices = manifestRoute.errorHandlers || []
+			const indexedFiles = (indices) => indices.map((index) => routeMiddlewareFiles[index])
+			manifestRoute.middlewares.forEach((index) => routeMiddlewares.push(...routeMiddlewareFiles[index].handlers))
+			errorHandlerIndices.forEach((index) => errorHandlers.push(...routeMiddlewareFiles[index].handlers))
+
+			this.generateRoute_({
+				routeInfo: {
+					endpoint: dollarParams(manifestRoute.endpoint),
+					fileName: path.basename(manifestRoute.path),
+					path: path.resolve(routesPath, manifestRoute.path),
+					hasMiddlewarePrefix: false,
+					hasNumericPrefix: manifestRoute.hasNumericPrefix,
+					httpMethod: manifestRoute.httpMethod,
+					isStar: manifestRoute.isStar
+				},
+				endpoint: manifestRoute.endpoint,
+				routeMiddlewares,
+				routeMiddlewareSources: callbackSources(indexedFiles(manifestRoute.middlewares)),
+				middlewarePaths: manifestRoute.middlewares.map((index) => routeMiddlewareFiles[index].path),
+				errorHandlers,
+				errorHandlerSources: callbackSources(indexedFiles(errorHandlerIndices)),
+				errorHandlerPaths: errorHandlerIndices.map((index) => routeMiddlewareFiles[index].path),
+				params: manifestRoute.params,
+				schema: manifestRoute.schema,
+				validators: []
+			})
+		})
+
+		return this.endRoutify_()
+	}
+
 	// ----------------------------------------------------
 	// Private methods
 	/**
@@ -381,76 +1038,451 @@ class PathRoutifier {
 	}
 
 	/**
-	 * @param {String} directory
-	 * @param {Boolean?} isMiddlewareDirectory indicates if ${directory} only contains middlware;
-	 *   defaults to false
+	 * Traverses ${middlewaresPath} and calls ${initFn} for each middleware file found with an
+	 * object describing where its initialized callback(s) belong in the middlewares object.
+	 *
+	 * @param {String} middlewaresPath
+	 * @param {RegExp} ignorePattern
+	 * @param {Function} initFn
+	 * @returns {Object} the middlewares object
 	 */
-	routifyRecurse_(directory, isMiddlewareDirectory = false) {
-		const listing = dirTools.directoryListing(directory)
-		const sortedRouteInfos = this.sortRouteInfos_(listing)
+	traverseMiddlewares_(middlewaresPath, ignorePattern, initFn) {
+		const middlewares = {}
+		if (middlewaresPath)
+			dirTools.traverseDirectory(middlewaresPath, (listing) => this.addMiddlewareListing_(middlewaresPath, listing, middlewares, ignorePattern, initFn))
+		return middlewares
+	}
 
-		if (isMiddlewareDirectory)
-			this.handleRouteMiddlewareDirectory_(listing, sortedRouteInfos)
-		else
-			this.handleRouteDirectory_(listing, sortedRouteInfos)
+	/**
+	 * Asynchronous counterpart to traverseMiddlewares_ that does not block the event loop while
+	 * reading the directories.
+	 *
+	 * @param {String} middlewaresPath
+	 * @param {RegExp} ignorePattern
+	 * @param {Function} initFn
+	 * @returns {Promise.<Object>} resolves to the middlewares object
+	 */
+	traverseMiddlewaresAsync_(middlewaresPath, ignorePattern, initFn) {
+		const middlewares = {}
+		if (!middlewaresPath)
+			return Promise.resolve(middlewares)
+
+		return dirTools.traverseDirectoryAsync(middlewaresPath, (listing) => this.addMiddlewareListing_(middlewaresPath, listing, middlewares, ignorePattern, initFn))
+			.then(() => middlewares)
 	}
 
 	/**
-	 * Decodes route information from the filename and adjusts any wildcard handlers' order.
+	 * Adds the nested object of ${listing}'s directory to ${middlewares} and calls ${initFn} for
+	 * each of its middleware files (see traverseMiddlewares_).
 	 *
+	 * @param {String} middlewaresPath
 	 * @param {Listing} listing
-	 * @returns {Object}
+	 * @param {Object} middlewares
+	 * @param {RegExp} ignorePattern
+	 * @param {Function} initFn
 	 */
-	sortRouteInfos_(listing) {
-		// 1. Build array of valid HTTP method file handlers and decode into its relevant parts
-		const routeInfos = []
-		listing.files.forEach((fileName) => {
-			// 1a. Split into parts
-			const matches = /^(\^)?(?:(\d+)\.)?([a-z]+)(\.star)?\.js$/.exec(fileName)
-			if (!matches)
-				return
+	addMiddlewareListing_(middlewaresPath, listing, middlewares, ignorePattern, initFn) {
+		const relativePathToMiddleware = path.relative(middlewaresPath, listing.directory)
+		const directoriesToMiddleware = relativePathToMiddleware ?
+				relativePathToMiddleware.split(path.sep) : null
+		// Keys of each directory in the middlewares object (and thus in the dotted ids)
+		const camelDirectories = directoriesToMiddleware ? directoriesToMiddleware.map((subDirectory) => this.camelCase_(subDirectory)) : null
+		let ref = middlewares
+
+		if (camelDirectories) {
+			camelDirectories.forEach((camelName) => {
+				if (!ref || isReservedMiddleware(ref, camelName))
+					ref = null
+				else if (ref[camelName])
+					ref = ref[camelName]
+				else
+					ref = ref[camelName] = {}
+			})
+		}
 
-			// 1b. Only consider supported methods
-			const httpMethod = matches[3]
-			if (httpMethod !== 'all' && !this.supportedMethodsSet_.has(httpMethod))
-				return
+		// If a middleware file already exists for this reference, then do not define any more
+		const sameNameForFileAndSubDirectory = !ref
+		if (sameNameForFileAndSubDirectory) {
+			const conflictingName = directoriesToMiddleware[directoriesToMiddleware.length - 1]
+			this.log_({path: relativePathToMiddleware, conflictingName}, `Ignoring middleware directory, ${conflictingName}, because a file with this name also exists`)
+			return
+		}
 
-			const routeInfo = {
-				endpoint: null, // updated during route generation (generateRoutes_)
-				fileName,
-				path: path.resolve(listing.directory, fileName),
-				hasMiddlewarePrefix: !!matches[1],
-				hasNumericPrefix: !!matches[2],
-				httpMethod,
-				isStar: !!matches[4]
-			}
+		// Load all the middlewares using the dot notation
+		listing.files
+		.filter((fileName) => !ignorePattern || !ignorePattern.test(fileName))
+		.filter((fileName) => this.extensions_.includes(path.extname(fileName)))
+		.forEach((middlewareFileName) => {
+			const middlewarePath = path.resolve(listing.directory, middlewareFileName)
+			const extension = path.extname(middlewareFileName)
+			const middlewareName = this.camelCase_(path.basename(middlewareFileName, extension))
+			let middlewarePathId = middlewareName
+
+			if (camelDirectories)
+				middlewarePathId = camelDirectories.join('.') + '.' + middlewareName
+
+			initFn({
+				ref,
+				name: middlewareName,
+				id: middlewarePathId,
+				path: middlewarePath
+			})
+		})
+	}
 
-			// 1c. Validation
-			if (routeInfo.hasMiddlewarePrefix && routeInfo.isStar) {
-				throw new Error(`Invalid route file: ${routeInfo.path}; wildcard handlers are ` +
-					'not permitted to be tagged as middleware (prefixed with the caret ^ symbol).')
-			}
+	/**
+	 * @param {any} moduleExports
+	 * @param {String} middlewarePath
+	 * @returns {Function} the middleware factory function exported by ${moduleExports}
+	 */
+	middlewareFactory_(moduleExports, middlewarePath) {
+		const middlewareFn = moduleLoader.exportedFunction(moduleExports)
+		if (!middlewareFn)
+			throw new Error(`the middleware file, ${middlewarePath}, does not export a function`)
+		return middlewareFn
+	}
 
-			// 1d. Add to list
-			routeInfos.push(routeInfo)
-		})
+	/**
+	 * Synchronously loads the module at ${modulePath} using the configured loader (or require).
+	 *
+	 * @param {String} modulePath
+	 * @returns {any} the module exports
+	 */
+	loadModule_(modulePath) {
+		if (!this.loader_)
+			return moduleLoader.load(modulePath)
 
-		// 2. Order wildcard routes
-		this.prioritizeStarRouteInfos_(routeInfos)
+		const moduleExports = this.loader_(modulePath)
+		throwIfPromise(moduleExports, `The loader returned a promise for ${modulePath}; use the asynchronous API (e.g. routifyAsync) instead`)
+		return moduleExports
+	}
 
-		return routeInfos
+	/**
+	 * Asynchronously loads the module at ${modulePath} using the configured loader (or require /
+	 * import() as appropriate).
+	 *
+	 * @param {String} modulePath
+	 * @returns {Promise.<any>} resolves to the module exports
+	 */
+	loadModuleAsync_(modulePath) {
+		if (!this.loader_)
+			return moduleLoader.loadAsync(modulePath)
+
+		return new Promise((resolve) => resolve(this.loader_(modulePath)))
 	}
 
 	/**
-	 * A lexically sorted set of files will place wildcard callbacks (e.g. get.star.js) after their
-	 * cognate callback (e.g. get.js). Because it is desired to load wildcard middleware first, this
-	 * function swaps the positions of any such occurrences in ${routeInfos}.
+	 * Extracts the factory and dependencies of the middleware described by ${middlewareInfo} from
+	 * its ${moduleExports} and reserves its key (in traversal order) until it has been initialized.
+	 * Dependencies are the dotted names (e.g. auth.session) of other middlewares exported as the
+	 * dependencies property of the factory or module.
 	 *
-	 * @param {Array.<Object>} routeInfos lexically sorted set of route info objects
+	 * @param {Object} middlewareInfo
+	 * @param {any} moduleExports
 	 */
-	prioritizeStarRouteInfos_(routeInfos) {
-		for (let i = 0, z = routeInfos.length; i < z - 1; i++) {
-			const current = routeInfos[i]
+	prepareMiddleware_(middlewareInfo, moduleExports) {
+		const middlewareFn = this.middlewareFactory_(moduleExports, middlewareInfo.path)
+		const dependencies = middlewareFn.dependencies || moduleExports.dependencies || []
+		if (!Array.isArray(dependencies) || !dependencies.every((id) => typeof id === 'string'))
+			throw new Error(`the middleware file, ${middlewareInfo.path}, must export its dependencies as an array of middleware names`)
+
+		middlewareInfo.factory = middlewareFn
+		middlewareInfo.dependencies = dependencies
+		reserveMiddleware(middlewareInfo)
+	}
+
+	/**
+	 * @param {Object} middlewareInfo prepared middleware (see prepareMiddleware_)
+	 * @param {Object} middlewares the middlewares object being loaded
+	 * @returns {Promise} resolves once the middleware has been initialized
+	 */
+	initMiddlewareAsync_(middlewareInfo, middlewares) {
+		return new Promise((resolve) => resolve(middlewareInfo.factory(this.app_, middlewares, null, this.context_)))
+			.then((middleware) => this.setMiddleware_(middlewareInfo, middleware))
+			.catch((error) => {
+				throw this.loadError_(error, middlewareInfo.path, `Error while loading middleware: ${middlewareInfo.id}`)
+			})
+	}
+
+	/**
+	 * Stores the initialized ${middleware} in its slot of the middlewares object.
+	 *
+	 * @param {Object} middlewareInfo
+	 * @param {Function|Array.<Function>} middleware
+	 */
+	setMiddleware_(middlewareInfo, middleware) {
+		const ref = middlewareInfo.ref
+		const middlewareName = middlewareInfo.name
+		Reflect.defineProperty(ref, middlewareName, {value: middleware, writable: true, enumerable: true, configurable: true})
+
+		this.log_(`Initialized middleware: ${middlewareInfo.id}`)
+
+		if (this.autoNameAnonymousMiddleware_ && !ref[middlewareName].name)
+			Reflect.defineProperty(ref[middlewareName], 'name', {value: middlewareName})
+	}
+
+	/**
+	 * Logs ${message} along with the reason for ${error} and tags ${error} with the path of the
+	 * module that failed to load.
+	 *
+	 * @param {Error} error
+	 * @param {String} sourcePath path of the handler or middleware module that failed
+	 * @param {String} message
+	 * @returns {Error} ${error}
+	 */
+	loadError_(error, sourcePath, message) {
+		this.log_({path: sourcePath}, `${message}: ${error.message}`)
+		if (error instanceof Object && !error.sourcePath)
+			error.sourcePath = sourcePath
+		return error
+	}
+
+	/**
+	 * Prepares the internal state for generating routes beneath ${routesPath}.
+	 *
+	 * @param {String|Array.<RoutesRoot>} routesPath
+	 * @param {Object} middlewares
+	 */
+	beginRoutify_(routesPath, middlewares) {
+		this.roots_ = routeRoots.normalize(routesPath)
+		this.middlewares_ = middlewares
+		this.router_ = this.adapter_.createRouter({
+			caseSensitive: true,
+			strict: true,
+			mergeParams: true
+		})
+		this.middlewaresStack_ = {}
+		this.middlewarePathsStack_ = {}
+		this.routeStack_ = []
+		this.generatedRoutes_ = []
+		this.conflicts_ = null
+		this.routeTable_ = []
+		this.ignoredFiles_ = []
+		this.globalMiddlewareNames_ = globalMiddlewareNames(middlewares)
+		this.unmatchedPrewarm_ = new Set(this.prewarm_)
+		this.currentRoot_ = null
+		this.completedRoots_ = new Map()
+	}
+
+	/**
+	 * Prepares the route stack for generating the routes beneath ${root}.
+	 *
+	 * @param {RoutesRoot} root
+	 */
+	beginRoot_(root) {
+		this.routeStack_ = root.prefix.split('/')
+			.filter((segment) => !!segment)
+			.map((segment) => ({routeChunk: segment, param: null}))
+		this.currentRoot_ = {
+			prefixEndpoint: this.endpoint_(false),
+			routes: []
+		}
+	}
+
+	/**
+	 * Creates the fallback routes (if any) of ${root} and records its routes for subsequent roots.
+	 *
+	 * @param {RoutesRoot} root
+	 */
+	endRoot_(root) {
+		if (root.fallback !== null)
+			this.createFallbackRoutes_(this.completedRoots_.get(root.fallback))
+		this.completedRoots_.set(root.prefix, this.currentRoot_)
+		this.currentRoot_ = null
+	}
+
+	/**
+	 * Registers each route of ${fallbackRoot} beneath the prefix of the current root unless the
+	 * current root already has a route with the same method (or 'all') and relative endpoint. The
+	 * callbacks (and error handlers) of the fallback routes are reused as is; their factories are
+	 * not called again.
+	 *
+	 * @param {Object} fallbackRoot
+	 */
+	createFallbackRoutes_(fallbackRoot) {
+		const currentRoot = this.currentRoot_
+		const relativeEndpoint = (generatedRoute, root) => routeRoots.relativeEndpoint(generatedRoute.endpoint, root.prefixEndpoint)
+		const overridden = new Set(currentRoot.routes.map((x) => `${x.generatedRoute.httpMethod} ${relativeEndpoint(x.generatedRoute, currentRoot)}`))
+
+		fallbackRoot.routes.forEach((fallbackRoute) => {
+			const generatedRoute = fallbackRoute.generatedRoute
+			const relative = relativeEndpoint(generatedRoute, fallbackRoot)
+			if (overridden.has(`${generatedRoute.httpMethod} ${relative}`) || overridden.has(`all ${relative}`))
+				return
+
+			this.registerRoute_(Object.assign({}, generatedRoute, {
+				endpoint: routeRoots.joinEndpoint(currentRoot.prefixEndpoint, relative)
+			}), fallbackRoute.chain, 'fallback route')
+		})
+	}
+
+	/**
+	 * Registers the allowed methods responders (if so configured), checks the generated routes for
+	 * conflicts and removes internal references (for memory optimization).
+	 *
+	 * @returns {express.Router} the router with all the generated routes (or its equivalent for
+	 *   the configured adapter)
+	 */
+	endRoutify_() {
+		if (this.allowedMethods_)
+			this.createAllowedMethodsResponders_()
+		this.unmatchedPrewarm_.forEach((key) => this.warn_({route: key}, `Unknown prewarm route: ${key}`))
+		this.checkIgnoredFiles_()
+		this.conflicts_ = this.checkConflicts_()
+		this.middlewares_ = null
+		this.middlewaresStack_ = null
+		this.middlewarePathsStack_ = null
+		this.routeStack_ = null
+		this.globalMiddlewareNames_ = null
+		this.unmatchedPrewarm_ = null
+		this.completedRoots_ = null
+		return this.adapter_.finalize(this.router_)
+	}
+
+	/**
+	 * Registers a callback for the endpoint of each generated route that responds 405 to requests
+	 * with any other method and answers OPTIONS requests (see lib/allowed-methods.js). These are
+	 * not included in the generated routes.
+	 */
+	createAllowedMethodsResponders_() {
+		allowedMethods.findAllowedMethods(this.generatedRoutes_, this.supportedMethodsSet_).forEach((x) => {
+			if (!this.dryRun_) {
+				const responder = this.adapter_.allowedMethodsResponder(x.methods, x.respondToOptions)
+				this.adapter_.registerRoute(this.router_, 'all', this.adapter_.convertPath(dollarParams(x.endpoint)),
+					this.adapter_.compose([responder]))
+			}
+
+			this.log_({
+				endpoint: x.endpoint,
+				allow: x.methods
+			}, `${this.dryRun_ ? 'Would have ' : ''}created allowed methods responder: ${x.endpoint} (${x.methods.join(', ')})`)
+		})
+	}
+
+	/**
+	 * @param {String} directory
+	 * @param {Boolean?} isMiddlewareDirectory indicates if ${directory} only contains middlware;
+	 *   defaults to false
+	 */
+	routifyRecurse_(directory, isMiddlewareDirectory = false) {
+		const listing = dirTools.directoryListing(directory)
+		const sortedRouteInfos = this.sortRouteInfos_(listing, isMiddlewareDirectory)
+
+		if (isMiddlewareDirectory)
+			this.handleRouteMiddlewareDirectory_(listing, sortedRouteInfos)
+		else
+			this.handleRouteDirectory_(listing, sortedRouteInfos)
+	}
+
+	/**
+	 * Asynchronous counterpart to routifyRecurse_.
+	 *
+	 * @param {String} directory
+	 * @param {Boolean?} isMiddlewareDirectory
+	 * @returns {Promise}
+	 */
+	routifyRecurseAsync_(directory, isMiddlewareDirectory = false) {
+		return dirTools.directoryListingAsync(directory)
+		.then((listing) => {
+			const sortedRouteInfos = this.sortRouteInfos_(listing, isMiddlewareDirectory)
+
+			if (isMiddlewareDirectory)
+				return this.handleRouteMiddlewareDirectoryAsync_(listing, sortedRouteInfos)
+
+			return this.handleRouteDirectoryAsync_(listing, sortedRouteInfos)
+		})
+	}
+
+	/**
+	 * Decodes route information from the filename and adjusts any wildcard handlers' order.
+	 *
+	 * @param {Listing} listing
+	 * @param {Boolean} isMiddlewareDirectory
+	 * @returns {Object}
+	 */
+	sortRouteInfos_(listing, isMiddlewareDirectory) {
+		// 1. Build array of valid HTTP method file handlers and decode into its relevant parts
+		const routeInfos = []
+		listing.files.forEach((fileName) => {
+			// 1a. Split into parts
+			const filePath = path.resolve(listing.directory, fileName)
+			const parsedFileName = this.parseFileName_(fileName)
+			if (!parsedFileName) {
+				this.ignoreInvalidFileName_(filePath)
+				return
+			}
+
+			// 1b. Only consider supported methods (and error handlers, param handlers and method maps)
+			const httpMethod = parsedFileName.httpMethod
+			if (!kReservedMethods.includes(httpMethod) && !this.supportedMethodsSet_.has(httpMethod)) {
+				if (httpMethods.isHttpMethod(httpMethod))
+					this.ignoreFile_(filePath, 'disabled-method', disabledMethodMessage(httpMethod))
+				else
+					this.ignoreFile_(filePath, 'unsupported-method', `${httpMethod} is not a supported method`)
+				return
+			}
+
+			const routeInfo = {
+				endpoint: null, // updated during route generation (generateRoutes_)
+				fileName,
+				path: filePath,
+				hasMiddlewarePrefix: parsedFileName.hasMiddlewarePrefix,
+				hasNumericPrefix: parsedFileName.numericPrefix !== null,
+				httpMethod,
+				isStar: parsedFileName.isStar
+			}
+
+			// 1c. Validation
+			if (routeInfo.hasMiddlewarePrefix && routeInfo.isStar) {
+				if (this.inspecting_) {
+					this.ignoreFile_(filePath, 'star-middleware', 'wildcard handlers may not be prefixed with the caret symbol')
+					return
+				}
+
+				throw new Error(`Invalid route file: ${routeInfo.path}; wildcard handlers are ` +
+					'not permitted to be tagged as middleware (prefixed with the caret ^ symbol).')
+			}
+
+			if (httpMethod === kErrorHandlerMethod && (routeInfo.hasNumericPrefix || routeInfo.isStar)) {
+				this.ignoreFile_(filePath, 'error-handler', 'error handlers may not have a numeric prefix or wildcard suffix')
+				return
+			}
+
+			if (httpMethod === kErrorHandlerMethod && !routeInfo.hasMiddlewarePrefix && !isMiddlewareDirectory) {
+				this.ignoreFile_(filePath, 'error-handler', 'error handlers must be prefixed with the caret symbol (^error.js) outside of middleware directories')
+				return
+			}
+
+			if (httpMethod === kParamHandlerMethod && !this.isParamHandlerFile_(routeInfo, listing.directory)) {
+				this.ignoreFile_(filePath, 'param-handler', 'param handlers must be named ^param and located within a parameter ($) directory')
+				return
+			}
+
+			if (httpMethod === kMethodMapMethod && (routeInfo.hasMiddlewarePrefix || routeInfo.isStar)) {
+				this.ignoreFile_(filePath, 'method-map', 'method map files may not be prefixed with the caret symbol or have a wildcard suffix')
+				return
+			}
+
+			// 1d. Add to list
+			routeInfos.push(routeInfo)
+		})
+
+		// 2. Order wildcard routes
+		this.prioritizeStarRouteInfos_(routeInfos)
+
+		return routeInfos
+	}
+
+	/**
+	 * A lexically sorted set of files will place wildcard callbacks (e.g. get.star.js) after their
+	 * cognate callback (e.g. get.js). Because it is desired to load wildcard middleware first, this
+	 * function swaps the positions of any such occurrences in ${routeInfos}.
+	 *
+	 * @param {Array.<Object>} routeInfos lexically sorted set of route info objects
+	 */
+	prioritizeStarRouteInfos_(routeInfos) {
+		for (let i = 0, z = routeInfos.length; i < z - 1; i++) {
+			const current = routeInfos[i]
 			const next = routeInfos[i + 1]
 			const needToSwap = next.isStar &&
 				current.httpMethod === next.httpMethod &&
@@ -475,11 +1507,7 @@ class PathRoutifier {
 	 */
 	handleRouteMiddlewareDirectory_(listing, routeInfos) {
 		// 1. Consider only legitimately named middlewares
-		const mwRouteInfos = routeInfos.filter((x) =>
-			!x.hasNumericPrefix &&
-			!x.isStar &&
-			!x.hasMiddlewarePrefix
-		)
+		const mwRouteInfos = this.middlewareDirectoryRouteInfos_(routeInfos)
 
 		// 2. Push onto the stack, http method specific middlewares
 		this.pushMwRouteInfosOnStack_(mwRouteInfos)
@@ -491,6 +1519,39 @@ class PathRoutifier {
 		this.popMwRouteInfosOffStack_(mwRouteInfos)
 	}
 
+	/**
+	 * Asynchronous counterpart to handleRouteMiddlewareDirectory_.
+	 *
+	 * @param {Listing} listing
+	 * @param {Array.<Object>} routeInfos
+	 * @returns {Promise}
+	 */
+	handleRouteMiddlewareDirectoryAsync_(listing, routeInfos) {
+		const mwRouteInfos = this.middlewareDirectoryRouteInfos_(routeInfos)
+
+		return this.pushMwRouteInfosOnStackAsync_(mwRouteInfos)
+			.then(() => this.recurseSubDirectoriesAsync_(listing))
+			.then(() => this.popMwRouteInfosOffStack_(mwRouteInfos))
+	}
+
+	/**
+	 * @param {Array.<Object>} routeInfos
+	 * @returns {Array.<Object>} the subset of ${routeInfos} that may be used within a middleware
+	 *   directory
+	 */
+	middlewareDirectoryRouteInfos_(routeInfos) {
+		return routeInfos.filter((x) => {
+			const isPermitted = !x.hasNumericPrefix &&
+				!x.isStar &&
+				!x.hasMiddlewarePrefix
+			if (!isPermitted)
+				this.ignoreFile_(x.path, 'middleware-directory', 'numeric, wildcard and caret prefixed files are not permitted in middleware directories')
+			else if (x.httpMethod === kMethodMapMethod)
+				this.ignoreFile_(x.path, 'method-map', 'method map files are not permitted in middleware directories')
+			return isPermitted && x.httpMethod !== kMethodMapMethod
+		})
+	}
+
 	/**
 	 * ${mwRouteInfos} is an array of paths that when required and called, may also return an array
 	 * of callbacks.
@@ -499,35 +1560,104 @@ class PathRoutifier {
 	 */
 	pushMwRouteInfosOnStack_(mwRouteInfos) {
 		mwRouteInfos.forEach((routeInfo) => {
-			let handlerModule = null
-			let handlers = null
-			try {
-				// eslint-disable-next-line global-require
-				handlerModule = require(routeInfo.path)
-				if (typeof handlerModule !== 'function')
-					throw new Error('Module did not export a function')
-				handlers = this.dryRun_ ? [] : toArray(handlerModule(this.app_, this.middlewares_))
-			}
-			catch (error) {
-				this.log_({path: routeInfo.path}, `Error while loading middleware: ${routeInfo.httpMethod}: ${error.message}`)
-				throw error
-			}
+			this.pushMwStack_(routeInfo.httpMethod, this.routeMiddlewareHandlers_(routeInfo), routeInfo.path)
+		})
+	}
 
-			this.pushMwStack_(routeInfo.httpMethod, handlers)
+	/**
+	 * @param {Object} routeInfo route middleware file
+	 * @returns {Array.<Function>} the callbacks returned by the factory of ${routeInfo} (none
+	 *   during a dry run)
+	 */
+	routeMiddlewareHandlers_(routeInfo) {
+		try {
+			const handlerModule = this.requireHandlerModule_(routeInfo)
+			if (this.dryRun_)
+				return []
+
+			const handlers = handlerModule(this.app_, this.middlewares_, null, this.context_)
+			throwIfPromise(handlers, `The factory of ${routeInfo.path} returned a promise; use routifyAsync instead`)
+			return this.routeMiddlewareCallbacks_(routeInfo, handlers)
+		}
+		catch (error) {
+			throw this.loadError_(error, routeInfo.path, `Error while loading middleware: ${routeInfo.httpMethod}`)
+		}
+	}
+
+	/**
+	 * Asynchronous counterpart to pushMwRouteInfosOnStack_. All factories are called in parallel
+	 * and their resolved callbacks pushed onto the stack in the order of ${mwRouteInfos}.
+	 *
+	 * @param {Array.<Object>} mwRouteInfos
+	 * @returns {Promise}
+	 */
+	pushMwRouteInfosOnStackAsync_(mwRouteInfos) {
+		return Promise.all(mwRouteInfos.map((routeInfo) => this.importHandlerModule_(routeInfo)
+			.then((handlerModule) => handlerModule(this.app_, this.middlewares_, null, this.context_))
+			.then((handlers) => this.routeMiddlewareCallbacks_(routeInfo, handlers))
+			.catch((error) => {
+				throw this.loadError_(error, routeInfo.path, `Error while loading middleware: ${routeInfo.httpMethod}`)
+			})))
+		.then((handlersList) => {
+			handlersList.forEach((handlers, i) => this.pushMwStack_(mwRouteInfos[i].httpMethod, handlers, mwRouteInfos[i].path))
 		})
 	}
 
+	/**
+	 * The callback returned by the factory of a param handler (^param.js) is called with the value
+	 * of the parameter of its directory; it is converted into a route callback by the adapter.
+	 *
+	 * @param {Object} routeInfo route middleware file
+	 * @param {Function|Array.<Function>} handlers returned by the factory of ${routeInfo}
+	 * @returns {Array.<Function>} the route callbacks for ${handlers}
+	 */
+	routeMiddlewareCallbacks_(routeInfo, handlers) {
+		if (routeInfo.httpMethod !== kParamHandlerMethod)
+			return toArray(handlers)
+
+		if (typeof this.adapter_.paramHandler !== 'function')
+			throw new Error(`The ${this.adapter_.name} adapter does not support param handlers`)
+		if (typeof handlers !== 'function')
+			throw new Error(`Invalid param handler, ${routeInfo.path}: the factory must return a single function`)
+
+		const param = this.parseParam_(path.basename(path.dirname(routeInfo.path)))
+		return [this.adapter_.paramHandler(param.name, handlers)]
+	}
+
+	/**
+	 * @param {Object} routeInfo
+	 * @returns {Function} the factory function exported by the module at ${routeInfo.path}
+	 */
+	requireHandlerModule_(routeInfo) {
+		return handlerFactory(this.loadModule_(routeInfo.path))
+	}
+
+	/**
+	 * Asynchronous counterpart to requireHandlerModule_ which also supports native ES modules.
+	 *
+	 * @param {Object} routeInfo
+	 * @returns {Promise.<Function>} resolves to the factory function exported by the module at
+	 *   ${routeInfo.path}
+	 */
+	importHandlerModule_(routeInfo) {
+		return this.loadModuleAsync_(routeInfo.path).then(handlerFactory)
+	}
+
 	/**
 	 * Pushes http method specific ${handlers} onto the middleware stack.
 	 *
 	 * @param {String} httpMethod
 	 * @param {Function|Array.<Function>} handlers
+	 * @param {String} sourcePath path of the file that produced ${handlers}
 	 */
-	pushMwStack_(httpMethod, handlers) {
-		if (!this.middlewaresStack_[httpMethod])
+	pushMwStack_(httpMethod, handlers, sourcePath) {
+		if (!this.middlewaresStack_[httpMethod]) {
 			this.middlewaresStack_[httpMethod] = []
+			this.middlewarePathsStack_[httpMethod] = []
+		}
 
 		this.middlewaresStack_[httpMethod].push(handlers)
+		this.middlewarePathsStack_[httpMethod].push(sourcePath)
 	}
 
 	/**
@@ -546,6 +1676,7 @@ class PathRoutifier {
 	 */
 	popMwStack_(httpMethod) {
 		this.middlewaresStack_[httpMethod].pop()
+		this.middlewarePathsStack_[httpMethod].pop()
 	}
 
 	/**
@@ -556,16 +1687,11 @@ class PathRoutifier {
 	recurseSubDirectories_(listing) {
 		listing.subDirectories.forEach((subDirectory) => {
 			const nextDirectory = path.resolve(listing.directory, subDirectory)
-			const subDirIsMiddlewareDirectory = subDirectory[0] === kMiddlewareDirectoryPrefix
-			const subDirIsParam = subDirectory[0] === kParamDirectoryPrefix
-			let routeChunk = null
+			const subDirIsMiddlewareDirectory = conventions.isMiddlewareName(this.conventions_, subDirectory)
 
 			// 1. Add directory name (or parameter name) to the route stack if ${subDirectory} is
 			//    not a middleware directory
-			if (!subDirIsMiddlewareDirectory) {
-				routeChunk = subDirIsParam ? ':' + subDirectory.substr(1) : subDirectory
-				this.routeStack_.push(routeChunk)
-			}
+			const routeChunk = this.pushRouteChunk_(subDirectory)
 
 			// 2. Recurse through the next subdirectory
 			this.routifyRecurse_(nextDirectory, subDirIsMiddlewareDirectory)
@@ -576,6 +1702,67 @@ class PathRoutifier {
 		})
 	}
 
+	/**
+	 * Asynchronous counterpart to recurseSubDirectories_. Because all sub-directories share the
+	 * same route and middleware stacks, they are processed sequentially.
+	 *
+	 * @param {Listing} listing
+	 * @returns {Promise}
+	 */
+	recurseSubDirectoriesAsync_(listing) {
+		return listing.subDirectories.reduce((promise, subDirectory) => promise.then(() => {
+			const nextDirectory = path.resolve(listing.directory, subDirectory)
+			const subDirIsMiddlewareDirectory = conventions.isMiddlewareName(this.conventions_, subDirectory)
+			const routeChunk = this.pushRouteChunk_(subDirectory)
+
+			return this.routifyRecurseAsync_(nextDirectory, subDirIsMiddlewareDirectory)
+				.then(() => {
+					if (routeChunk)
+						this.routeStack_.pop()
+				})
+		}), Promise.resolve())
+	}
+
+	/**
+	 * Pushes the route chunk corresponding to ${subDirectory} onto the route stack. Middleware
+	 * and group directories do not contribute to the route.
+	 *
+	 * @param {String} subDirectory
+	 * @returns {String?} the route chunk pushed onto the route stack or null if none was pushed
+	 */
+	pushRouteChunk_(subDirectory) {
+		if (conventions.isMiddlewareName(this.conventions_, subDirectory) || kGroupDirectoryRegex.test(subDirectory))
+			return null
+
+		const param = this.parseParam_(subDirectory)
+		const routeChunk = param ? paramTypes.routeChunk(param) : subDirectory
+		this.routeStack_.push({routeChunk, param})
+		return routeChunk
+	}
+
+	/**
+	 * @param {String} directoryName
+	 * @returns {Param?} the decoded parameter (see lib/param-types.js) or null if ${directoryName}
+	 *   is not a parameter directory (see options.conventions)
+	 */
+	parseParam_(directoryName) {
+		const paramDirectoryName = conventions.paramDirectoryName(this.conventions_, directoryName)
+		return paramDirectoryName ? paramTypes.parse(paramDirectoryName) : null
+	}
+
+	/**
+	 * @param {Object} routeInfo with the param handler method
+	 * @param {String} directory containing the file of ${routeInfo}
+	 * @returns {Boolean} true if ${routeInfo} is a valid param handler file (i.e. ^param.js within a
+	 *   parameter directory)
+	 */
+	isParamHandlerFile_(routeInfo, directory) {
+		return routeInfo.hasMiddlewarePrefix &&
+			!routeInfo.hasNumericPrefix &&
+			!routeInfo.isStar &&
+			!!conventions.paramDirectoryName(this.conventions_, path.basename(directory))
+	}
+
 	/**
 	 * ${listing.directory} is a "normal" directory of handlers. That is, it is not strictly contain
 	 * middleware; however, it may contain http method specific middleware (wildcard files prefixed
@@ -586,17 +1773,10 @@ class PathRoutifier {
 	 */
 	handleRouteDirectory_(listing, sortedRouteInfos) {
 		// 1. Split into:
-		//    a) middleware routes (prefixed with caret)
+		//    a) middleware routes (prefixed with caret) and error handlers
 		//    b) normal callback handlers
-		const mwRouteInfos = []
-		const normalRouteInfos = []
-
-		sortedRouteInfos.forEach((routeInfo) => {
-			if (routeInfo.hasMiddlewarePrefix)
-				mwRouteInfos.push(routeInfo)
-			else
-				normalRouteInfos.push(routeInfo)
-		})
+		const mwRouteInfos = sortedRouteInfos.filter(isRouteMiddleware)
+		const normalRouteInfos = prioritizeHeadRouteInfos(this.expandMethodMaps_(sortedRouteInfos.filter((routeInfo) => !isRouteMiddleware(routeInfo))))
 
 		// 2. Push / pop middleware stack and generate routes
 		this.pushMwRouteInfosOnStack_(mwRouteInfos)
@@ -614,43 +1794,413 @@ class PathRoutifier {
 	}
 
 	/**
-	 * Generates the express routes based on the current context.
+	 * Asynchronous counterpart to handleRouteDirectory_ (dry runs are not supported).
 	 *
+	 * @param {Listing} listing
 	 * @param {Array.<Object>} sortedRouteInfos
+	 * @returns {Promise}
 	 */
-	generateRoutes_(sortedRouteInfos) {
-		sortedRouteInfos.forEach((routeInfo) => {
-			assert(!routeInfo.hasMiddlewarePrefix)
-
-			const endpoint = this.endpoint_(routeInfo.isStar)
-			const routeMiddlewares = this.routeMiddlewares_(routeInfo.httpMethod)
-			let handlerModule = null
-			let handlers = null
+	handleRouteDirectoryAsync_(listing, sortedRouteInfos) {
+		const mwRouteInfos = sortedRouteInfos.filter(isRouteMiddleware)
+
+		return this.pushMwRouteInfosOnStackAsync_(mwRouteInfos)
+			.then(() => this.expandMethodMapsAsync_(sortedRouteInfos.filter((routeInfo) => !isRouteMiddleware(routeInfo))))
+			.then((normalRouteInfos) => this.generateRoutesAsync_(prioritizeHeadRouteInfos(normalRouteInfos)))
+			.then(() => this.recurseSubDirectoriesAsync_(listing))
+			.then(() => this.popMwRouteInfosOffStack_(mwRouteInfos))
+	}
 
-			routeInfo.endpoint = endpoint.replace(/:/g, '$')
+	/**
+	 * Replaces each method map file (route.js) in ${routeInfos} with a route info for each of the
+	 * enabled methods that it exports (in export order).
+	 *
+	 * @param {Array.<Object>} routeInfos
+	 * @returns {Array.<Object>}
+	 */
+	expandMethodMaps_(routeInfos) {
+		return routeInfos.reduce((result, routeInfo) => {
+			if (routeInfo.httpMethod !== kMethodMapMethod)
+				return result.concat(routeInfo)
 
 			try {
-				// eslint-disable-next-line global-require
-				handlerModule = require(routeInfo.path)
-				if (typeof handlerModule !== 'function')
-					throw new Error('Module did not export a function')
-				handlers = this.dryRun_ ? [] : toArray(handlerModule(this.app_, this.middlewares_, routeMiddlewares))
+				return result.concat(this.methodMapRouteInfos_(routeInfo, this.loadModule_(routeInfo.path)))
 			}
 			catch (error) {
-				this.log_({path: routeInfo.path}, `Error while loading route: ${routeInfo.httpMethod} ${endpoint}: ${error.message}`)
-				throw error
+				throw this.loadError_(error, routeInfo.path, 'Error while loading method map')
+			}
+		}, [])
+	}
+
+	/**
+	 * Asynchronous counterpart to expandMethodMaps_.
+	 *
+	 * @param {Array.<Object>} routeInfos
+	 * @returns {Promise.<Array.<Object>>}
+	 */
+	expandMethodMapsAsync_(routeInfos) {
+		return Promise.all(routeInfos.map((routeInfo) => {
+			if (routeInfo.httpMethod !== kMethodMapMethod)
+				return [routeInfo]
+
+			return this.loadModuleAsync_(routeInfo.path)
+				.then((moduleExports) => this.methodMapRouteInfos_(routeInfo, moduleExports))
+				.catch((error) => {
+					throw this.loadError_(error, routeInfo.path, 'Error while loading method map')
+				})
+		}))
+		.then((routeInfosList) => [].concat(...routeInfosList))
+	}
+
+	/**
+	 * @param {Object} routeInfo method map file
+	 * @param {any} moduleExports
+	 * @returns {Array.<Object>} a copy of ${routeInfo} (flagged with isMethodMap) for each enabled
+	 *   method exported by ${moduleExports}
+	 */
+	methodMapRouteInfos_(routeInfo, moduleExports) {
+		const methodMap = httpMethods.methodMap(moduleExports)
+		if (!methodMap)
+			throw new Error('Module did not export a method map (e.g. {get, post})')
+
+		return Object.keys(methodMap)
+			.filter((httpMethod) => {
+				if (httpMethod === 'all' || this.supportedMethodsSet_.has(httpMethod))
+					return true
+				if (!httpMethods.isHttpMethod(httpMethod))
+					throw new Error(`Invalid method map key, ${httpMethod}; keys must be lowercase HTTP methods or all`)
+
+				this.ignoreFile_(routeInfo.path, 'disabled-method', disabledMethodMessage(httpMethod))
+				return false
+			})
+			.map((httpMethod) => Object.assign({}, routeInfo, {httpMethod, isMethodMap: true}))
+	}
+
+	/**
+	 * @param {Object} routeInfo
+	 * @param {any} moduleExports exports of the module at ${routeInfo.path}
+	 * @returns {any} the exports that define the handler of ${routeInfo}; for method map files,
+	 *   the value of its method key
+	 */
+	handlerExports_(routeInfo, moduleExports) {
+		const fileName = this.parseFileName_(routeInfo.fileName)
+		if (!fileName || fileName.httpMethod !== kMethodMapMethod)
+			return moduleExports
+
+		return httpMethods.methodMapHandler(moduleExports, routeInfo.httpMethod)
+	}
+
+	/**
+	 * Generates the express routes based on the current context.
+	 *
+	 * @param {Array.<Object>} sortedRouteInfos
+	 */
+	generateRoutes_(sortedRouteInfos) {
+		sortedRouteInfos.forEach((routeInfo) => this.generateRoute_(this.prepareRoute_(routeInfo)))
+	}
+
+	/**
+	 * Calls the handler factory of the prepared ${route} (unless it is loaded lazily) and registers
+	 * the route.
+	 *
+	 * @param {Object} route
+	 */
+	generateRoute_(route) {
+		if (this.isLazy_(route)) {
+			this.createLazyRoute_(route)
+			return
+		}
+
+		const routeInfo = route.routeInfo
+		let handlers = null
+
+		try {
+			const moduleExports = this.handlerExports_(routeInfo, this.loadModule_(routeInfo.path))
+			const handlerModule = handlerFactory(moduleExports)
+			this.prepareRequestValidation_(route, moduleExports)
+			const factoryResult = this.dryRun_ ? [] : handlerModule(this.app_, this.middlewares_, route.routeMiddlewares, this.context_)
+			throwIfPromise(factoryResult, `The factory of ${routeInfo.path} returned a promise; use routifyAsync instead`)
+			handlers = toArray(factoryResult)
+		}
+		catch (error) {
+			throw this.loadError_(error, routeInfo.path, `Error while loading route: ${routeInfo.httpMethod} ${route.endpoint}`)
+		}
+
+		this.createRoute_(route, handlers)
+	}
+
+	/**
+	 * Asynchronous counterpart to generateRoutes_. All handler factories are called in parallel,
+	 * but the routes are only created - in order - once all of them have resolved.
+	 *
+	 * @param {Array.<Object>} sortedRouteInfos
+	 * @returns {Promise}
+	 */
+	generateRoutesAsync_(sortedRouteInfos) {
+		const routes = sortedRouteInfos.map((routeInfo) => this.prepareRoute_(routeInfo))
+		const lazy = routes.map((route) => this.isLazy_(route))
+
+		return Promise.all(routes.map((route, i) => (lazy[i] ? null : this.loadModuleAsync_(route.routeInfo.path)
+			.then((moduleExports) => this.handlerExports_(route.routeInfo, moduleExports))
+			.then((moduleExports) => {
+				const handlerModule = handlerFactory(moduleExports)
+				this.prepareRequestValidation_(route, moduleExports)
+				return handlerModule(this.app_, this.middlewares_, route.routeMiddlewares, this.context_)
+			})
+			.then(toArray)
+			.catch((error) => {
+				throw this.loadError_(error, route.routeInfo.path, `Error while loading route: ${route.routeInfo.httpMethod} ${route.endpoint}`)
+			}))))
+		.then((handlersList) => {
+			handlersList.forEach((handlers, i) => {
+				if (lazy[i])
+					this.createLazyRoute_(routes[i])
+				else
+					this.createRoute_(routes[i], handlers)
+			})
+		})
+	}
+
+	/**
+	 * @param {Object} route prepared route
+	 * @returns {Boolean} true if the handler module of ${route} should be loaded when first
+	 *   requested rather than now (i.e. lazy mode, not a dry run and not a prewarmed route)
+	 */
+	isLazy_(route) {
+		const key = routeKey(route.routeInfo.httpMethod, route.endpoint)
+		const isPrewarmed = this.prewarm_.has(key)
+		this.unmatchedPrewarm_.delete(key)
+		return this.lazy_ && !this.dryRun_ && !isPrewarmed
+	}
+
+	/**
+	 * Registers ${route} with a single callback in place of its route middlewares, validator and
+	 * handlers. The first request loads the handler module and calls its factory; concurrent
+	 * requests wait for the same result, which is cached for all subsequent requests. If loading
+	 * fails, the error is passed to the error handlers of the route and the next request tries
+	 * again. The route middlewares are passed to the factory (and thus may be modified by it)
+	 * as usual.
+	 *
+	 * @param {Object} route prepared route
+	 */
+	createLazyRoute_(route) {
+		const routeInfo = route.routeInfo
+		const app = this.app_
+		const middlewares = this.middlewares_
+		const context = this.context_
+		let loading = null
+
+		// Schemas that do not require the handler module (co-located schema files and those of a
+		// manifest) are compiled now so that invalid schemas are still reported immediately
+		const hasEagerSchema = typeof route.schema !== 'undefined' || fs.existsSync(requestValidation.schemaPath(routeInfo.path))
+		if (hasEagerSchema)
+			this.prepareRequestValidation_(route, null)
+
+		const load = () => {
+			if (!loading) {
+				loading = this.loadModuleAsync_(routeInfo.path)
+					.then((moduleExports) => this.handlerExports_(routeInfo, moduleExports))
+					.then((moduleExports) => {
+						const handlerModule = handlerFactory(moduleExports)
+						if (hasEagerSchema)
+							// Reports a schema exported in addition to the co-located schema file
+							requestValidation.loadSchema(routeInfo.path, moduleExports)
+						else
+							this.prepareRequestValidation_(route, moduleExports)
+						return handlerModule(app, middlewares, route.routeMiddlewares, context)
+					})
+					.then((handlers) => {
+						this.log_({path: routeInfo.path}, `Loaded lazy route: ${routeInfo.httpMethod.toUpperCase()} ${route.endpoint}`)
+						return [
+							...route.routeMiddlewares,
+							...route.validators,
+							...toArray(handlers)
+						]
+					})
+					.catch((error) => {
+						loading = null
+						throw this.loadError_(error, routeInfo.path, `Error while loading route: ${routeInfo.httpMethod} ${route.endpoint}`)
+					})
 			}
+			return loading
+		}
 
-			// Finally, generate the route!
-			if (!this.dryRun_)
-				this.router_[routeInfo.httpMethod](endpoint, ...routeMiddlewares, ...handlers)
+		this.createRoute_(route, [this.adapter_.lazyHandler(load)], true)
+	}
 
-			this.log_({
-				httpMethod: routeInfo.httpMethod,
-				endpoint,
-				middlewares: this.middlewareNames_([...routeMiddlewares, ...handlers])
-			}, `${this.dryRun_ ? 'Would have ' : ''}created route: ${routeInfo.httpMethod.toUpperCase()} ${endpoint}`)
+	/**
+	 * Captures the endpoint and route middlewares for ${routeInfo} from the current context.
+	 *
+	 * @param {Object} routeInfo
+	 * @returns {Object} route with the routeInfo, endpoint, routeMiddlewares (along with the
+	 *   file that produced each of them), middlewarePaths, errorHandlers (ditto), errorHandlerPaths
+	 *   and params
+	 */
+	prepareRoute_(routeInfo) {
+		assert(!routeInfo.hasMiddlewarePrefix)
+
+		const endpoint = this.endpoint_(routeInfo.isStar)
+		const params = this.routeStack_.filter((x) => x.param).map((x) => x.param)
+		const errorHandlerPaths = this.routeErrorHandlerPaths_()
+		routeInfo.endpoint = dollarParams(endpoint)
+		routeInfo.params = params
+		routeInfo.errorHandlerPaths = errorHandlerPaths
+
+		return {
+			routeInfo,
+			endpoint,
+			routeMiddlewares: this.routeMiddlewares_(routeInfo.httpMethod),
+			routeMiddlewareSources: this.stackSources_(routeInfo.httpMethod === 'all' ? [kParamHandlerMethod, 'all'] : [kParamHandlerMethod, 'all', routeInfo.httpMethod]),
+			middlewarePaths: this.routeMiddlewarePaths_(routeInfo.httpMethod),
+			errorHandlers: this.routeErrorHandlers_(),
+			errorHandlerSources: this.stackSources_([kErrorHandlerMethod]),
+			errorHandlerPaths,
+			params,
+			validators: []
+		}
+	}
+
+	/**
+	 * Loads the request schema (if any) for ${route} and compiles the middleware that validates
+	 * requests against it. Compilation also occurs during dry runs so that invalid schemas are
+	 * reported; however, the validator is only added to the route otherwise.
+	 *
+	 * @param {Object} route
+	 * @param {any} moduleExports exports of the route handler module
+	 */
+	prepareRequestValidation_(route, moduleExports) {
+		// Routes registered from a manifest already include their schema (unless it was omitted)
+		if (typeof route.schema === 'undefined')
+			route.schema = requestValidation.loadSchema(route.routeInfo.path, moduleExports)
+		if (!route.schema)
+			return
+
+		const validator = this.adapter_.requestValidator(requestValidation.compileValidator(route.schema))
+		if (!this.dryRun_)
+			route.validators = [validator]
+	}
+
+	/**
+	 * Registers ${route} along with its ${handlers} (followed by its error handlers) with the
+	 * router.
+	 *
+	 * @param {Object} route
+	 * @param {Array.<Function>} handlers
+	 * @param {Boolean} [isLazy = false] indicates that ${handlers} is the callback of a lazy route,
+	 *   which also calls the route middlewares and validator (see createLazyRoute_)
+	 */
+	createRoute_(route, handlers, isLazy = false) {
+		const coercers = this.paramCoercers_(route.params)
+		const callbacks = isLazy ? [...coercers, ...handlers] : [
+			...coercers,
+			...route.routeMiddlewares,
+			...route.validators,
+			...handlers
+		]
+		const routeMiddlewareOrigin = (callback) => this.callbackOrigin_(callback, route, route.routeMiddlewareSources)
+		const errorHandlerOrigin = (callback) => this.callbackOrigin_(callback, route, route.errorHandlerSources, true)
+		const origins = this.dryRun_ || isLazy ? this.fileOrigins_(route, coercers) : [
+			...coercers.map(() => ({type: 'params'})),
+			...route.routeMiddlewares.map(routeMiddlewareOrigin),
+			...route.validators.map(() => ({type: 'validator', path: route.routeInfo.path})),
+			...handlers.map((callback) => this.callbackOrigin_(callback, route)),
+			...route.errorHandlers.map(errorHandlerOrigin)
+		]
+
+		this.registerRoute_({
+			httpMethod: route.routeInfo.httpMethod,
+			endpoint: route.endpoint,
+			path: route.routeInfo.path,
+			isStar: route.routeInfo.isStar,
+			hasNumericPrefix: route.routeInfo.hasNumericPrefix,
+			middlewarePaths: route.middlewarePaths,
+			params: route.params,
+			schema: route.schema,
+			errorHandlerPaths: route.errorHandlerPaths
+		}, {callbacks, errorHandlers: route.errorHandlers, origins}, 'route')
+	}
+
+	/**
+	 * @param {Function} callback of ${route}
+	 * @param {Object} route
+	 * @param {Map.<Function, String>} [sources = null] file that produced each route middleware or
+	 *   error handler of ${route}
+	 * @param {Boolean} [isErrorHandler = false] indicates if ${sources} are error handler files
+	 * @returns {Object} the origin of ${callback} (see routes)
+	 */
+	callbackOrigin_(callback, route, sources = null, isErrorHandler = false) {
+		const sourcePath = sources && sources.get(callback)
+		if (sourcePath)
+			return {type: routeMiddlewareType(this.parseFileName_(path.basename(sourcePath)), isErrorHandler), path: sourcePath}
+
+		if (this.globalMiddlewareNames_.has(callback))
+			return {type: 'global', name: this.globalMiddlewareNames_.get(callback)}
+
+		return {type: 'handler', path: route.routeInfo.path}
+	}
+
+	/**
+	 * Used for dry runs and lazy routes, whose callbacks are not known.
+	 *
+	 * @param {Object} route
+	 * @param {Array.<Function>} coercers
+	 * @returns {Array.<Object>} the origins of the callbacks that ${route} would have based on the
+	 *   files that produce them (see routes)
+	 */
+	fileOrigins_(route, coercers) {
+		return [
+			...coercers.map(() => ({type: 'params'})),
+			...route.middlewarePaths.map((middlewarePath) => ({
+				type: routeMiddlewareType(this.parseFileName_(path.basename(middlewarePath)), false),
+				path: middlewarePath
+			})),
+			...(route.schema ? [{type: 'validator', path: route.routeInfo.path}] : []),
+			{type: 'handler', path: route.routeInfo.path},
+			...route.errorHandlerPaths.map((errorHandlerPath) => ({type: 'error-handler', path: errorHandlerPath}))
+		]
+	}
+
+	/**
+	 * Registers the callbacks and error handlers of ${chain} with the router (unless this is a dry
+	 * run) and records the ${generatedRoute}.
+	 *
+	 * @param {Object} generatedRoute description of the route (see inspect)
+	 * @param {Object} chain
+	 * @param {Array.<Function>} chain.callbacks
+	 * @param {Array.<Function>} chain.errorHandlers called (nearest first) if any of the callbacks
+	 *   fails
+	 * @param {Array.<Object>} chain.origins of the callbacks followed by the error handlers (see
+	 *   routes)
+	 * @param {String} description used when logging (e.g. route or fallback route)
+	 */
+	registerRoute_(generatedRoute, chain, description) {
+		const httpMethod = generatedRoute.httpMethod
+		const endpoint = generatedRoute.endpoint
+		const callbacks = chain.callbacks
+
+		// Finally, generate the route!
+		if (!this.dryRun_) {
+			this.adapter_.registerRoute(this.router_, httpMethod, this.adapter_.convertPath(dollarParams(endpoint)),
+				this.adapter_.compose(callbacks, chain.errorHandlers))
+		}
+
+		this.generatedRoutes_.push(generatedRoute)
+		this.routeTable_.push({
+			httpMethod,
+			endpoint,
+			path: generatedRoute.path,
+			numericPrefix: this.parseFileName_(path.basename(generatedRoute.path)).numericPrefix,
+			isStar: generatedRoute.isStar,
+			middlewares: chain.origins
 		})
+		if (this.currentRoot_)
+			this.currentRoot_.routes.push({generatedRoute, chain})
+
+		this.log_({
+			httpMethod,
+			endpoint,
+			middlewares: this.middlewareNames_(callbacks),
+			errorHandlers: generatedRoute.errorHandlerPaths
+		}, `${this.dryRun_ ? 'Would have ' : ''}created ${description}: ${httpMethod.toUpperCase()} ${endpoint}`)
 	}
 
 	/**
@@ -658,12 +2208,22 @@ class PathRoutifier {
 	 * @returns {String} the joined string of all route chunks
 	 */
 	endpoint_(isStar) {
-		let result = '/' + this.routeStack_.join('/')
+		let result = '/' + this.routeStack_.map((x) => x.routeChunk).join('/')
 		if (isStar)
 			result += '*'
 		return result
 	}
 
+	/**
+	 * @param {Array.<Param>} params route parameters
+	 * @returns {Array.<Function>} the callback that coerces the numeric parameters among ${params}
+	 *   if so configured (none otherwise)
+	 */
+	paramCoercers_(params) {
+		const coerce = this.coerceParams_ ? paramTypes.coercer(params) : null
+		return coerce ? [this.adapter_.paramCoercer(coerce)] : []
+	}
+
 	/**
 	 * For the given ${httpMethod}, generate a flat array of all middlewares currently on the stack,
 	 * taking care to properly handle the special "all" case (which is called for all http methods).
@@ -673,18 +2233,176 @@ class PathRoutifier {
 	 */
 	routeMiddlewares_(httpMethod) {
 		const result = []
+		this.copyFromMiddlewareStackTo_(result, this.routeMiddlewareEntries_(httpMethod).map((entry) => entry.handlers))
+		return result
+	}
 
-		// Special case: all gets applied to all routes - if it has been defined
-		if (this.middlewaresStack_.all)
-			this.copyFromMiddlewareStackTo_(result, this.middlewaresStack_.all)
+	/**
+	 * Counterpart to routeMiddlewares_ that returns the paths of the files responsible for each
+	 * set of route middlewares.
+	 *
+	 * @param {String} httpMethod
+	 * @returns {Array.<String>}
+	 */
+	routeMiddlewarePaths_(httpMethod) {
+		return this.routeMiddlewareEntries_(httpMethod).map((entry) => entry.path)
+	}
 
-		// Now apply any http method specific middlewares
-		if (httpMethod !== 'all' && this.middlewaresStack_[httpMethod])
-			this.copyFromMiddlewareStackTo_(result, this.middlewaresStack_[httpMethod])
+	/**
+	 * The "all" middlewares on the stack followed by the ${httpMethod} specific middlewares, with
+	 * each param handler placed after the middlewares of the directories above its parameter
+	 * directory (e.g. ^auth/all.js) and before those of its parameter directory and beneath.
+	 *
+	 * @param {String} httpMethod
+	 * @returns {Array.<Object>} {handlers, path} of each set of route middlewares in call order
+	 */
+	routeMiddlewareEntries_(httpMethod) {
+		const stackEntries = (key) => (this.middlewarePathsStack_[key] || []).map((sourcePath, i) => ({
+			handlers: this.middlewaresStack_[key][i],
+			path: sourcePath,
+			directory: this.middlewareDirectory_(sourcePath)
+		}))
+		let remaining = stackEntries('all').concat(httpMethod === 'all' ? [] : stackEntries(httpMethod))
+		const result = []
 
+		// The directories of the stack entries are all ancestors of (or the same as) the current
+		// directory; thus, the shorter path is the one above
+		stackEntries(kParamHandlerMethod).forEach((paramEntry) => {
+			result.push(...remaining.filter((entry) => entry.directory.length < paramEntry.directory.length), paramEntry)
+			remaining = remaining.filter((entry) => entry.directory.length >= paramEntry.directory.length)
+		})
+		return result.concat(remaining)
+	}
+
+	/**
+	 * @param {String} middlewarePath path of a route middleware file (e.g. /owners/^auth/all.js)
+	 * @returns {String} the route directory that ${middlewarePath} belongs to (e.g. /owners)
+	 */
+	middlewareDirectory_(middlewarePath) {
+		let directory = path.dirname(middlewarePath)
+		while (conventions.isMiddlewareName(this.conventions_, path.basename(directory)))
+			directory = path.dirname(directory)
+		return directory
+	}
+
+	/**
+	 * @param {Array.<String>} stackKeys keys of the middleware stack (e.g. http methods)
+	 * @returns {Map.<Function, String>} path of the file that produced each callback currently on
+	 *   the stack for ${stackKeys}
+	 */
+	stackSources_(stackKeys) {
+		const files = []
+		stackKeys.filter((httpMethod) => this.middlewaresStack_[httpMethod]).forEach((httpMethod) => {
+			this.middlewaresStack_[httpMethod].forEach((handlers, i) => {
+				files.push({handlers, path: this.middlewarePathsStack_[httpMethod][i]})
+			})
+		})
+		return callbackSources(files)
+	}
+
+	/**
+	 * @returns {Array.<Function>} flat array of the error handlers currently on the stack, nearest
+	 *   first
+	 */
+	routeErrorHandlers_() {
+		const result = []
+		if (this.middlewaresStack_[kErrorHandlerMethod])
+			this.copyFromMiddlewareStackTo_(result, this.middlewaresStack_[kErrorHandlerMethod].slice().reverse())
 		return result
 	}
 
+	/**
+	 * Counterpart to routeErrorHandlers_ that returns the paths of the error handler files.
+	 *
+	 * @returns {Array.<String>}
+	 */
+	routeErrorHandlerPaths_() {
+		const errorHandlerPaths = this.middlewarePathsStack_[kErrorHandlerMethod] || []
+		return errorHandlerPaths.slice().reverse()
+	}
+
+	/**
+	 * Warns about (or in strict mode, throws an error for) any conflicts amongst the generated
+	 * routes.
+	 *
+	 * @returns {Array.<Conflict>}
+	 */
+	checkConflicts_() {
+		const conflicts = routeConflicts.findConflicts(this.generatedRoutes_)
+		if (conflicts.length && this.strictConflicts_)
+			throw new Error(`Conflicting routes:\n${conflicts.map((conflict) => conflict.message).join('\n')}`)
+
+		conflicts.forEach((conflict) => {
+			this.warn_({
+				type: conflict.type,
+				path: conflict.route.path,
+				conflictingPath: conflict.conflictingRoute.path
+			}, `Conflicting route: ${conflict.message}`)
+		})
+		return conflicts
+	}
+
+	/**
+	 * Records (and logs as a warning) that ${filePath} will not be used.
+	 *
+	 * @param {String} filePath
+	 * @param {String} reason reason code (see inspect)
+	 * @param {String} message
+	 */
+	ignoreFile_(filePath, reason, message) {
+		const ignoredFile = {path: filePath, reason, message}
+		this.ignoredFiles_.push(ignoredFile)
+		this.warn_({path: filePath, reason}, `Ignored file: ${ignoredFileMessage(ignoredFile)}`)
+	}
+
+	/**
+	 * Records why ${filePath}, whose name does not follow the handler naming conventions, is
+	 * ignored. Files with other extensions are only recorded if they would otherwise be a handler
+	 * (e.g. get.ts).
+	 *
+	 * @param {String} filePath
+	 */
+	ignoreInvalidFileName_(filePath) {
+		const fileName = path.basename(filePath)
+		const extension = path.extname(fileName)
+		if (!this.extensions_.includes(extension)) {
+			if (extension && this.parseFileName_(path.basename(fileName, extension) + this.extensions_[0]))
+				this.ignoreFile_(filePath, 'unsupported-extension', `${extension} is not a route module extension (see options.extensions)`)
+			return
+		}
+
+		if (this.parseFileName_(fileName.toLowerCase()))
+			this.ignoreFile_(filePath, 'invalid-case', 'handler filenames must be lowercase')
+		else
+			this.ignoreFile_(filePath, 'invalid-name', 'filename does not follow the handler naming conventions')
+	}
+
+	/**
+	 * Throws an error listing the ignored files in strict mode (except while inspecting).
+	 */
+	checkIgnoredFiles_() {
+		if (this.ignoredFiles_.length && this.strictIgnoredFiles_ && !this.inspecting_)
+			throw new Error(`Ignored files:\n${this.ignoredFiles_.map(ignoredFileMessage).join('\n')}`)
+	}
+
+	/**
+	 * @param {Object} aliases method (or all) by alias name
+	 * @returns {Object} ${aliases}
+	 * @throws {Error} if any alias is a method or reserved name, or its method is not enabled
+	 */
+	validAliases_(aliases) {
+		Object.keys(aliases).forEach((name) => {
+			const httpMethod = aliases[name]
+			if (name !== name.toLowerCase())
+				throw new Error(`Invalid alias, ${name}; aliases must be lowercase`)
+			if (httpMethods.isHttpMethod(name) || kReservedMethods.includes(name))
+				throw new Error(`Invalid alias, ${name}; aliases may not be an HTTP method or reserved name (${kReservedMethods.join(', ')})`)
+			if (httpMethod !== 'all' && !this.supportedMethodsSet_.has(httpMethod))
+				throw new Error(`Invalid alias, ${name}; ${httpMethod} is not a supported method`)
+		})
+		return aliases
+	}
+
 	/**
 	 * Copies all callback functions in ${middlewareSubStack} into the single, flat ${target} array.
 	 *
@@ -741,6 +2459,233 @@ class PathRoutifier {
 		if (this.logger_)
 			this.logger_.info(...params)
 	}
+
+	/**
+	 * Call the warn method on any configured bunyan logger (if defined).
+	 *
+	 * @param {...any} params
+	 */
+	warn_(...params) {
+		if (this.logger_)
+			this.logger_.warn(...params)
+	}
+}
+
+/**
+ * @param {String} httpMethod
+ * @returns {String} why files (and method map keys) of ${httpMethod} are ignored
+ */
+function disabledMethodMessage(httpMethod) {
+	return `${httpMethod} is an HTTP method but is not enabled (see options.methods)`
+}
+
+/**
+ * @param {Object} ignoredFile
+ * @returns {String} description of ${ignoredFile} (e.g. for log messages)
+ */
+function ignoredFileMessage(ignoredFile) {
+	return `${ignoredFile.path}: ${ignoredFile.message} (${ignoredFile.reason})`
+}
+
+/**
+ * @param {FileName?} fileName
+ * @param {Object} aliases method by alias name
+ * @returns {FileName?} ${fileName} with the method that its alias (if any) maps to
+ */
+function aliasFileName(fileName, aliases) {
+	if (!fileName || !Object.keys(aliases).includes(fileName.httpMethod))
+		return fileName
+
+	return Object.assign({}, fileName, {httpMethod: aliases[fileName.httpMethod]})
+}
+
+/**
+ * Express and koa handle HEAD requests with the GET route of an endpoint; therefore, each head
+ * route info is moved before any get route info of the same endpoint (neither having a numeric
+ * prefix).
+ *
+ * @param {Array.<Object>} routeInfos normal route infos of a single directory
+ * @returns {Array.<Object>}
+ */
+function prioritizeHeadRouteInfos(routeInfos) {
+	const result = routeInfos.slice()
+	const isCognate = (routeInfo, httpMethod, isStar) => routeInfo.httpMethod === httpMethod &&
+		routeInfo.isStar === isStar &&
+		!routeInfo.hasNumericPrefix
+	routeInfos.forEach((routeInfo) => {
+		if (!isCognate(routeInfo, 'head', routeInfo.isStar))
+			return
+
+		const getIndex = result.findIndex((x) => isCognate(x, 'get', routeInfo.isStar))
+		const headIndex = result.indexOf(routeInfo)
+		if (getIndex !== -1 && getIndex < headIndex) {
+			result.splice(headIndex, 1)
+			result.splice(getIndex, 0, routeInfo)
+		}
+	})
+	return result
+}
+
+/**
+ * Reserves the key of the middleware described by ${middlewareInfo} until it has been initialized
+ * (see loadMiddlewares). Reading it beforehand (e.g. from a factory that does not declare it as a
+ * dependency) throws an error rather than returning a callback that would never respond.
+ *
+ * @param {Object} middlewareInfo
+ */
+function reserveMiddleware(middlewareInfo) {
+	Reflect.defineProperty(middlewareInfo.ref, middlewareInfo.name, {
+		get() {
+			throw new Error(`The middleware, ${middlewareInfo.id}, was used before it was initialized; ` +
+				'list it in the dependencies of the middleware that uses it')
+		},
+		enumerable: true,
+		configurable: true
+	})
+}
+
+/**
+ * @param {Object} ref
+ * @param {String} name
+ * @returns {Boolean} true if ${name} of ${ref} is reserved for a middleware (see reserveMiddleware)
+ */
+function isReservedMiddleware(ref, name) {
+	const descriptor = Reflect.getOwnPropertyDescriptor(ref, name)
+	return !!descriptor && typeof descriptor.get === 'function'
+}
+
+/**
+ * Orders ${middlewareInfos} such that each middleware follows those it depends on; otherwise,
+ * traversal order is preserved.
+ *
+ * @param {Array.<Object>} middlewareInfos prepared middlewares (see prepareMiddleware_)
+ * @returns {Array.<Object>}
+ * @throws {Error} if a dependency does not exist or the dependencies are circular
+ */
+function middlewareLoadOrder(middlewareInfos) {
+	const middlewareInfosById = new Map(middlewareInfos.map((middlewareInfo) => [middlewareInfo.id, middlewareInfo]))
+	const ordered = []
+	const visited = new Set()
+	const visiting = []
+
+	function visit(middlewareInfo) {
+		if (visited.has(middlewareInfo.id))
+			return
+
+		const cycleStart = visiting.indexOf(middlewareInfo.id)
+		if (cycleStart !== -1) {
+			const cycle = visiting.slice(cycleStart).concat(middlewareInfo.id)
+			throw new Error(`Circular middleware dependencies: ${cycle.join(' -> ')}`)
+		}
+
+		visiting.push(middlewareInfo.id)
+		middlewareInfo.dependencies.forEach((id) => {
+			if (!middlewareInfosById.has(id))
+				throw new Error(`The middleware, ${middlewareInfo.id}, depends on an unknown middleware, ${id}`)
+			visit(middlewareInfosById.get(id))
+		})
+		visiting.pop()
+		visited.add(middlewareInfo.id)
+		ordered.push(middlewareInfo)
+	}
+
+	middlewareInfos.forEach(visit)
+	return ordered
+}
+
+/**
+ * @param {Object} middlewares global middlewares tree (see loadMiddlewares)
+ * @param {String} [prefix = '']
+ * @returns {Map.<Function, String>} dotted name (e.g. auth.validToken) of each callback in
+ *   ${middlewares}
+ */
+function globalMiddlewareNames(middlewares, prefix = '') {
+	const result = new Map()
+	Object.keys(middlewares || {}).forEach((key) => {
+		const name = prefix + key
+		const value = middlewares[key]
+		if (typeof value === 'function')
+			result.set(value, name)
+		else if (Array.isArray(value))
+			value.forEach((callback) => result.set(callback, name))
+		else if (value && typeof value === 'object')
+			globalMiddlewareNames(value, `${name}.`).forEach((nestedName, callback) => result.set(callback, nestedName))
+	})
+	return result
+}
+
+/**
+ * @param {Array.<Object>} files each with the handlers produced by the file at path
+ * @returns {Map.<Function, String>} path of the (first) file that produced each handler
+ */
+function callbackSources(files) {
+	const result = new Map()
+	files.forEach((file) => {
+		file.handlers.forEach((handler) => {
+			if (!result.has(handler))
+				result.set(handler, file.path)
+		})
+	})
+	return result
+}
+
+/**
+ * @param {FileName} fileName decoded name of a route middleware or error handler file (see
+ *   lib/conventions.js)
+ * @param {Boolean} isErrorHandler
+ * @returns {String} the type of origin (see routes)
+ */
+function routeMiddlewareType(fileName, isErrorHandler) {
+	if (isErrorHandler)
+		return 'error-handler'
+
+	if (fileName.hasMiddlewarePrefix && fileName.httpMethod === kParamHandlerMethod)
+		return 'param-handler'
+
+	return fileName.hasMiddlewarePrefix ? 'middleware-file' : 'middleware-directory'
+}
+
+/**
+ * @param {Object} routeInfo
+ * @returns {Boolean} true if ${routeInfo} is a route middleware (prefixed with the caret symbol)
+ *   or error handler file rather than a route handler
+ */
+function isRouteMiddleware(routeInfo) {
+	return routeInfo.hasMiddlewarePrefix || routeInfo.httpMethod === kErrorHandlerMethod
+}
+
+/**
+ * @param {String} endpoint express route path (e.g. /users/:id(\d+))
+ * @returns {String} ${endpoint} using $ for parameters (e.g. /users/$id(\d+))
+ */
+function dollarParams(endpoint) {
+	return endpoint.replace(/\/:/g, '/$')
+}
+
+/**
+ * @param {String} httpMethod
+ * @param {String} endpoint using either $ or : for parameters
+ * @returns {String} key that identifies the route with ${httpMethod} and ${endpoint} (e.g.
+ *   get /owners/$id)
+ */
+function routeKey(httpMethod, endpoint) {
+	return `${httpMethod.toLowerCase()} ${dollarParams(endpoint)}`
+}
+
+/**
+ * @param {any} moduleExports
+ * @returns {Function} the handler factory function exported by ${moduleExports} or the factory
+ *   equivalent of its exported handler declaration
+ */
+function handlerFactory(moduleExports) {
+	const declaration = declarativeHandler.declaration(moduleExports)
+	if (declaration)
+		return declarativeHandler.factory(declaration)
+
+	const handlerModule = moduleLoader.exportedFunction(moduleExports)
+	if (!handlerModule)
+		throw new Error('Module did not export a function or handler declaration')
+	return handlerModule
 }
 
 /**
@@ -756,3 +2701,19 @@ function toArray(functionOrArray) {
 
 	throw new Error('Expected a single or array of express-compatible callback functions')
 }
+
+/**
+ * Throws an error with ${message} if ${value} is a promise (i.e. returned by a factory or loader
+ * during a synchronous call). Any rejection of ${value} is handled so that it does not terminate
+ * the process as an unhandled rejection.
+ *
+ * @param {any} value
+ * @param {String} message
+ */
+function throwIfPromise(value, message) {
+	if (!value || typeof value.then !== 'function')
+		return
+
+	value.then(null, () => {})
+	throw new Error(message)
+}
@@ -19,6 +19,10 @@ const kTestDataPath = path.resolve(__dirname, '..', 'test-data')
 const kTestRootMiddlewarePath = path.resolve(kTestDataPath, 'middlewares')
 const kTestRootRoutingPath = path.resolve(kTestDataPath, 'routing')
 const kTestRootRoutingErrorPath = path.resolve(kTestDataPath, 'routing-errors')
+const kTestRootRoutingAsyncPath = path.resolve(kTestDataPath, 'routing-async')
+const kTestRootRoutingEsmPath = path.resolve(kTestDataPath, 'routing-esm')
+const kTestRootRoutingTsPath = path.resolve(kTestDataPath, 'routing-ts')
+const kTestRootRoutingContextPath = path.resolve(kTestDataPath, 'routing-context')
 
 const logger = bunyan.createLogger({
 	name: 'PathRoutifierTester',
@@ -46,6 +50,27 @@ describe('PathRoutifier', function() {
 				autoNameAnonymousMiddleware: true
 			})
 		})
+
+		it('methods, extensions and loader options', function() {
+			new PathRoutifier(app, {
+				methods: ['get'],
+				extensions: ['.js', '.mjs'],
+				loader: require
+			})
+		})
+
+		it('methods may include all', function() {
+			const x = new PathRoutifier(app, {methods: ['get', 'all']})
+			x.routify(kTestRootRoutingPath)
+
+			expect(x.routes().map((route) => route.httpMethod)).include.members(['get', 'all'])
+		})
+
+		it('extension without leading period throws error', function() {
+			expect(function() {
+				new PathRoutifier(app, {extensions: ['js']})
+			}).throw(Error)
+		})
 	})
 
 	describe('loadMiddlewares', function() {
@@ -114,9 +139,309 @@ describe('PathRoutifier', function() {
 				underScoresWork: 'underScoresWork'
 			})
 		})
+
+		it('promise returned by middleware factory throws error', function() {
+			const x = new PathRoutifier(app)
+			expect(function() {
+				x.loadMiddlewares(path.resolve(kTestRootMiddlewarePath, 'async'))
+			}).throw(Error, 'returned a promise; use loadMiddlewaresAsync instead')
+		})
+	})
+
+	describe('loadMiddlewaresAsync', function() {
+		it('resolves promises returned by middleware factories', function() {
+			const x = new PathRoutifier(app)
+			const testPath = path.resolve(kTestRootMiddlewarePath, 'async')
+
+			return x.loadMiddlewaresAsync(testPath)
+				.then((result) => {
+					replaceFnsWithNames(result)
+
+					expect(result).eql({
+						delayed: 'delayed',
+						immediate: 'immediate',
+						nested: {
+							promised: 'promised'
+						}
+					})
+					expect(Object.keys(result)).eql(['delayed', 'immediate', 'nested'])
+				})
+		})
+
+		it('produces the same result as loadMiddlewares', function() {
+			const x = new PathRoutifier(app, {autoNameAnonymousMiddleware: true})
+			const testPath = path.resolve(kTestRootMiddlewarePath, 'camel-case')
+			const expected = x.loadMiddlewares(testPath)
+
+			replaceFnsWithNames(expected)
+
+			return x.loadMiddlewaresAsync(testPath)
+				.then((result) => {
+					replaceFnsWithNames(result)
+					expect(result).eql(expected)
+				})
+		})
+
+		it('does not read the directories synchronously', function() {
+			const dirTools = require('./dir-tools')
+			const traverseDirectory = dirTools.traverseDirectory
+			const x = new PathRoutifier(app)
+			dirTools.traverseDirectory = () => {
+				throw new Error('Expected the asynchronous traversal')
+			}
+
+			let loading = null
+			try {
+				loading = x.loadMiddlewaresAsync(path.resolve(kTestRootMiddlewarePath, 'async'))
+			}
+			finally {
+				dirTools.traverseDirectory = traverseDirectory
+			}
+			return loading
+				.then((result) => {
+					expect(Object.keys(result)).eql(['delayed', 'immediate', 'nested'])
+				})
+		})
+	})
+
+	describe('context and middleware dependencies', function() {
+		const kDependenciesPath = path.resolve(kTestRootMiddlewarePath, 'dependencies')
+
+		function createContext() {
+			return {
+				config: {name: 'test'},
+				db: {user: 'luke'},
+				initialized: []
+			}
+		}
+
+		function dependentLoader(dependenciesByName) {
+			return (modulePath) => {
+				const factory = () => function() {}
+				factory.dependencies = dependenciesByName[path.basename(modulePath, '.js')] || []
+				return factory
+			}
+		}
+
+		it('loadMiddlewares calls factories after those of their dependencies', function() {
+			const context = createContext()
+			const x = new PathRoutifier(app, {context})
+			const middlewares = x.loadMiddlewares(kDependenciesPath)
+
+			expect(context.initialized).eql(['auth.session', 'audit'])
+			expect(Object.keys(middlewares)).eql(['audit', 'auth'])
+			app.use(x.routify(kTestRootRoutingContextPath, middlewares))
+			return request(app).get('/')
+				.expect(200, ['^all test', 'audit luke', 'get / test'])
+		})
+
+		it('loadMiddlewaresAsync calls factories after those of their dependencies', function() {
+			const context = createContext()
+			const x = new PathRoutifier(app, {context})
+
+			return x.loadMiddlewaresAsync(kDependenciesPath)
+				.then((middlewares) => {
+					expect(context.initialized).eql(['auth.session', 'audit'])
+					expect(Object.keys(middlewares)).eql(['audit', 'auth'])
+					return x.routifyAsync(kTestRootRoutingContextPath, middlewares)
+				})
+				.then((router) => {
+					app.use(router)
+					return request(app).get('/')
+						.expect(200, ['^all test', 'audit luke', 'get / test'])
+				})
+		})
+
+		it('dependencies are named by the camelCased keys of hyphenated directories and files', function() {
+			const initialized = []
+			const x = new PathRoutifier(app, {
+				loader: (modulePath) => {
+					const name = path.basename(modulePath, '.js')
+					const factory = () => {
+						initialized.push(name)
+						return function() {}
+					}
+					factory.dependencies = name === 'should-camel-case' ? ['authUsers.userExists'] : []
+					return factory
+				}
+			})
+			x.loadMiddlewares(path.resolve(kTestRootMiddlewarePath, 'camel-case'))
+
+			expect(initialized.indexOf('user-exists')).below(initialized.indexOf('should-camel-case'))
+		})
+
+		it('unknown dependency throws error', function() {
+			const x = new PathRoutifier(app, {loader: dependentLoader({audit: ['auth.missing']})})
+
+			expect(() => x.loadMiddlewares(kDependenciesPath))
+				.throw(Error, 'The middleware, audit, depends on an unknown middleware, auth.missing')
+		})
+
+		it('undeclared dependency that is not yet initialized throws error', function() {
+			const x = new PathRoutifier(app, {
+				loader: (modulePath) => (app2, middlewares) => {
+					if (path.basename(modulePath) === 'audit.js')
+						return middlewares.auth.session
+					return function() {}
+				}
+			})
+
+			expect(() => x.loadMiddlewares(kDependenciesPath))
+				.throw(Error, 'The middleware, auth.session, was used before it was initialized; list it in the dependencies of the middleware that uses it')
+		})
+
+		it('circular dependencies reject', function() {
+			const x = new PathRoutifier(app, {loader: dependentLoader({audit: ['auth.session'], session: ['audit']})})
+
+			return x.loadMiddlewaresAsync(kDependenciesPath)
+				.then(() => {
+					throw new Error('expected a rejection')
+				}, (error) => {
+					expect(error.message).equal('Circular middleware dependencies: audit -> auth.session -> audit')
+				})
+		})
+	})
+
+	describe('extensions and loader', function() {
+		const kExtensions = ['.js', '.mjs', '.cjs']
+
+		it('loadMiddlewaresAsync imports ES modules with a default export', function() {
+			const x = new PathRoutifier(app, {extensions: kExtensions})
+			const testPath = path.resolve(kTestRootMiddlewarePath, 'esm')
+
+			return x.loadMiddlewaresAsync(testPath)
+				.then((result) => {
+					replaceFnsWithNames(result)
+
+					expect(result).eql({
+						common: 'common',
+						defaultExport: 'defaultExport'
+					})
+				})
+		})
+
+		it('routifyAsync imports ES modules with a default export', function() {
+			const x = new PathRoutifier(app, {extensions: kExtensions})
+
+			return x.loadMiddlewaresAsync(path.resolve(kTestRootMiddlewarePath, 'esm'))
+				.then((middlewares) => x.routifyAsync(kTestRootRoutingEsmPath, middlewares))
+				.then((router) => {
+					app.use(router)
+
+					return Promise.all([
+						request(app).get('/')
+							.expect(200, ['all ^all.mjs', 'mw:defaultExport', 'get / (mjs)']),
+						request(app).post('/')
+							.expect(200, ['all ^all.mjs', 'post / (cjs)']),
+						request(app).get('/users')
+							.expect(200, ['all ^all.mjs', 'get /users (default export)'])
+					])
+				})
+		})
+
+		it('files with other extensions are ignored', function() {
+			const x = new PathRoutifier(app)
+			const dryRoutes = x.dryRoutify(kTestRootRoutingEsmPath)
+
+			expect(dryRoutes.map((dryRoute) => dryRoute.routes.map((route) => route.fileName))).eql([
+				[],
+				['get.js']
+			])
+		})
+
+		it('loader is used for routes and middlewares', function() {
+			const loadedPaths = []
+			const x = new PathRoutifier(app, {
+				extensions: ['.ts'],
+				loader: (modulePath) => {
+					loadedPaths.push(modulePath)
+					return require(modulePath)
+				}
+			})
+			const middlewaresPath = path.resolve(kTestRootMiddlewarePath, 'ts')
+			const middlewares = x.loadMiddlewares(middlewaresPath)
+			const router = x.routify(kTestRootRoutingTsPath, middlewares)
+
+			replaceFnsWithNames(middlewares)
+			expect(middlewares).eql({
+				hasAccount: 'hasAccount'
+			})
+			expect(loadedPaths).eql([
+				path.resolve(middlewaresPath, 'has-account.ts'),
+				path.resolve(kTestRootRoutingTsPath, 'get.ts')
+			])
+
+			app.use(router)
+			return request(app).get('/')
+				.expect(200, ['get / (ts)'])
+		})
+
+		it('synchronous API throws error if loader returns a promise', function() {
+			const x = new PathRoutifier(app, {
+				extensions: ['.ts'],
+				loader: (modulePath) => Promise.resolve(require(modulePath))
+			})
+
+			expect(function() {
+				x.routify(kTestRootRoutingTsPath)
+			}).throw(Error)
+		})
+
+		it('asynchronous API supports loader that returns a promise', function() {
+			const x = new PathRoutifier(app, {
+				extensions: ['.ts'],
+				loader: (modulePath) => Promise.resolve(require(modulePath))
+			})
+
+			return x.routifyAsync(kTestRootRoutingTsPath)
+				.then((router) => {
+					app.use(router)
+					return request(app).get('/')
+						.expect(200, ['get / (ts)'])
+				})
+		})
 	})
 
 	describe('routify', function() {
+		it('promise returned by handler factory throws error', function() {
+			const x = new PathRoutifier(app)
+			expect(function() {
+				x.routify(path.resolve(kTestRootRoutingErrorPath, 'async-rejection'))
+			}).throw(Error, 'returned a promise; use routifyAsync instead')
+		})
+
+		it('rejecting handler factory does not cause an unhandled rejection', function() {
+			const unhandledRejections = []
+			function onUnhandledRejection(reason) {
+				unhandledRejections.push(reason)
+			}
+			process.on('unhandledRejection', onUnhandledRejection)
+
+			const x = new PathRoutifier(app)
+			expect(function() {
+				x.routify(path.resolve(kTestRootRoutingErrorPath, 'async-rejection'))
+			}).throw(Error)
+
+			return new Promise((resolve) => setImmediate(resolve))
+				.then(() => {
+					process.removeListener('unhandledRejection', onUnhandledRejection)
+					expect(unhandledRejections).eql([])
+				})
+		})
+
+		it('error thrown by handler factory is tagged with the offending file path', function() {
+			const x = new PathRoutifier(app)
+			const routesPath = path.resolve(kTestRootRoutingErrorPath, 'invalid-return')
+			try {
+				x.routify(routesPath)
+			}
+			catch (error) {
+				expect(error.sourcePath).equal(path.resolve(routesPath, 'get.js'))
+				return
+			}
+			throw new Error('Expected routify to throw')
+		})
+
 		it('empty routesPath throws error', function() {
 			const x = new PathRoutifier(app)
 			expect(function() {
@@ -147,6 +472,30 @@ describe('PathRoutifier', function() {
 			{
 				subDirectory: 'caret-with-star',
 				description: 'caret prefix may not be applied to star file handlers'
+			},
+			{
+				subDirectory: 'ambiguous-schema',
+				description: 'handler with both a schema file and exported schema'
+			},
+			{
+				subDirectory: 'invalid-schema',
+				description: 'handler with an invalid request schema'
+			},
+			{
+				subDirectory: 'unknown-declared-middleware',
+				description: 'handler declaration with an unknown middleware'
+			},
+			{
+				subDirectory: 'invalid-skip-upstream',
+				description: 'handler declaration skipping a middleware that is not upstream'
+			},
+			{
+				subDirectory: 'invalid-param-pattern',
+				description: 'parameter directory with an invalid pattern'
+			},
+			{
+				subDirectory: 'invalid-error-handler',
+				description: 'error handler that does not accept four arguments'
 			}
 		]
 
@@ -354,7 +703,9 @@ describe('PathRoutifier', function() {
 								hasMiddlewarePrefix: false,
 								hasNumericPrefix: false,
 								httpMethod: 'get',
-								isStar: false
+								isStar: false,
+								params: [],
+								errorHandlerPaths: []
 							},
 							{
 								endpoint: '/',
@@ -363,7 +714,9 @@ describe('PathRoutifier', function() {
 								hasMiddlewarePrefix: false,
 								hasNumericPrefix: false,
 								httpMethod: 'patch',
-								isStar: false
+								isStar: false,
+								params: [],
+								errorHandlerPaths: []
 							},
 							{
 								endpoint: '/',
@@ -372,7 +725,9 @@ describe('PathRoutifier', function() {
 								hasMiddlewarePrefix: false,
 								hasNumericPrefix: false,
 								httpMethod: 'post',
-								isStar: false
+								isStar: false,
+								params: [],
+								errorHandlerPaths: []
 							}
 						]
 					},
@@ -386,7 +741,9 @@ describe('PathRoutifier', function() {
 								hasMiddlewarePrefix: false,
 								hasNumericPrefix: false,
 								httpMethod: 'patch',
-								isStar: false
+								isStar: false,
+								params: [{name: 'type', type: null, pattern: null, optional: false, catchAll: false}],
+								errorHandlerPaths: []
 							}
 						]
 					}
@@ -394,7 +751,1396 @@ describe('PathRoutifier', function() {
 			})
 		})
 	})
-})
+
+	describe('declarative handlers', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-declarative')
+		const middlewares = {
+			auth: {
+				hasAccount(req, res, next) {
+					res.locals.stack.push('auth.hasAccount')
+					next()
+				}
+			},
+			audit: [
+				function(req, res, next) {
+					res.locals.stack.push('audit')
+					next()
+				}
+			]
+		}
+
+		beforeEach(function() {
+			const x = new PathRoutifier(app)
+			app.use(x.routify(routesPath, middlewares))
+		})
+
+		it('declared middlewares run before the handler and skipUpstream removes middleware by name', function() {
+			return request(app).post('/')
+				.expect(200, ['^all', 'auth.hasAccount', 'audit', 'post /'])
+		})
+
+		it('skipped upstream middleware still applies to other routes', function() {
+			return request(app).post('/users')
+				.expect(200, ['^all', '^post', 'post /users'])
+		})
+
+		it('default exported declaration with an array of handlers', function() {
+			return request(app).get('/')
+				.expect(200, ['^all', 'auth.hasAccount', '^get', 'get / (1)', 'get / (2)'])
+		})
+	})
+
+	describe('routes', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-declarative')
+		const middlewares = {
+			auth: {
+				hasAccount(req, res, next) {
+					next()
+				}
+			},
+			audit: [
+				function(req, res, next) {
+					next()
+				}
+			]
+		}
+
+		function relativeRoutes(routes, root) {
+			return routes.map((route) => Object.assign({}, route, {
+				path: path.relative(root, route.path),
+				middlewares: route.middlewares.map((origin) => (origin.path ? Object.assign({}, origin, {path: path.relative(root, origin.path)}) : origin))
+			}))
+		}
+
+		it('empty before routify', function() {
+			expect(new PathRoutifier(app).routes()).eql([])
+		})
+
+		it('lists the origin of each callback of each registered route', function() {
+			const x = new PathRoutifier(app)
+			x.routify(routesPath, middlewares)
+
+			expect(relativeRoutes(x.routes(), routesPath)).eql([
+				{
+					httpMethod: 'get',
+					endpoint: '/',
+					path: 'get.js',
+					numericPrefix: null,
+					isStar: false,
+					middlewares: [
+						{type: 'middleware-file', path: '^all.js'},
+						{type: 'middleware-file', path: '^get.js'},
+						{type: 'middleware-file', path: '^get.js'},
+						{type: 'handler', path: 'get.js'},
+						{type: 'handler', path: 'get.js'}
+					]
+				},
+				{
+					httpMethod: 'post',
+					endpoint: '/',
+					path: 'post.js',
+					numericPrefix: null,
+					isStar: false,
+					middlewares: [
+						{type: 'middleware-file', path: '^all.js'},
+						{type: 'global', name: 'auth.hasAccount'},
+						{type: 'global', name: 'audit'},
+						{type: 'handler', path: 'post.js'}
+					]
+				},
+				{
+					httpMethod: 'post',
+					endpoint: '/users',
+					path: 'users/post.js',
+					numericPrefix: null,
+					isStar: false,
+					middlewares: [
+						{type: 'middleware-file', path: '^all.js'},
+						{type: 'middleware-file', path: '^post.js'},
+						{type: 'handler', path: 'users/post.js'}
+					]
+				}
+			])
+		})
+
+		it('numeric prefix, wildcard and middleware directory files', function() {
+			const x = new PathRoutifier(app)
+			x.routify(kTestRootRoutingPath, {jsonBody() {}, validToken() {}})
+			const routes = relativeRoutes(x.routes(), kTestRootRoutingPath)
+
+			expect(routes.find((route) => route.path === 'colors/1.get.js').numericPrefix).equal(1)
+			expect(routes.find((route) => route.path === 'all.star.js').isStar).equal(true)
+			expect(routes.find((route) => route.path === 'owners/$id/^protected/accounts/post.js').middlewares).eql([
+				{type: 'middleware-directory', path: 'owners/$id/^protected/all.js'},
+				{type: 'middleware-directory', path: 'owners/$id/^protected/post.js'},
+				{type: 'handler', path: 'owners/$id/^protected/accounts/post.js'}
+			])
+		})
+
+		it('error handlers and fallback routes are included', function() {
+			const x = new PathRoutifier(app)
+			const errorHandlersPath = path.resolve(kTestDataPath, 'routing-error-handlers')
+			x.routify([
+				{path: errorHandlersPath, prefix: '/v1'},
+				{path: path.resolve(errorHandlersPath, 'healthy'), prefix: '/v2', fallback: '/v1'}
+			])
+			const route = relativeRoutes(x.routes(), errorHandlersPath).find((r) => r.endpoint === '/v2/owners/:id')
+
+			expect(route.middlewares).eql([
+				{type: 'handler', path: 'owners/$id/get.js'},
+				{type: 'error-handler', path: 'owners/$id/^error.js'},
+				{type: 'error-handler', path: 'owners/^error.js'},
+				{type: 'error-handler', path: '^error.js'}
+			])
+		})
+
+		it('dry run lists the files that apply to each route', function() {
+			const x = new PathRoutifier()
+			x.dryRoutify(routesPath)
+
+			expect(relativeRoutes(x.routes(), routesPath)[2].middlewares).eql([
+				{type: 'middleware-file', path: '^all.js'},
+				{type: 'middleware-file', path: '^post.js'},
+				{type: 'handler', path: 'users/post.js'}
+			])
+		})
+	})
+
+	describe('request validation', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-validation')
+
+		beforeEach(function() {
+			app.use(express.json())
+		})
+
+		it('valid request reaches the handler with coerced params', function() {
+			const x = new PathRoutifier(app)
+			app.use(x.routify(routesPath))
+
+			return request(app).post('/owners/5')
+				.send({name: 'Rex'})
+				.expect(200, {id: 5, name: 'Rex'})
+		})
+
+		it('invalid request responds 400 with every error', function() {
+			const x = new PathRoutifier(app)
+			app.use(x.routify(routesPath))
+
+			return request(app).post('/owners/abc')
+				.send({})
+				.expect(400, {
+					errors: [
+						{location: 'params', path: '.id', keyword: 'type', message: 'should be integer'},
+						{location: 'body', path: '', keyword: 'required', message: 'should have required property \'name\''}
+					]
+				})
+		})
+
+		it('schema exported by the handler module validates query and headers', function() {
+			const x = new PathRoutifier(app)
+			app.use(x.routify(routesPath))
+
+			return request(app).get('/owners?limit=500')
+				.set('X-Api-Version', '2')
+				.expect(400)
+				.expect((res) => {
+					expect(res.body.errors.map((error) => [error.location, error.path])).eql([
+						['headers', '[\'x-api-version\']'],
+						['query', '.limit']
+					])
+				})
+				.then(() => request(app).get('/owners?limit=50')
+					.expect(200, {limit: 50}))
+		})
+
+		it('routes without a schema are not validated', function() {
+			const x = new PathRoutifier(app)
+			app.use(x.routify(routesPath))
+
+			return request(app).get('/owners/abc')
+				.expect(200, {id: 'abc'})
+		})
+
+		it('routifyAsync also validates requests', function() {
+			const x = new PathRoutifier(app)
+			return x.routifyAsync(routesPath)
+				.then((router) => {
+					app.use(router)
+					return request(app).post('/owners/5')
+						.send({name: 42})
+						.expect(400)
+				})
+		})
+
+		it('lazy routes validate requests against co-located and exported schemas', function() {
+			const x = new PathRoutifier(app, {lazy: true})
+			app.use(x.routify(routesPath))
+
+			return request(app).post('/owners/abc')
+				.send({name: 'Rex'})
+				.expect(400)
+				.then(() => request(app).get('/owners?limit=500')
+					.expect(400))
+				.then(() => request(app).get('/owners?limit=50')
+					.expect(200, {limit: 50}))
+		})
+
+		it('lazy mode compiles co-located schema files immediately', function() {
+			const x = new PathRoutifier(app, {lazy: true})
+			expect(() => {
+				x.routify(path.resolve(kTestDataPath, 'routing-validation-invalid'))
+			}).throw(Error, 'schema is invalid')
+		})
+
+		it('inspect includes the schema of each route', function() {
+			const x = new PathRoutifier()
+			const result = x.inspect(routesPath)
+			const route = result.routes.find((r) => r.httpMethod === 'post')
+
+			expect(route.schema.body.required).eql(['name'])
+		})
+	})
+
+	describe('multiple roots', function() {
+		const rootsPath = path.resolve(kTestDataPath, 'routing-roots')
+		const roots = [
+			{path: path.resolve(rootsPath, 'v1'), prefix: '/v1'},
+			{path: path.resolve(rootsPath, 'v2'), prefix: '/v2/', fallback: '/v1'},
+			{path: path.resolve(rootsPath, 'plugin')}
+		]
+
+		const inputs = [
+			['get', '/v1', {version: 'v1', route: 'get /', params: {}}],
+			['get', '/v1/users/5', {version: 'v1', route: 'get /users/:id', params: {id: '5'}}],
+			['get', '/v2/users', {version: 'v2', route: 'get /users', params: {}}],
+			['get', '/v2', {version: 'v1', route: 'get /', params: {}}],
+			['get', '/v2/users/7', {version: 'v1', route: 'get /users/:id', params: {id: '7'}}],
+			['get', '/v2/status', {version: 'v2', route: 'all /status', params: {}}],
+			['get', '/health', {version: 'plugin', route: 'get /health', params: {}}]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} ${input[1]}`, function() {
+				app.use(new PathRoutifier(app).routify(roots))
+
+				return request(app)[input[0]](input[1])
+					.expect(200, input[2])
+			})
+		})
+
+		it('routes are generated in root order with fallback routes after the root\'s own routes', function() {
+			const result = new PathRoutifier().inspect(roots)
+
+			expect(result.routes.map((route) => [
+				`${route.httpMethod} ${route.endpoint}`,
+				path.relative(rootsPath, route.path)
+			])).eql([
+				['get /v1', 'v1/get.js'],
+				['get /v1/status', 'v1/status/get.js'],
+				['get /v1/users', 'v1/users/get.js'],
+				['get /v1/users/:id', 'v1/users/$id/get.js'],
+				['all /v2/status', 'v2/status/all.js'],
+				['get /v2/users', 'v2/users/get.js'],
+				['get /v2', 'v1/get.js'],
+				['get /v2/users/:id', 'v1/users/$id/get.js'],
+				['get /health', 'plugin/health/get.js']
+			])
+			expect(result.conflicts).eql([])
+		})
+
+		it('without a fallback, unmatched routes are not found', function() {
+			app.use(new PathRoutifier(app).routify(roots.map((root) => ({path: root.path, prefix: root.prefix}))))
+
+			return request(app).get('/v2/users/7')
+				.expect(404)
+		})
+
+		it('conflicts are detected across roots', function() {
+			const result = new PathRoutifier().inspect([
+				{path: path.resolve(rootsPath, 'v1')},
+				{path: path.resolve(rootsPath, 'v2')}
+			])
+
+			expect(result.conflicts.map((conflict) => [conflict.type, conflict.route.endpoint])).eql([
+				['duplicate', '/users']
+			])
+		})
+
+		it('fallback to a root that does not precede it throws error', function() {
+			expect(function() {
+				new PathRoutifier(app).routify([
+					{path: path.resolve(rootsPath, 'v2'), prefix: '/v2', fallback: '/v1'},
+					{path: path.resolve(rootsPath, 'v1'), prefix: '/v1'}
+				])
+			}).throw(Error, /fallback, \/v1, is not the prefix of a preceding root/)
+		})
+
+		it('routifyAsync generates the same routes', function() {
+			return new PathRoutifier(app).routifyAsync(roots)
+				.then((router) => {
+					app.use(router)
+					return request(app).get('/v2/users/7')
+						.expect(200, {version: 'v1', route: 'get /users/:id', params: {id: '7'}})
+				})
+		})
+	})
+
+	describe('naming conventions', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-conventions')
+		const options = {
+			conventions: {
+				middlewarePrefix: '_',
+				paramPrefix: '[',
+				paramSuffix: ']',
+				orderSeparator: '-',
+				starSuffix: '+all',
+				methodPattern: '[a-zA-Z]+'
+			}
+		}
+
+		const inputs = [
+			['/owners', 200, ['get+all.js', '_auth/all.js', 'owners/_get.js', 'owners/1-get.js']],
+			['/owners/5', 200, ['get+all.js', '_auth/all.js', 'owners/_get.js', 'owners/[id(int)]/GET.js 5']],
+			['/owners/abc', 404],
+			['/files/a/b', 200, ['get+all.js', '_auth/all.js', 'files/[[path]]/get.js a/b']]
+		]
+
+		inputs.forEach((input) => {
+			it(`get ${input[0]}`, function() {
+				app.use(new PathRoutifier(app, options).routify(routesPath))
+
+				return request(app).get(input[0])
+					.expect(...input.slice(1))
+			})
+		})
+
+		it('routes reflect the custom conventions', function() {
+			const x = new PathRoutifier(app, options)
+			x.routify(routesPath)
+
+			expect(x.routes().map((route) => [route.httpMethod, route.endpoint, route.numericPrefix, route.isStar])).eql([
+				['get', '/*', null, true],
+				['get', '/files/:path(.+)', null, false],
+				['get', '/owners', 1, false],
+				['get', '/owners/:id(\\d+)', null, false]
+			])
+			expect(x.routes()[2].middlewares.map((origin) => origin.type)).eql(['middleware-directory', 'middleware-file', 'handler'])
+		})
+
+		it('files following the default conventions are ignored', function() {
+			const result = new PathRoutifier(null, options).inspect(routesPath)
+
+			expect(result.ignoredFiles.map((ignoredFile) => [path.relative(routesPath, ignoredFile.path), ignoredFile.reason])).eql([
+				['^get.js', 'invalid-name']
+			])
+		})
+
+		it('ambiguous conventions throw error', function() {
+			expect(function() {
+				new PathRoutifier(app, {conventions: {middlewarePrefix: '[', paramPrefix: '['}})
+			}).throw(Error, 'Invalid conventions: middlewarePrefix ([) and paramPrefix ([) are ambiguous')
+		})
+	})
+
+	describe('HTTP methods, aliases and method maps', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-verbs')
+		const options = {methods: '*', aliases: {index: 'get'}}
+
+		const inputs = [
+			['search', '/', 200, 'search /'],
+			['propfind', '/', 200, 'propfind /'],
+			['get', '/users', 200, 'index /users'],
+			['get', '/items', 200, 'get /items'],
+			['post', '/items', 200, 'post /items'],
+			['report', '/items', 200, 'report /items']
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} ${input[1]}`, function() {
+				app.use(new PathRoutifier(app, options).routify(routesPath))
+
+				return request(app)[input[0]](input[1])
+					.expect(...input.slice(2))
+			})
+		})
+
+		it('head /', function() {
+			app.use(new PathRoutifier(app, options).routify(routesPath))
+
+			return request(app).head('/')
+				.expect(200)
+				.expect('X-Handler', 'head /')
+		})
+
+		it('head routes precede the get route of their endpoint', function() {
+			const x = new PathRoutifier(app, options)
+			x.routify(routesPath)
+
+			expect(x.routes().map((route) => [route.httpMethod, route.endpoint, path.relative(routesPath, route.path)])).eql([
+				['head', '/', 'head.js'],
+				['get', '/', 'get.js'],
+				['propfind', '/', 'propfind.js'],
+				['search', '/', 'search.js'],
+				['get', '/items', path.join('items', 'route.js')],
+				['post', '/items', path.join('items', 'route.js')],
+				['report', '/items', path.join('items', 'route.js')],
+				['get', '/users', path.join('users', 'index.js')]
+			])
+		})
+
+		it('files and method map keys of methods that are not enabled are ignored with a warning', function() {
+			const warnings = []
+			const x = new PathRoutifier(app, {
+				logger: {
+					info() {},
+					warn(fields, message) {
+						warnings.push(message)
+					}
+				}
+			})
+			const result = x.inspect(routesPath)
+
+			expect(result.routes.map((route) => `${route.httpMethod} ${route.endpoint}`)).eql(['get /', 'get /items', 'post /items'])
+			expect(result.ignoredFiles.map((ignoredFile) => [path.relative(routesPath, ignoredFile.path), ignoredFile.reason])).eql([
+				['^route.js', 'method-map'],
+				['head.js', 'disabled-method'],
+				['propfind.js', 'disabled-method'],
+				['search.js', 'disabled-method'],
+				[path.join('items', 'route.js'), 'disabled-method'],
+				[path.join('users', 'index.js'), 'unsupported-method']
+			])
+			expect(warnings).eql([
+				`Ignored file: ${path.join(routesPath, '^route.js')}: method map files may not be prefixed with the caret symbol or have a wildcard suffix (method-map)`,
+				`Ignored file: ${path.join(routesPath, 'head.js')}: head is an HTTP method but is not enabled (see options.methods) (disabled-method)`,
+				`Ignored file: ${path.join(routesPath, 'propfind.js')}: propfind is an HTTP method but is not enabled (see options.methods) (disabled-method)`,
+				`Ignored file: ${path.join(routesPath, 'search.js')}: search is an HTTP method but is not enabled (see options.methods) (disabled-method)`,
+				`Ignored file: ${path.join(routesPath, 'items', 'route.js')}: report is an HTTP method but is not enabled (see options.methods) (disabled-method)`,
+				`Ignored file: ${path.join(routesPath, 'users', 'index.js')}: index is not a supported method (unsupported-method)`
+			])
+		})
+
+		it('routifyAsync and routifyFromManifest register the method map routes', function() {
+			const manifest = new PathRoutifier(null, options).createManifest(routesPath)
+			const manifestApp = express()
+			manifestApp.use(new PathRoutifier(manifestApp, options).routifyFromManifest(manifest))
+
+			return new PathRoutifier(app, options).routifyAsync(routesPath)
+				.then((router) => {
+					app.use(router)
+					return request(app).post('/items')
+						.expect(200, 'post /items')
+				})
+				.then(() => request(manifestApp).report('/items')
+					.expect(200, 'report /items'))
+		})
+
+		it('method map with an unknown key throws error', function() {
+			const x = new PathRoutifier(app, {
+				loader: (modulePath) => (path.basename(modulePath) === 'route.js' ? {get: require(modulePath).get, fetch: () => null} : require(modulePath))
+			})
+
+			expect(() => x.routify(routesPath)).throw(Error, 'Invalid method map key, fetch; keys must be lowercase HTTP methods or all')
+		})
+
+		const errorInputs = [
+			[{methods: ['get', 'fetch']}, 'Unsupported method, fetch; methods must be lowercase HTTP methods (see http.METHODS)'],
+			[{methods: ['GET']}, 'Unsupported method, GET; methods must be lowercase HTTP methods (see http.METHODS)'],
+			[{aliases: {post: 'get'}}, 'Invalid alias, post; aliases may not be an HTTP method or reserved name (all, error, param, route)'],
+			[{aliases: {route: 'get'}}, 'Invalid alias, route; aliases may not be an HTTP method or reserved name (all, error, param, route)'],
+			[{aliases: {Index: 'get'}}, 'Invalid alias, Index; aliases must be lowercase'],
+			[{aliases: {index: 'head'}}, 'Invalid alias, index; head is not a supported method']
+		]
+
+		errorInputs.forEach((input) => {
+			it(`throws error for ${JSON.stringify(input[0])}`, function() {
+				expect(() => new PathRoutifier(app, input[0])).throw(Error, input[1])
+			})
+		})
+	})
+
+	describe('route groups', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-groups')
+
+		beforeEach(function() {
+			app.use(new PathRoutifier(app).routify(routesPath))
+		})
+
+		const inputs = [
+			['get', '/', {route: 'get /', admin: false}],
+			['post', '/', {route: 'post /', admin: true}],
+			['get', '/settings', {route: 'get /settings', admin: true}],
+			['get', '/about', {route: 'get /about', admin: false}],
+			['get', '/users', {route: 'get /users', admin: false}],
+			['get', '/users/invoices', {route: 'get /users/invoices', admin: false}]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} ${input[1]}`, function() {
+				return request(app)[input[0]](input[1])
+					.expect(200, input[2])
+			})
+		})
+
+		it('group names are not part of the URL', function() {
+			return request(app).get('/(admin)/settings')
+				.expect(404)
+		})
+
+		it('inspect lists the group middleware of each grouped route', function() {
+			const result = new PathRoutifier().inspect(routesPath)
+
+			expect(result.routes.map((route) => [
+				`${route.httpMethod} ${route.endpoint}`,
+				route.middlewarePaths.map((middlewarePath) => path.relative(routesPath, middlewarePath))
+			])).eql([
+				['get /', []],
+				['post /', ['(admin)/^all.js']],
+				['get /settings', ['(admin)/^all.js']],
+				['get /about', []],
+				['get /users', []],
+				['get /users/invoices', []]
+			])
+		})
+
+		it('routifyAsync registers the same routes', function() {
+			const asyncApp = express()
+			return new PathRoutifier(asyncApp).routifyAsync(routesPath)
+				.then((router) => {
+					asyncApp.use(router)
+					return request(asyncApp).get('/settings')
+						.expect(200, {route: 'get /settings', admin: true})
+				})
+		})
+	})
+
+	describe('error handlers', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-error-handlers')
+
+		const inputs = [
+			['/', 500, {message: 'get /'}],
+			['/profile', 401, {error: 'Please sign in'}],
+			['/profile?token=1', 500, {message: 'get /profile'}],
+			['/owners', 500, 'owners: get /owners'],
+			['/owners/5', 500, 'owners: get /owners/:id (owner 5)'],
+			['/healthy', 200, 'ok']
+		]
+
+		describe('routify', function() {
+			beforeEach(function() {
+				app.use(new PathRoutifier(app).routify(routesPath))
+			})
+
+			inputs.forEach((input) => {
+				it(`get ${input[0]}`, function() {
+					return request(app).get(input[0])
+						.expect(input[1], input[2])
+				})
+			})
+		})
+
+		it('inspect lists the error handlers of each route nearest first', function() {
+			const result = new PathRoutifier().inspect(routesPath)
+
+			expect(result.routes.map((route) => [
+				`${route.httpMethod} ${route.endpoint}`,
+				route.errorHandlerPaths.map((errorHandlerPath) => path.relative(routesPath, errorHandlerPath))
+			])).eql([
+				['get /', ['^error.js']],
+				['get /profile', ['^auth/error.js', '^error.js']],
+				['get /healthy', ['^error.js']],
+				['get /owners', ['owners/^error.js', '^error.js']],
+				['get /owners/:id', ['owners/$id/^error.js', 'owners/^error.js', '^error.js']]
+			])
+			expect(result.ignoredFiles.map((ignoredFile) => [path.relative(routesPath, ignoredFile.path), ignoredFile.reason])).eql([
+				['owners/1.error.js', 'error-handler']
+			])
+		})
+
+		it('error handlers of each route are logged', function() {
+			const errorHandlers = {}
+			const x = new PathRoutifier(app, {
+				logger: {
+					info(fields) {
+						errorHandlers[fields.endpoint] = fields.errorHandlers.map((errorHandlerPath) => path.relative(routesPath, errorHandlerPath))
+					},
+					warn() {}
+				}
+			})
+
+			x.dryRoutify(routesPath)
+
+			expect(errorHandlers['/profile']).eql(['^auth/error.js', '^error.js'])
+		})
+
+		it('routifyAsync registers the same error handlers', function() {
+			return new PathRoutifier(app).routifyAsync(routesPath)
+				.then((router) => {
+					app.use(router)
+					return request(app).get('/owners/5')
+						.expect(500, 'owners: get /owners/:id (owner 5)')
+				})
+		})
+
+		it('routifyFromManifest registers the same error handlers', function() {
+			const manifest = JSON.parse(JSON.stringify(new PathRoutifier().createManifest(routesPath)))
+			app.use(new PathRoutifier(app).routifyFromManifest(manifest))
+
+			return request(app).get('/profile')
+				.expect(401, {error: 'Please sign in'})
+		})
+
+		it('error.js without the caret prefix is ignored outside of middleware directories', function() {
+			const plainRoutesPath = path.resolve(kTestDataPath, 'routing-error-handlers-plain')
+			const result = new PathRoutifier().inspect(plainRoutesPath)
+
+			expect(result.routes.map((route) => [
+				`${route.httpMethod} ${route.endpoint}`,
+				route.errorHandlerPaths.map((errorHandlerPath) => path.relative(plainRoutesPath, errorHandlerPath))
+			])).eql([
+				['get /', []],
+				['get /users', ['^mw/error.js']]
+			])
+			expect(result.ignoredFiles).eql([
+				{
+					path: path.resolve(plainRoutesPath, 'error.js'),
+					reason: 'error-handler',
+					message: 'error handlers must be prefixed with the caret symbol (^error.js) outside of middleware directories'
+				}
+			])
+
+			app.use(new PathRoutifier(app).routify(plainRoutesPath))
+			return request(app).get('/users')
+				.expect(500, {message: '^mw/error.js: get /users'})
+		})
+	})
+
+	describe('param handlers', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-params')
+		let context = null
+
+		beforeEach(function() {
+			context = {calls: []}
+		})
+
+		const inputs = [
+			['/owners/1', 200, {owner: 'Luke'}, ['owner 1']],
+			['/owners/1/dogs', 200, {owner: 'Luke', dogs: ['Rex']}, ['owner 1']],
+			['/owners/2/dogs', 404, {message: 'owner 2 not found'}, ['owner 2']],
+			['/dogs/3', 200, {owner: null, dog: 'dog 3'}, ['dog 3']]
+		]
+
+		inputs.forEach((input) => {
+			it(`get ${input[0]}`, function() {
+				app.use(new PathRoutifier(app, {context}).routify(routesPath))
+
+				return request(app).get(input[0])
+					.expect(input[1], input[2])
+					.then(() => {
+						expect(context.calls).eql(input[3])
+					})
+			})
+		})
+
+		describe('order', function() {
+			const orderRoutesPath = path.resolve(kTestDataPath, 'routing-params-order')
+
+			it('param handlers follow the middlewares of the directories above their parameter directory', function() {
+				app.use(new PathRoutifier(app, {context}).routify(orderRoutesPath))
+
+				return request(app).get('/owners/1')
+					.set('Authorization', 'token')
+					.expect(200, ['^auth', 'owners/^get', 'owner 1', '^get'])
+			})
+
+			it('param handlers are not called if a middleware above responds', function() {
+				app.use(new PathRoutifier(app, {context}).routify(orderRoutesPath))
+
+				return request(app).get('/owners/1')
+					.expect(401)
+					.then(() => {
+						expect(context.calls).eql(['^auth'])
+					})
+			})
+
+			it('routes list the middlewares in the same order', function() {
+				const x = new PathRoutifier(app, {context})
+				x.routify(orderRoutesPath)
+
+				expect(x.routes()[0].middlewares.map((origin) => path.relative(orderRoutesPath, origin.path))).eql([
+					path.join('^auth', 'all.js'),
+					path.join('^auth', 'owners', '^get.js'),
+					path.join('^auth', 'owners', '$id', '^param.js'),
+					path.join('^auth', 'owners', '$id', '^get.js'),
+					path.join('^auth', 'owners', '$id', 'get.js')
+				])
+			})
+		})
+
+		it('routifyAsync and routifyFromManifest apply the same param handlers', function() {
+			const x = new PathRoutifier(app, {context})
+			const manifest = new PathRoutifier(null).createManifest(routesPath)
+			const manifestApp = express()
+			manifestApp.use(new PathRoutifier(manifestApp, {context}).routifyFromManifest(manifest))
+
+			return x.routifyAsync(routesPath)
+				.then((router) => {
+					app.use(router)
+					return request(app).get('/owners/2')
+						.expect(404)
+				})
+				.then(() => request(manifestApp).get('/owners/1/dogs')
+					.expect(200, {owner: 'Luke', dogs: ['Rex']}))
+				.then(() => {
+					expect(context.calls).eql(['owner 2', 'owner 1'])
+				})
+		})
+
+		it('routes lists the param handlers of each route', function() {
+			const x = new PathRoutifier(app, {context})
+			x.routify(routesPath)
+
+			expect(x.routes().map((route) => [
+				`${route.httpMethod} ${route.endpoint}`,
+				route.middlewares.map((origin) => `${origin.type} ${path.relative(routesPath, origin.path)}`)
+			])).eql([
+				['get /dogs/:id', ['param-handler dogs/$id/^param.js', 'handler dogs/$id/get.js']],
+				['get /owners/:id(\\d+)*', ['param-handler owners/$id(int)/^param.js', 'handler owners/$id(int)/get.star.js']],
+				['get /owners/:id(\\d+)', ['param-handler owners/$id(int)/^param.js', 'handler owners/$id(int)/get.js']],
+				['get /owners/:id(\\d+)/dogs', ['param-handler owners/$id(int)/^param.js', 'handler owners/$id(int)/dogs/get.js']]
+			])
+		})
+
+		it('param handlers outside of parameter directories are ignored', function() {
+			const result = new PathRoutifier(null).inspect(routesPath)
+
+			expect(result.ignoredFiles).eql([
+				{
+					path: path.resolve(routesPath, 'owners', '^param.js'),
+					reason: 'param-handler',
+					message: 'param handlers must be named ^param and located within a parameter ($) directory'
+				}
+			])
+		})
+	})
+
+	describe('typed parameters', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-typed')
+		const kUuid = '0b7e6a4e-5a39-4c43-9d5c-0c3c6a3f2d1e'
+
+		it('requests that do not match the constraint fall through', function() {
+			app.use(new PathRoutifier(app).routify(routesPath))
+
+			return request(app).get('/owners/25')
+				.expect(200, {id: '25', idType: 'string'})
+				.then(() => request(app).get('/owners/new')
+					.expect(200, {new: true}))
+				.then(() => request(app).get('/owners/abc')
+					.expect(404))
+		})
+
+		it('custom pattern and uuid parameters', function() {
+			app.use(new PathRoutifier(app).routify(routesPath))
+
+			return request(app).get('/posts/hello-world')
+				.expect(200, {slug: 'hello-world'})
+				.then(() => request(app).get('/posts/Hello')
+					.expect(404))
+				.then(() => request(app).get(`/tokens/${kUuid}`)
+					.expect(200, {token: kUuid}))
+				.then(() => request(app).get('/tokens/123')
+					.expect(404))
+		})
+
+		it('coerceParams converts int parameters before route middlewares are called', function() {
+			app.use(new PathRoutifier(app, {coerceParams: true}).routify(routesPath))
+
+			return request(app).get('/owners/25')
+				.expect(200, {id: 25, idType: 'number'})
+		})
+
+		it('coerceParams with an adapter that does not support it throws error', function() {
+			const adapter = {
+				name: 'custom',
+				createRouter() {},
+				convertPath() {},
+				compose() {},
+				registerRoute() {},
+				finalize() {},
+				requestValidator() {}
+			}
+
+			expect(function() {
+				new PathRoutifier(app, {adapter, coerceParams: true})
+			}).throw(Error, /does not support coerceParams/)
+		})
+
+		it('inspect includes the typed parameters and reports no conflicts', function() {
+			const result = new PathRoutifier().inspect(routesPath)
+
+			expect(result.routes.map((route) => [route.endpoint, route.params])).eql([
+				['/owners/:id(\\d+)', [{name: 'id', type: 'int', pattern: '\\d+', optional: false, catchAll: false}]],
+				['/owners/new', []],
+				['/posts/:slug([a-z-]+)', [{name: 'slug', type: null, pattern: '[a-z-]+', optional: false, catchAll: false}]],
+				[
+					'/tokens/:token([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})',
+					[{name: 'token', type: 'uuid', pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', optional: false, catchAll: false}]
+				]
+			])
+			expect(result.conflicts).eql([])
+		})
+
+		it('manifest replays typed parameters', function() {
+			const manifest = JSON.parse(JSON.stringify(new PathRoutifier().createManifest(routesPath)))
+			app.use(new PathRoutifier(app, {coerceParams: true}).routifyFromManifest(manifest))
+
+			return request(app).get('/owners/7')
+				.expect(200, {id: 7, idType: 'number'})
+				.then(() => request(app).get('/owners/new')
+					.expect(200, {new: true}))
+		})
+	})
+
+	describe('optional and catch-all parameters', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-optional')
+
+		beforeEach(function() {
+			app.use(new PathRoutifier(app, {coerceParams: true}).routify(routesPath))
+		})
+
+		it('optional parameter may be omitted', function() {
+			return request(app).get('/reports')
+				.expect(200, {year: null})
+				.then(() => request(app).get('/reports/2020')
+					.expect(200, {year: 2020}))
+				.then(() => request(app).get('/reports/latest')
+					.expect(404))
+		})
+
+		it('catch-all parameter captures the rest of the URL', function() {
+			return request(app).get('/files/docs/2020/report.txt')
+				.expect(200, {path: 'docs/2020/report.txt'})
+				.then(() => request(app).get('/files')
+					.expect(404))
+		})
+
+		it('optional catch-all parameter also matches its parent', function() {
+			return request(app).get('/archive')
+				.expect(200, {rest: null})
+				.then(() => request(app).get('/archive/a/b')
+					.expect(200, {rest: 'a/b'}))
+		})
+
+		it('inspect includes the endpoints and parameters', function() {
+			const result = new PathRoutifier().inspect(routesPath)
+
+			expect(result.routes.map((route) => route.endpoint)).eql([
+				'/archive/:rest(.+)?',
+				'/files/:path(.+)',
+				'/reports/:year(\\d+)?'
+			])
+			expect(result.routes[0].params).eql([{name: 'rest', type: null, pattern: '.+', optional: true, catchAll: true}])
+		})
+	})
+
+	describe('manifests', function() {
+		const middlewares = {
+			jsonBody(req, res, next) {
+				res.locals.stack.push('mw:jsonBody')
+				next()
+			},
+			validToken(req, res, next) {
+				res.locals.stack.push('mw:validToken')
+				next()
+			}
+		}
+
+		const inputs = [
+			['get', '/wildcard/nested', ['all /*', 'get /wildcard*', 'get /wildcard/nested']],
+			['get', '/skills', ['all /*', 'get /skills(1)', 'get /skills(2)']],
+			['post', '/skills', ['all /*', 'mw:jsonBody', 'post /skills']],
+			['post', '/owners/25/accounts', [
+				'all /*',
+				'all /owners/25/(^protected)',
+				'post /owners/25/(^protected)',
+				'post /owners/25/accounts'
+			]]
+		]
+
+		it('createManifest lists the routes and middleware files relative to the routes path', function() {
+			const x = new PathRoutifier()
+			const manifest = x.createManifest(kTestRootRoutingPath)
+
+			expect(manifest.routesPath).equal(kTestRootRoutingPath)
+			const route = manifest.routes.find((r) => r.path === 'owners/$id/^protected/accounts/post.js')
+			expect(route).eql({
+				httpMethod: 'post',
+				endpoint: '/owners/:id/accounts',
+				path: 'owners/$id/^protected/accounts/post.js',
+				isStar: false,
+				hasNumericPrefix: false,
+				middlewares: [2, 3],
+				errorHandlers: [],
+				params: [{name: 'id', type: null, pattern: null, optional: false, catchAll: false}],
+				schema: null
+			})
+			expect(route.middlewares.map((i) => manifest.middlewares[i])).eql([
+				'owners/$id/^protected/all.js',
+				'owners/$id/^protected/post.js'
+			])
+		})
+
+		it('manifest survives JSON serialization and registers the same routes as routify', function() {
+			const manifest = JSON.parse(JSON.stringify(new PathRoutifier().createManifest(kTestRootRoutingPath)))
+			const x = new PathRoutifier(app)
+			app.use(x.routifyFromManifest(manifest, middlewares))
+
+			expect(x.inspect(kTestRootRoutingPath).routes.map((r) => r.endpoint))
+				.eql(manifest.routes.map((r) => r.endpoint))
+			return inputs.reduce((promise, input) => promise
+				.then(() => request(app)[input[0]](input[1])
+					.expect(200, input[2])), Promise.resolve())
+		})
+
+		it('routesPath argument relocates the manifest', function() {
+			const manifest = new PathRoutifier().createManifest(kTestRootRoutingPath)
+			manifest.routesPath = '/nonexistent'
+			const x = new PathRoutifier(app)
+			app.use(x.routifyFromManifest(manifest, middlewares, kTestRootRoutingPath))
+
+			return request(app).get('/skills')
+				.expect(200, ['all /*', 'get /skills(1)', 'get /skills(2)'])
+		})
+
+		it('manifest routes are validated against their schema', function() {
+			const routesPath = path.resolve(kTestDataPath, 'routing-validation')
+			const manifest = new PathRoutifier().createManifest(routesPath)
+			app.use(express.json())
+			app.use(new PathRoutifier(app).routifyFromManifest(manifest))
+
+			return request(app).post('/owners/abc')
+				.send({name: 'Rex'})
+				.expect(400)
+		})
+
+		it('invalid manifest throws error', function() {
+			expect(function() {
+				new PathRoutifier(app).routifyFromManifest({version: 2, routes: [], middlewares: []})
+			}).throw(Error, /^Unsupported manifest version/)
+		})
+
+		it('checkManifest returns the differences with the routes directory', function() {
+			const x = new PathRoutifier()
+			const manifest = x.createManifest(kTestRootRoutingPath)
+			expect(x.checkManifest(manifest)).eql([])
+
+			manifest.routes.pop()
+			manifest.routes[0].isStar = !manifest.routes[0].isStar
+			const differences = x.checkManifest(manifest)
+			expect(differences.length).equal(2)
+			expect(differences[0]).match(/^changed route: /)
+			expect(differences[1]).match(/^added route: /)
+		})
+	})
+
+	describe('route conflicts', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-conflicts')
+
+		it('conflicts are logged as warnings by default', function() {
+			const warnings = []
+			const x = new PathRoutifier(app, {
+				logger: {
+					info() {},
+					warn(fields, message) {
+						warnings.push(message)
+					}
+				}
+			})
+
+			x.routify(routesPath)
+
+			expect(warnings).eql([
+				`Conflicting route: GET /owners/:name (${path.resolve(routesPath, 'owners', '$name', 'get.js')}) is unreachable because of GET /owners/:id (${path.resolve(routesPath, 'owners', '$id', 'get.js')})`,
+				`Conflicting route: GET /owners/new (${path.resolve(routesPath, 'owners', 'new', 'get.js')}) is shadowed by GET /owners/:id (${path.resolve(routesPath, 'owners', '$id', 'get.js')})`
+			])
+		})
+
+		it('strictConflicts throws error', function() {
+			const x = new PathRoutifier(app, {strictConflicts: true})
+
+			expect(function() {
+				x.routify(routesPath)
+			}).throw(Error, /^Conflicting routes:\nGET \/owners\/:name/)
+		})
+
+		it('numeric prefixed handlers of the same endpoint do not conflict', function() {
+			const result = new PathRoutifier(app, {strictConflicts: true}).inspect(kTestRootRoutingPath)
+			const colorRoutes = result.routes.filter((route) => route.endpoint === '/colors')
+
+			expect(colorRoutes.map((route) => path.relative(kTestRootRoutingPath, route.path))).eql([path.join('colors', '1.get.js'), path.join('colors', 'get.js')])
+			expect(result.conflicts.filter((conflict) => conflict.route.endpoint === '/colors')).eql([])
+		})
+
+		it('strictConflicts does not throw if there are no conflicts', function() {
+			const x = new PathRoutifier(app, {strictConflicts: true})
+
+			x.routify(path.resolve(kTestRootRoutingPath, 'owners'))
+		})
+
+		it('inspect reports conflicts', function() {
+			const x = new PathRoutifier()
+			const result = x.inspect(routesPath)
+
+			expect(result.conflicts.map((conflict) => [conflict.type, conflict.route.endpoint])).eql([
+				['unreachable', '/owners/:name'],
+				['shadowed', '/owners/new']
+			])
+		})
+	})
+
+	describe('allowed methods', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-methods')
+
+		describe('enabled', function() {
+			beforeEach(function() {
+				app.use(new PathRoutifier(app, {allowedMethods: true}).routify(routesPath))
+			})
+
+			const inputs = [
+				['put', '/owners/1', 405, 'DELETE, GET, HEAD, OPTIONS'],
+				['options', '/owners/1', 204, 'DELETE, GET, HEAD, OPTIONS'],
+				['put', '/owners/new', 405, 'DELETE, GET, HEAD, OPTIONS, POST'],
+				['delete', '/owners', 405, 'GET, HEAD, OPTIONS, POST'],
+				['post', '/cors', 405, 'GET, HEAD, OPTIONS']
+			]
+
+			inputs.forEach((input) => {
+				it(`${input[0]} ${input[1]} responds ${input[2]}`, function() {
+					return request(app)[input[0]](input[1])
+						.expect(input[2])
+						.expect('Allow', input[3])
+				})
+			})
+
+			it('allowed methods are handled as before', function() {
+				return request(app).delete('/owners/1')
+					.expect(200, 'delete /owners/:id')
+					.then(() => request(app).post('/owners/new')
+						.expect(200, 'post /owners/new'))
+			})
+
+			it('options.js handles OPTIONS requests', function() {
+				return request(app).options('/cors')
+					.expect(200, 'options /cors')
+			})
+
+			it('endpoints with an all handler allow every method', function() {
+				return request(app).put('/anything')
+					.expect(200, 'all /anything')
+			})
+
+			it('unknown endpoints are not affected', function() {
+				return request(app).put('/unknown')
+					.expect(404)
+			})
+		})
+
+		it('disabled by default', function() {
+			app.use(new PathRoutifier(app).routify(routesPath))
+
+			return request(app).put('/owners/1')
+				.expect(404)
+		})
+
+		it('OPTIONS requests are not answered if options is not a supported method', function() {
+			app.use(new PathRoutifier(app, {allowedMethods: true, methods: ['get', 'post', 'delete']}).routify(routesPath))
+
+			return request(app).options('/owners/1')
+				.expect(405)
+				.expect('Allow', 'DELETE, GET, HEAD')
+		})
+
+		it('adapter without allowedMethodsResponder throws error', function() {
+			const adapter = {
+				name: 'custom',
+				createRouter() {},
+				convertPath() {},
+				compose() {},
+				registerRoute() {},
+				finalize() {},
+				requestValidator() {}
+			}
+
+			expect(function() {
+				new PathRoutifier(app, {adapter, allowedMethods: true})
+			}).throw(Error, /^The custom adapter does not support allowedMethods/)
+		})
+	})
+
+	describe('lazy loading', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-lazy')
+
+		it('handler factories are called once when their route is first requested', function() {
+			const context = {loaded: []}
+			const x = new PathRoutifier(app, {lazy: true, context})
+			app.use(x.routify(routesPath))
+
+			expect(context.loaded).eql([])
+			return Promise.all([
+				request(app).get('/owners')
+					.expect(200, ['^get.js', 'get /owners']),
+				request(app).get('/owners')
+					.expect(200, ['^get.js', 'get /owners'])
+			])
+			.then(() => request(app).get('/owners')
+				.expect(200, ['^get.js', 'get /owners']))
+			.then(() => {
+				expect(context.loaded).eql(['get /owners'])
+			})
+		})
+
+		it('requests are validated against the schema of the handler module', function() {
+			const x = new PathRoutifier(app, {lazy: true, context: {loaded: []}, coerceParams: true})
+			app.use(x.routify(routesPath))
+
+			return request(app).get('/owners/abc')
+				.expect(400)
+				.then(() => request(app).get('/owners/5')
+					.expect(200, ['^get.js', 'get /owners/5']))
+		})
+
+		it('load errors are passed to the error handlers', function() {
+			const x = new PathRoutifier(app, {lazy: true, context: {loaded: []}})
+			app.use(x.routify(routesPath))
+
+			return request(app).get('/broken')
+				.expect(500, {message: 'broken handler module'})
+				.then(() => request(app).get('/broken')
+					.expect(500, {message: 'broken handler module'}))
+		})
+
+		it('prewarmed routes are loaded immediately', function() {
+			const warnings = []
+			const context = {loaded: []}
+			const x = new PathRoutifier(app, {
+				lazy: true,
+				prewarm: ['GET /owners/:id', 'POST /owners'],
+				context,
+				logger: {
+					info() {},
+					warn(fields, message) {
+						warnings.push(message)
+					}
+				}
+			})
+
+			return x.routifyAsync(routesPath)
+				.then((router) => {
+					expect(context.loaded).eql(['get /owners/$id'])
+					expect(warnings).eql(['Unknown prewarm route: post /owners'])
+					app.use(router)
+					return request(app).get('/owners/5')
+						.expect(200, ['^get.js', 'get /owners/5'])
+				})
+				.then(() => {
+					expect(context.loaded).eql(['get /owners/$id'])
+				})
+		})
+
+		it('malformed prewarm route throws error', function() {
+			['GET/owners', 'GET', '/owners', 'GET owners'].forEach((route) => {
+				expect(() => {
+					new PathRoutifier(app, {lazy: true, prewarm: [route]})
+				}).throw(Error, `Invalid prewarm route, ${route}`)
+			})
+		})
+
+		it('routes lists the files of lazy routes', function() {
+			const x = new PathRoutifier(app, {lazy: true, context: {loaded: []}})
+			x.routify(routesPath)
+
+			expect(x.routes()[1].middlewares).eql([
+				{type: 'middleware-file', path: path.resolve(routesPath, '^get.js')},
+				{type: 'handler', path: path.resolve(routesPath, 'owners', 'get.js')},
+				{type: 'error-handler', path: path.resolve(routesPath, '^error.js')}
+			])
+		})
+
+		it('adapter without lazy support throws error', function() {
+			const adapter = Object.assign({}, require('./adapters/express'), {lazyHandler: null})
+
+			expect(function() {
+				new PathRoutifier(app, {adapter, lazy: true})
+			}).throw(Error, 'The express adapter does not support lazy')
+		})
+	})
+
+	describe('inspect', function() {
+		it('reports route middleware files and ignored files', function() {
+			const x = new PathRoutifier()
+			const routesPath = path.resolve(kTestDataPath, 'lint')
+			const result = x.inspect(routesPath)
+
+			expect(result.routes).eql([
+				{
+					httpMethod: 'get',
+					endpoint: '/',
+					path: path.resolve(routesPath, 'get.js'),
+					isStar: false,
+					hasNumericPrefix: false,
+					middlewarePaths: [],
+					params: [],
+					schema: null,
+					errorHandlerPaths: []
+				}
+			])
+			expect(result.ignoredFiles.map((ignoredFile) => [path.relative(routesPath, ignoredFile.path), ignoredFile.reason])).eql([
+				['Get.js', 'invalid-case'],
+				['^get.star.js', 'star-middleware'],
+				['get.ts', 'unsupported-extension'],
+				['gets.js', 'unsupported-method'],
+				['^mw/1.get.js', 'middleware-directory']
+			])
+		})
+
+		it('middleware paths are listed in the order they are called', function() {
+			const x = new PathRoutifier()
+			const result = x.inspect(kTestRootRoutingPath)
+			const route = result.routes.find((r) => r.httpMethod === 'post' && r.endpoint === '/owners/:id/accounts')
+
+			expect(route.middlewarePaths).eql([
+				path.resolve(kTestRootRoutingPath, 'owners', '$id', '^protected', 'all.js'),
+				path.resolve(kTestRootRoutingPath, 'owners', '$id', '^protected', 'post.js')
+			])
+		})
+	})
+
+	describe('ignored files', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-error-handlers')
+		const ignoredFilePath = path.resolve(routesPath, 'owners', '1.error.js')
+
+		it('are listed after a dry run and logged as warnings', function() {
+			const warnings = []
+			const x = new PathRoutifier(app, {
+				logger: {
+					info() {},
+					warn(fields, message) {
+						warnings.push([fields, message])
+					}
+				}
+			})
+			x.dryRoutify(routesPath)
+
+			expect(x.ignoredFiles()).eql([
+				{path: ignoredFilePath, reason: 'error-handler', message: 'error handlers may not have a numeric prefix or wildcard suffix'}
+			])
+			expect(warnings).eql([
+				[
+					{path: ignoredFilePath, reason: 'error-handler'},
+					`Ignored file: ${ignoredFilePath}: error handlers may not have a numeric prefix or wildcard suffix (error-handler)`
+				]
+			])
+		})
+
+		it('are reset by each routify', function() {
+			const x = new PathRoutifier(app)
+			x.routify(routesPath)
+			x.routify(path.resolve(kTestDataPath, 'routing-methods'))
+
+			expect(x.ignoredFiles()).eql([])
+		})
+
+		it('strictIgnoredFiles throws error', function() {
+			expect(() => new PathRoutifier(app, {strictIgnoredFiles: true}).routify(routesPath))
+				.throw(Error, `Ignored files:\n${ignoredFilePath}: error handlers may not have a numeric prefix or wildcard suffix (error-handler)`)
+		})
+
+		it('strictIgnoredFiles does not apply to inspect', function() {
+			const result = new PathRoutifier(app, {strictIgnoredFiles: true}).inspect(routesPath)
+
+			expect(result.ignoredFiles.map((ignoredFile) => ignoredFile.path)).eql([ignoredFilePath])
+		})
+	})
+
+	describe('routifyAsync', function() {
+		it('non-existent value for routesPath rejects', function() {
+			const x = new PathRoutifier(app)
+			return x.routifyAsync(path.resolve(__dirname, 'non-existent-directory'))
+				.then(() => {
+					throw new Error('Expected routifyAsync to reject')
+				}, (error) => {
+					expect(error).instanceof(Error)
+				})
+		})
+
+		it('rejection names the offending file', function() {
+			const x = new PathRoutifier(app)
+			const routesPath = path.resolve(kTestRootRoutingErrorPath, 'async-rejection')
+			return x.routifyAsync(routesPath)
+				.then(() => {
+					throw new Error('Expected routifyAsync to reject')
+				}, (error) => {
+					expect(error.message).equal('unable to connect')
+					expect(error.sourcePath).equal(path.resolve(routesPath, 'get.js'))
+				})
+		})
+
+		it('registers routes in the same order as routify', function() {
+			const middlewares = {
+				jsonBody: function(req, res, next) {
+					next()
+				},
+				validToken: function(req, res, next) {
+					next()
+				}
+			}
+			const expected = routeSignatures(new PathRoutifier(app).routify(kTestRootRoutingPath, middlewares))
+
+			return new PathRoutifier(app).routifyAsync(kTestRootRoutingPath, middlewares)
+				.then((router) => {
+					expect(routeSignatures(router)).eql(expected)
+				})
+		})
+
+		describe('asynchronous factories', function() {
+			beforeEach(function() {
+				const x = new PathRoutifier(app, {logger})
+				return x.loadMiddlewaresAsync(path.resolve(kTestRootMiddlewarePath, 'async'))
+					.then((middlewares) => x.routifyAsync(kTestRootRoutingAsyncPath, middlewares))
+					.then((router) => {
+						app.use(router)
+						expect(routeSignatures(router)).eql([
+							'get /',
+							'post /',
+							'get /users/:id'
+						])
+					})
+			})
+
+			it('get / (resolved function and middleware)', function() {
+				return request(app).get('/')
+					.expect(200, ['all ^all', 'get /'])
+			})
+
+			it('post / (synchronous factory)', function() {
+				return request(app).post('/')
+					.expect(200, ['all ^all', 'post /'])
+			})
+
+			it('get /users/5 (resolved array)', function() {
+				return request(app).get('/users/5')
+					.expect(200, ['all ^all', 'mw:delayed', 'get /users/5'])
+			})
+		})
+	})
+})
+
+/**
+ * @param {express.Router} router
+ * @returns {Array.<String>} the method(s) and path of each route in ${router} in order
+ */
+function routeSignatures(router) {
+	return router.stack.map((layer) => `${Object.keys(layer.route.methods).join(',')} ${layer.route.path}`)
+}
 
 /**
  * Recursively modifies ${sourceObj} by replacing any values that are functions with their
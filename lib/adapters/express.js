@@ -0,0 +1,168 @@
+'use strict'
+
+// Vendor
+const express = require('express')
+
+// Constants
+const kBadRequestStatus = 400
+const kNoContentStatus = 204
+const kMethodNotAllowedStatus = 405
+const kErrorHandlerArity = 4
+
+/**
+ * Express adapter (the default). Routes are registered on an express.Router, which is returned by
+ * routify and may be mounted with app.use(router). Route callbacks are express-compatible
+ * middleware: function(req, res, next).
+ */
+exports.name = 'express'
+
+/**
+ * @param {Object} options
+ * @param {Boolean} options.caseSensitive
+ * @param {Boolean} options.strict
+ * @param {Boolean} options.mergeParams
+ * @returns {express.Router}
+ */
+exports.createRouter = function(options) {
+	return express.Router({ // eslint-disable-line new-cap
+		caseSensitive: options.caseSensitive,
+		strict: options.strict,
+		mergeParams: options.mergeParams
+	})
+}
+
+/**
+ * @param {String} endpoint route endpoint using $ for parameters (e.g. /users/$id*); parameters
+ *   may be followed by a parenthesized pattern (e.g. /users/$id(\d+))
+ * @returns {String} express route path (e.g. /users/:id*)
+ */
+exports.convertPath = function(endpoint) {
+	return endpoint.replace(/\/\$/g, '/:')
+}
+
+/**
+ * Express chains multiple route callbacks natively and only calls error handling callbacks (those
+ * that accept four arguments) once an error occurs.
+ *
+ * @param {Array.<Function>} callbacks
+ * @param {Array.<Function>} [errorHandlers = []] function(error, req, res, next)
+ * @returns {Array.<Function>}
+ */
+exports.compose = function(callbacks, errorHandlers = []) {
+	errorHandlers.forEach((errorHandler) => {
+		if (errorHandler.length !== kErrorHandlerArity)
+			throw new Error(`Invalid error handler, ${errorHandler.name || 'anonymous'}: express error handlers must accept four arguments (error, req, res, next)`)
+	})
+	return callbacks.concat(errorHandlers)
+}
+
+/**
+ * @param {express.Router} router
+ * @param {String} httpMethod
+ * @param {String} routePath
+ * @param {Array.<Function>} callbacks
+ */
+exports.registerRoute = function(router, httpMethod, routePath, callbacks) {
+	router[httpMethod](routePath, ...callbacks)
+}
+
+/**
+ * @param {express.Router} router
+ * @returns {express.Router}
+ */
+exports.finalize = function(router) {
+	return router
+}
+
+/**
+ * @param {Function} coerce function(params) that converts parameter values in place (see
+ *   param-types)
+ * @returns {Function} express middleware that coerces the route parameters
+ */
+exports.paramCoercer = function(coerce) {
+	return function coerceParams(req, res, next) {
+		coerce(req.params)
+		next()
+	}
+}
+
+/**
+ * @param {Function} validate function(request) returning an array of validation errors
+ * @returns {Function} express middleware that responds 400 to invalid requests
+ */
+exports.requestValidator = function(validate) {
+	return function validateRequest(req, res, next) {
+		const errors = validate(req)
+		if (errors.length)
+			res.status(kBadRequestStatus).json({errors})
+		else
+			next()
+	}
+}
+
+/**
+ * @param {String} name of the route parameter
+ * @param {Function} handler function(req, res, next, value) as with router.param
+ * @returns {Function} express middleware that calls ${handler} with the value of the ${name}
+ *   parameter (once per request and value)
+ */
+exports.paramHandler = function(name, handler) {
+	const values = new WeakMap()
+	return function handleParam(req, res, next) {
+		const value = req.params[name]
+		if (values.has(req) && values.get(req) === value) {
+			next()
+			return
+		}
+
+		values.set(req, value)
+		handler(req, res, next, value)
+	}
+}
+
+/**
+ * @param {Function} load function() that returns a promise resolving to the route callbacks
+ * @returns {Function} express middleware that passes each request through the callbacks resolved
+ *   by ${load}
+ */
+exports.lazyHandler = function(load) {
+	return function lazyHandler(req, res, next) {
+		load().then((callbacks) => {
+			let index = 0
+			function step(error) {
+				if (error || index >= callbacks.length) {
+					next(error)
+					return
+				}
+
+				try {
+					callbacks[index++](req, res, step)
+				}
+				catch (callbackError) {
+					next(callbackError)
+				}
+			}
+			step()
+		}, next)
+	}
+}
+
+/**
+ * @param {Array.<String>} allowedMethods uppercase methods for the Allow header
+ * @param {Boolean} respondToOptions
+ * @returns {Function} express middleware that responds 204 to OPTIONS requests (if
+ *   ${respondToOptions}) and 405 to requests with any other method not in ${allowedMethods}
+ */
+exports.allowedMethodsResponder = function(allowedMethods, respondToOptions) {
+	const allow = allowedMethods.join(', ')
+	return function respondWithAllowedMethods(req, res, next) {
+		const isOptionsRequest = req.method === 'OPTIONS' && respondToOptions
+		if (!isOptionsRequest && allowedMethods.includes(req.method)) {
+			next()
+			return
+		}
+
+		res.set('Allow', allow)
+		res.status(isOptionsRequest ? kNoContentStatus : kMethodNotAllowedStatus).end()
+	}
+}
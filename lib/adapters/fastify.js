@@ -0,0 +1,310 @@
+'use strict'
+
+// Vendor
+const pathToRegexp = require('path-to-regexp')
+
+// Constants
+const kBadRequestStatus = 400
+const kNoContentStatus = 204
+const kMethodNotAllowedStatus = 405
+
+/**
+ * Fastify adapter. Unlike express and koa, a fastify route matches exactly one handler and hence
+ * does not support passing control onwards to subsequent matching routes (e.g. from a wildcard
+ * route). Therefore, routify returns a fastify plugin that registers a single catch-all route,
+ * which dispatches each request through the generated routes in order using express path
+ * semantics. Mount it with fastify.register(plugin, {prefix: '/api'}).
+ *
+ * Route callbacks are function(request, reply, next). Calling next() passes control to the next
+ * callback or matching route and next(error) replies with ${error}. If no generated route
+ * replies, the fastify not found handler is called.
+ *
+ * Requires fastify 4 (and thus Node 14 or later), which must be installed separately.
+ */
+exports.name = 'fastify'
+
+/**
+ * @param {Object} options
+ * @param {Boolean} options.caseSensitive
+ * @param {Boolean} options.strict
+ * @returns {Object} router that collects each route in registration order
+ */
+exports.createRouter = function(options) {
+	return {
+		caseSensitive: options.caseSensitive,
+		strict: options.strict,
+		routes: []
+	}
+}
+
+/**
+ * @param {String} endpoint route endpoint using $ for parameters (e.g. /users/$id*); parameters
+ *   may be followed by a parenthesized pattern (e.g. /users/$id(\d+))
+ * @returns {String} express style route path (e.g. /users/:id*)
+ */
+exports.convertPath = function(endpoint) {
+	return endpoint.replace(/\/\$/g, '/:')
+}
+
+/**
+ * Once a callback fails (passes an error to next or throws), the remaining callbacks are skipped
+ * and each error handler - function(error, request, reply, next) - is called in turn for as long
+ * as they pass an error to next.
+ *
+ * @param {Array.<Function>} callbacks
+ * @param {Array.<Function>} [errorHandlers = []]
+ * @returns {Function} function(request, reply, next) that calls each of ${callbacks} in order
+ */
+exports.compose = function(callbacks, errorHandlers = []) {
+	return function(request, reply, next) {
+		let index = 0
+		let errorIndex = 0
+		function step(error) {
+			if (error && errorIndex >= errorHandlers.length) {
+				next(error)
+				return
+			}
+
+			if (!error && index >= callbacks.length) {
+				next()
+				return
+			}
+
+			try {
+				if (error) {
+					index = callbacks.length
+					errorHandlers[errorIndex++](error, request, reply, step)
+				}
+				else {
+					callbacks[index++](request, reply, step)
+				}
+			}
+			catch (callbackError) {
+				step(callbackError)
+			}
+		}
+		step()
+	}
+}
+
+/**
+ * @param {Object} router
+ * @param {String} httpMethod
+ * @param {String} routePath
+ * @param {Function} handler composed callbacks
+ */
+exports.registerRoute = function(router, httpMethod, routePath, handler) {
+	const keys = []
+	router.routes.push({
+		httpMethod,
+		regexp: pathToRegexp(routePath, keys, {
+			sensitive: router.caseSensitive,
+			strict: router.strict,
+			end: true
+		}),
+		keys,
+		handler
+	})
+}
+
+/**
+ * @param {Object} router
+ * @returns {Function} fastify plugin
+ */
+exports.finalize = function(router) {
+	return function pathRoutify(fastify, options, done) {
+		const prefix = fastify.prefix
+		const methods = routeMethods(router.routes)
+		const routeOptions = {
+			exposeHeadRoute: false
+		}
+		function handler(request, reply) {
+			dispatch(router.routes, prefix, request, reply)
+		}
+
+		if (!methods)
+			fastify.all('/*', routeOptions, handler)
+		else if (methods.length)
+			fastify.route(Object.assign({method: methods, url: '/*', handler}, routeOptions))
+		done()
+	}
+}
+
+/**
+ * @param {Function} coerce function(params) that converts parameter values in place (see
+ *   param-types)
+ * @returns {Function} route callback that coerces the route parameters
+ */
+exports.paramCoercer = function(coerce) {
+	return function coerceParams(request, reply, next) {
+		coerce(request.params)
+		next()
+	}
+}
+
+/**
+ * @param {Function} validate function(request) returning an array of validation errors
+ * @returns {Function} route callback that replies 400 to invalid requests
+ */
+exports.requestValidator = function(validate) {
+	return function validateRequest(request, reply, next) {
+		const errors = validate(request)
+		if (errors.length)
+			reply.code(kBadRequestStatus).send({errors})
+		else
+			next()
+	}
+}
+
+/**
+ * @param {String} name of the route parameter
+ * @param {Function} handler function(request, reply, next, value)
+ * @returns {Function} route callback that calls ${handler} with the value of the ${name}
+ *   parameter (once per request and value)
+ */
+exports.paramHandler = function(name, handler) {
+	const values = new WeakMap()
+	return function handleParam(request, reply, next) {
+		const value = request.params[name]
+		if (values.has(request) && values.get(request) === value) {
+			next()
+			return
+		}
+
+		values.set(request, value)
+		handler(request, reply, next, value)
+	}
+}
+
+/**
+ * @param {Function} load function() that returns a promise resolving to the route callbacks
+ * @returns {Function} route callback that passes each request through the callbacks resolved by
+ *   ${load}
+ */
+exports.lazyHandler = function(load) {
+	return function lazyHandler(request, reply, next) {
+		load().then((callbacks) => exports.compose(callbacks)(request, reply, next), next)
+	}
+}
+
+/**
+ * @param {Array.<String>} allowedMethods uppercase methods for the Allow header
+ * @param {Boolean} respondToOptions
+ * @returns {Function} route callback that replies 204 to OPTIONS requests (if
+ *   ${respondToOptions}) and 405 to requests with any other method not in ${allowedMethods}
+ */
+exports.allowedMethodsResponder = function(allowedMethods, respondToOptions) {
+	const allow = allowedMethods.join(', ')
+	return function respondWithAllowedMethods(request, reply, next) {
+		const isOptionsRequest = request.method === 'OPTIONS' && respondToOptions
+		if (!isOptionsRequest && allowedMethods.includes(request.method)) {
+			next()
+			return
+		}
+
+		reply.header('Allow', allow)
+		reply.code(isOptionsRequest ? kNoContentStatus : kMethodNotAllowedStatus).send()
+	}
+}
+
+/**
+ * @param {Array.<Object>} routes
+ * @returns {Array.<String>?} uppercase methods to register the catch-all route for or null if it
+ *   should handle all methods
+ */
+function routeMethods(routes) {
+	if (routes.some((route) => route.httpMethod === 'all'))
+		return null
+
+	const methods = new Set()
+	routes.forEach((route) => {
+		methods.add(route.httpMethod.toUpperCase())
+		// As with express, HEAD requests are handled by GET routes
+		if (route.httpMethod === 'get')
+			methods.add('HEAD')
+	})
+	return Array.from(methods)
+}
+
+/**
+ * Passes ${request} through each matching route in order until one replies.
+ *
+ * @param {Array.<Object>} routes
+ * @param {String} prefix the prefix the plugin was registered with
+ * @param {Request} request
+ * @param {Reply} reply
+ */
+function dispatch(routes, prefix, request, reply) {
+	const requestPath = request.raw.url.split('?')[0].substr(prefix.length) || '/'
+	const method = request.method.toLowerCase()
+	let index = 0
+
+	function next(error) {
+		if (error) {
+			reply.send(error)
+			return
+		}
+
+		while (index < routes.length) {
+			const route = routes[index++]
+			const match = methodMatches(route.httpMethod, method) ? route.regexp.exec(requestPath) : null
+			if (match) {
+				try {
+					request.params = routeParams(route.keys, match)
+				}
+				catch (paramsError) {
+					next(paramsError)
+					return
+				}
+				route.handler(request, reply, next)
+				return
+			}
+		}
+
+		reply.callNotFound()
+	}
+	next()
+}
+
+/**
+ * @param {String} routeMethod
+ * @param {String} requestMethod
+ * @returns {Boolean}
+ */
+function methodMatches(routeMethod, requestMethod) {
+	return routeMethod === 'all' ||
+		routeMethod === requestMethod ||
+		(requestMethod === 'head' && routeMethod === 'get')
+}
+
+/**
+ * @param {Array.<Object>} keys
+ * @param {Array.<String>} match
+ * @returns {Object} decoded parameters by name
+ * @throws {URIError} with a 400 status code if a parameter is not properly encoded (as with
+ *   express)
+ */
+function routeParams(keys, match) {
+	const result = {}
+	keys.forEach((key, i) => {
+		const value = match[i + 1]
+		if (typeof value === 'string')
+			result[key.name] = decodeParam(value)
+	})
+	return result
+}
+
+/**
+ * @param {String} value
+ * @returns {String} ${value} decoded
+ */
+function decodeParam(value) {
+	try {
+		return decodeURIComponent(value)
+	}
+	catch (error) {
+		error.message = `Failed to decode param '${value}'`
+		error.statusCode = kBadRequestStatus
+		throw error
+	}
+}
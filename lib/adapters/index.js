@@ -0,0 +1,73 @@
+'use strict'
+
+// Local
+const expressAdapter = require('./express')
+const fastifyAdapter = require('./fastify')
+const koaAdapter = require('./koa')
+
+// Constants
+const kBuiltInAdapters = {
+	express: expressAdapter,
+	fastify: fastifyAdapter,
+	koa: koaAdapter
+}
+const kAdapterMethods = [
+	'createRouter',
+	'convertPath',
+	'compose',
+	'registerRoute',
+	'finalize',
+	'requestValidator'
+]
+
+/**
+ * An adapter registers the generated routes with a particular web framework.
+ *
+ * @typedef {Object} Adapter
+ * @property {String} name
+ * @property {Function} createRouter function(options) that returns a new router; options contains
+ *   caseSensitive, strict and mergeParams
+ * @property {Function} convertPath function(endpoint) that converts a route endpoint using $ for
+ *   parameters and an optional trailing * for wildcard routes (e.g. /users/$id*) into the
+ *   framework's route path syntax
+ * @property {Function} compose function(callbacks, errorHandlers) that combines the middleware and
+ *   handler callbacks of a route, followed by the error handlers (^error.js) that are called if
+ *   any of them fails, into the value passed to registerRoute
+ * @property {Function} registerRoute function(router, httpMethod, routePath, composed) that
+ *   registers a route with the router; httpMethod may be 'all'
+ * @property {Function} finalize function(router) that returns the value returned by routify
+ * @property {Function} requestValidator function(validate) that returns a route callback which
+ *   validates each request with validate(request) (see request-validation) and responds 400 if
+ *   any errors are returned
+ * @property {Function} [paramCoercer] function(coerce) that returns a route callback which calls
+ *   coerce(params) with the route parameters of each request; only required by
+ *   options.coerceParams
+ * @property {Function} [allowedMethodsResponder] function(allowedMethods, respondToOptions) that
+ *   returns a route callback which responds 204 to OPTIONS requests (if respondToOptions) and 405
+ *   to any other request whose method is not one of the uppercase allowedMethods, in either case
+ *   with an Allow header; only required by options.allowedMethods
+ * @property {Function} [paramHandler] function(name, handler) that returns a route callback which
+ *   calls the param handler (^param.js) with the value of the name route parameter at most once
+ *   per request and value; only required by param handler files
+ * @property {Function} [lazyHandler] function(load) that returns a route callback which calls
+ *   load() - returning a promise of the route callbacks - and passes each request through the
+ *   resolved callbacks in order; only required by options.lazy
+ */
+
+/**
+ * @param {String|Adapter} [adapter = 'express'] name of a built-in adapter (express, koa or
+ *   fastify) or a custom adapter
+ * @returns {Adapter}
+ */
+exports.resolve = function(adapter = 'express') {
+	if (typeof adapter === 'string') {
+		if (!kBuiltInAdapters[adapter])
+			throw new Error(`Unknown adapter, ${adapter}; expected one of ${Object.keys(kBuiltInAdapters).join(', ')} or an adapter object`)
+		return kBuiltInAdapters[adapter]
+	}
+
+	const missingMethods = kAdapterMethods.filter((method) => !adapter || typeof adapter[method] !== 'function')
+	if (missingMethods.length)
+		throw new Error(`Invalid adapter: missing ${missingMethods.join(', ')}`)
+	return adapter
+}
@@ -0,0 +1,423 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+const express = require('express')
+const Koa = require('koa')
+const request = require('supertest')
+
+// Local
+const adapters = require('./index')
+const koaAdapter = require('./koa')
+const PathRoutifier = require('../PathRoutifier')
+
+// Constants
+// The fastify development dependency (fastify 4) requires Node 14 or later
+const kHasFastify = Number(process.versions.node.split('.')[0]) >= 14
+const fastify = kHasFastify ? require('fastify') : null
+const fastifyIt = kHasFastify ? it : it.skip
+const kTestDataPath = path.resolve(__dirname, '..', '..', 'test-data')
+const kTestRootRoutingPath = path.resolve(kTestDataPath, 'routing')
+
+/**
+ * The routing fixtures are written as express-style callbacks; this adapter wraps each of them as
+ * koa middleware.
+ */
+const kExpressStyleKoaAdapter = Object.assign({}, koaAdapter, {
+	compose(callbacks) {
+		return callbacks.map((callback) => function(ctx, next) {
+			return new Promise((resolve, reject) => {
+				const res = {
+					locals: ctx.state,
+					send(body) {
+						ctx.body = body
+						resolve()
+					}
+				}
+				callback({params: ctx.params}, res, (error) => {
+					if (error)
+						reject(error)
+					else
+						resolve(next())
+				})
+			})
+		})
+	}
+})
+
+const kServers = {
+	express(routesPath, options, middlewares) {
+		const app = express()
+		app.use(new PathRoutifier(app, options).routify(routesPath, middlewares))
+		return Promise.resolve({server: app, close() {}})
+	},
+	koa(routesPath, options, middlewares) {
+		const app = new Koa()
+		const router = new PathRoutifier(app, Object.assign({adapter: kExpressStyleKoaAdapter}, options))
+			.routify(routesPath, middlewares)
+		app.use(router.routes())
+		return Promise.resolve({server: app.callback(), close() {}})
+	},
+	fastify(routesPath, options, middlewares) {
+		const app = fastify()
+		// The routing fixtures expect express' res.locals
+		app.addHook('onRequest', (req, reply, done) => {
+			reply.locals = {}
+			done()
+		})
+		app.register(new PathRoutifier(app, Object.assign({adapter: 'fastify'}, options)).routify(routesPath, middlewares))
+		return app.ready()
+			.then(() => ({
+				server: app.server,
+				close: () => app.close()
+			}))
+	}
+}
+
+describe('adapters', function() {
+	describe('resolve', function() {
+		it('defaults to express', function() {
+			expect(adapters.resolve().name).equal('express')
+		})
+
+		it('resolves built-in adapters by name', function() {
+			expect(adapters.resolve('koa').name).equal('koa')
+			expect(adapters.resolve('fastify').name).equal('fastify')
+		})
+
+		it('unknown adapter name throws error', function() {
+			expect(function() {
+				adapters.resolve('hapi')
+			}).throw(Error, /^Unknown adapter, hapi/)
+		})
+
+		it('custom adapter is returned as is', function() {
+			expect(adapters.resolve(kExpressStyleKoaAdapter)).equal(kExpressStyleKoaAdapter)
+		})
+
+		it('incomplete custom adapter throws error', function() {
+			expect(function() {
+				adapters.resolve({createRouter() {}})
+			}).throw(Error, /^Invalid adapter: missing convertPath/)
+		})
+	})
+
+	describe('convertPath', function() {
+		const inputs = [
+			['/', '/', '/', '/'],
+			['/users/$id', '/users/:id', '/users/:id', '/users/:id'],
+			['/*', '/*', '/{(.*)}', '/*'],
+			['/wildcard*', '/wildcard*', '/wildcard{(.*)}', '/wildcard*'],
+			['/users/$id*', '/users/:id*', '/users/:id{(.*)}', '/users/:id*'],
+			['/users/$id(\\d+)', '/users/:id(\\d+)', '/users/:id(\\d+)', '/users/:id(\\d+)'],
+			['/users/$id([a-z$]+)', '/users/:id([a-z$]+)', '/users/:id([a-z$]+)', '/users/:id([a-z$]+)'],
+			['/files/$path(.+)?', '/files/:path(.+)?', '/files/:path(.+)?', '/files/:path(.+)?']
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} -> ${input.slice(1).join(', ')}`, function() {
+				expect(adapters.resolve('express').convertPath(input[0])).equal(input[1])
+				expect(adapters.resolve('koa').convertPath(input[0])).equal(input[2])
+				expect(adapters.resolve('fastify').convertPath(input[0])).equal(input[3])
+			})
+		})
+	})
+
+	Object.keys(kServers).forEach((name) => {
+		(name !== 'fastify' || kHasFastify ? describe : describe.skip)(`${name} routing`, function() {
+			const middlewares = {
+				jsonBody(req, res, next) {
+					res.locals.stack.push('mw:jsonBody')
+					next()
+				},
+				validToken(req, res, next) {
+					res.locals.stack.push('mw:validToken')
+					next()
+				}
+			}
+			let instance = null
+
+			beforeEach(function() {
+				return kServers[name](kTestRootRoutingPath, {}, middlewares)
+					.then((result) => {
+						instance = result
+					})
+			})
+
+			afterEach(function() {
+				return instance.close()
+			})
+
+			const inputs = [
+				['get', '/', ['all /*', 'get /']],
+				['post', '/', ['all /*', 'post /']],
+				['get', '/wildcard', ['all /*', 'get /wildcard*', 'get /wildcard']],
+				['get', '/wildcard/nested', ['all /*', 'get /wildcard*', 'get /wildcard/nested']],
+				['delete', '/owners', ['all /*', 'delete /*', 'delete /owners']],
+				['get', '/skills', ['all /*', 'get /skills(1)', 'get /skills(2)']],
+				['get', '/colors', ['all /*', 'get /colors(1)']],
+				['post', '/skills', ['all /*', 'mw:jsonBody', 'post /skills']],
+				['patch', '/skills/expert', ['all /*', 'mw:validToken', 'patch /skills/expert']],
+				['put', '/owners/marley/dogs/300', ['all /*', 'put /owners/marley/dogs/300']],
+				['get', '/users', ['all /*', 'all ^auth/', 'get ^auth/', 'get /users']],
+				['post', '/owners/25/accounts', [
+					'all /*',
+					'all /owners/25/(^protected)',
+					'post /owners/25/(^protected)',
+					'post /owners/25/accounts'
+				]]
+			]
+
+			inputs.forEach((input) => {
+				it(`${input[0]} ${input[1]}`, function() {
+					return request(instance.server)[input[0]](input[1])
+						.expect(200, input[2])
+				})
+			})
+
+			it('unmatched route returns 404', function() {
+				return request(instance.server).post('/owners/25')
+					.expect(404)
+			})
+		})
+	})
+
+	describe('koa routing with koa callbacks', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-koa')
+		const middlewares = {
+			jsonBody(ctx, next) {
+				ctx.state.stack.push('mw:jsonBody')
+				return next()
+			}
+		}
+		let server = null
+
+		beforeEach(function() {
+			const app = new Koa()
+			app.use(new PathRoutifier(app, {adapter: adapters.resolve('koa')}).routify(routesPath, middlewares)
+				.routes())
+			server = app.callback()
+		})
+
+		const inputs = [
+			['get', '/', ['all /*', 'get /']],
+			['post', '/skills', ['all /*', 'mw:jsonBody', 'post /skills']],
+			['get', '/users', ['all /*', 'all ^auth/', 'get /users']],
+			['get', '/owners/25', ['all /*', 'param 25', 'get /owners/25']]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} ${input[1]}`, function() {
+				return request(server)[input[0]](input[1])
+					.expect(200, input[2])
+			})
+		})
+
+		it('unmatched route returns 404', function() {
+			return request(server).delete('/owners/25')
+				.expect(404)
+		})
+	})
+
+	describe('compose with error handlers', function() {
+		function fail(message) {
+			return function() {
+				throw new Error(message)
+			}
+		}
+
+		it('express appends the error handlers', function() {
+			function handler(req, res, next) {}
+			function formatError(handledError, req, res, next) {}
+
+			expect(adapters.resolve('express').compose([handler], [formatError])).eql([handler, formatError])
+		})
+
+		it('express error handler without four arguments throws error', function() {
+			expect(function() {
+				adapters.resolve('express').compose([], [function formatError(handledError, req, res) {}])
+			}).throw(Error, /^Invalid error handler, formatError/)
+		})
+
+		it('koa calls the error handlers nearest first', function() {
+			const context = {}
+			const callbacks = adapters.resolve('koa').compose([fail('boom')], [
+				(error, ctx, next) => next(new Error(`${error.message} (nearest)`)),
+				(error, ctx) => {
+					ctx.body = error.message
+				}
+			])
+
+			return callbacks[0](context, () => Promise.resolve())
+				.then(() => {
+					expect(context.body).equal('boom (nearest)')
+				})
+		})
+
+		it('koa rethrows errors that are not handled or occur after next', function() {
+			const callbacks = adapters.resolve('koa').compose([(ctx, next) => next()], [(handledError, ctx) => {
+				ctx.body = 'handled'
+			}])
+			const context = {}
+
+			return callbacks[0](context, fail('downstream'))
+				.then(() => {
+					throw new Error('Expected the downstream error to propagate')
+				}, (error) => {
+					expect(error.message).equal('downstream')
+					expect(context).not.have.property('body')
+				})
+		})
+
+		it('fastify skips the remaining callbacks and calls the error handlers nearest first', function() {
+			const calls = []
+			const composed = adapters.resolve('fastify').compose([
+				fail('boom'),
+				() => calls.push('skipped')
+			], [
+				(error, req, reply, next) => next(new Error(`${error.message} (nearest)`)),
+				(error, req, reply, next) => {
+					calls.push(error.message)
+					next()
+				}
+			])
+
+			composed({}, {}, (error) => calls.push(error || 'next'))
+			expect(calls).eql(['boom (nearest)', 'next'])
+		})
+	})
+
+	describe('allowed methods', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-methods')
+
+		it('koa responds 405 to requests whose method has no route', function() {
+			const koaApp = new Koa()
+			koaApp.use(new PathRoutifier(koaApp, {adapter: 'koa', allowedMethods: true}).routify(routesPath)
+				.routes())
+
+			return request(koaApp.callback()).put('/owners/1')
+				.expect(405)
+				.expect('Allow', 'DELETE, GET, HEAD, OPTIONS')
+		})
+
+		fastifyIt('fastify answers OPTIONS requests', function() {
+			const fastifyApp = fastify()
+			fastifyApp.register(new PathRoutifier(fastifyApp, {adapter: 'fastify', allowedMethods: true}).routify(routesPath))
+
+			return fastifyApp.ready()
+				.then(() => request(fastifyApp.server).options('/owners/1')
+					.expect(204)
+					.expect('Allow', 'DELETE, GET, HEAD, OPTIONS'))
+				.then(() => fastifyApp.close(), (error) => fastifyApp.close().then(() => {
+					throw error
+				}))
+		})
+	})
+
+	describe('param decoding', function() {
+		it('fastify replies with a 400 error to malformed params', function() {
+			// Fastify itself rejects such urls before they reach the plugin; this dispatches directly
+			const fastifyAdapter = adapters.resolve('fastify')
+			const router = fastifyAdapter.createRouter({caseSensitive: false, strict: false})
+			let handler = null
+			let sent = null
+			fastifyAdapter.registerRoute(router, 'get', fastifyAdapter.convertPath('/owners/$id'), () => {
+				throw new Error('Expected the handler to be skipped')
+			})
+			fastifyAdapter.finalize(router)({
+				prefix: '',
+				route(routeOptions) {
+					handler = routeOptions.handler
+				}
+			}, {}, () => {})
+
+			handler({method: 'GET', raw: {url: '/owners/%E0'}}, {
+				send(error) {
+					sent = error
+				}
+			})
+			expect(sent).instanceOf(URIError)
+			expect(sent.message).equal('Failed to decode param \'%E0\'')
+			expect(sent.statusCode).equal(400)
+		})
+	})
+
+	describe('param handlers', function() {
+		it('koa calls the param handler with the value first and once per request', function() {
+			const values = []
+			const callback = koaAdapter.paramHandler('id', (value, ctx, next) => {
+				values.push(value)
+				return next()
+			})
+			const ctx = {params: {id: '5'}}
+
+			return callback(ctx, () => Promise.resolve())
+				.then(() => callback(ctx, () => Promise.resolve()))
+				.then(() => {
+					expect(values).eql(['5'])
+				})
+		})
+	})
+
+	describe('lazy loading', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-validation')
+
+		it('koa loads the handler module on the first request', function() {
+			const app = new Koa()
+			app.use(new PathRoutifier(app, {adapter: 'koa', lazy: true}).routify(routesPath)
+				.routes())
+
+			return request(app.callback()).get('/owners?limit=abc')
+				.expect(400)
+		})
+
+		fastifyIt('fastify loads the handler module on the first request', function() {
+			const app = fastify()
+			app.register(new PathRoutifier(app, {adapter: 'fastify', lazy: true}).routify(routesPath))
+
+			return app.ready()
+				.then(() => request(app.server).get('/owners?limit=5')
+					.expect(200, {limit: 5}))
+				.then(() => app.close(), (error) => app.close().then(() => {
+					throw error
+				}))
+		})
+	})
+
+	describe('request validation', function() {
+		const routesPath = path.resolve(kTestDataPath, 'routing-validation')
+
+		it('koa responds 400 to invalid requests', function() {
+			const app = new Koa()
+			const router = new PathRoutifier(app, {adapter: 'koa'}).routify(routesPath)
+			app.use(router.routes())
+
+			return request(app.callback()).get('/owners?limit=abc')
+				.expect(400)
+				.expect((res) => {
+					expect(res.body.errors.map((error) => error.location)).eql(['query'])
+				})
+		})
+
+		fastifyIt('fastify responds 400 to invalid requests', function() {
+			const app = fastify()
+			app.register(new PathRoutifier(app, {adapter: 'fastify'}).routify(routesPath), {prefix: '/api'})
+
+			return app.ready()
+				.then(() => request(app.server).post('/api/owners/abc')
+					.send({name: 'Rex'})
+					.expect(400)
+					.expect((res) => {
+						expect(res.body.errors.map((error) => [error.location, error.path])).eql([['params', '.id']])
+					}))
+				.then(() => app.close(), (error) => app.close().then(() => {
+					throw error
+				}))
+		})
+	})
+})
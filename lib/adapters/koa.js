@@ -0,0 +1,208 @@
+'use strict'
+
+// Constants
+const kBadRequestStatus = 400
+const kNoContentStatus = 204
+const kMethodNotAllowedStatus = 405
+
+/**
+ * Koa adapter. Routes are registered on a @koa/router instance (which must be installed
+ * separately), which is returned by routify and may be mounted with
+ * app.use(router.routes()).use(router.allowedMethods()). Route callbacks are koa middleware:
+ * function(ctx, next). As with express, calling next() passes control to the next matching route
+ * (e.g. from a wildcard route to a more specific one).
+ */
+exports.name = 'koa'
+
+/**
+ * @param {Object} options
+ * @param {Boolean} options.caseSensitive
+ * @param {Boolean} options.strict
+ * @returns {Router} @koa/router instance
+ */
+exports.createRouter = function(options) {
+	// Only required when used so that @koa/router remains an optional dependency
+	// eslint-disable-next-line global-require
+	const Router = require('@koa/router')
+	return new Router({
+		sensitive: options.caseSensitive,
+		strict: options.strict
+	})
+}
+
+/**
+ * @param {String} endpoint route endpoint using $ for parameters (e.g. /users/$id*); parameters
+ *   may be followed by a parenthesized pattern (e.g. /users/$id(\d+))
+ * @returns {String} @koa/router route path (e.g. /users/:id{(.*)})
+ */
+exports.convertPath = function(endpoint) {
+	return endpoint
+		.replace(/\/\$/g, '/:')
+		.replace(/\*$/, '{(.*)}')
+}
+
+/**
+ * @koa/router chains multiple route middleware natively. Error handlers - function(error, ctx,
+ * next) - require the route callbacks to be wrapped so that only the errors thrown (or rejected)
+ * by them are caught; errors from subsequent routes reached by calling next() propagate as usual.
+ * An error handler may pass the error to the next one by calling next(error); the error is
+ * rethrown if the last one does so.
+ *
+ * @param {Array.<Function>} callbacks
+ * @param {Array.<Function>} [errorHandlers = []]
+ * @returns {Array.<Function>}
+ */
+exports.compose = function(callbacks, errorHandlers = []) {
+	if (!errorHandlers.length)
+		return callbacks
+
+	return [function handleRouteErrors(ctx, next) {
+		let passedThrough = false
+		function dispatch(index) {
+			if (index === callbacks.length) {
+				passedThrough = true
+				return next()
+			}
+
+			return new Promise((resolve) => resolve(callbacks[index](ctx, () => dispatch(index + 1))))
+		}
+
+		return dispatch(0)
+			.catch((error) => {
+				if (passedThrough)
+					throw error
+				return handleError(errorHandlers, 0, error, ctx)
+			})
+	}]
+}
+
+/**
+ * @param {Router} router
+ * @param {String} httpMethod
+ * @param {String} routePath
+ * @param {Array.<Function>} callbacks
+ */
+exports.registerRoute = function(router, httpMethod, routePath, callbacks) {
+	router[httpMethod](routePath, ...callbacks)
+}
+
+/**
+ * @param {Router} router
+ * @returns {Router}
+ */
+exports.finalize = function(router) {
+	return router
+}
+
+/**
+ * @param {Function} coerce function(params) that converts parameter values in place (see
+ *   param-types)
+ * @returns {Function} koa middleware that coerces the route parameters
+ */
+exports.paramCoercer = function(coerce) {
+	return function coerceParams(ctx, next) {
+		coerce(ctx.params)
+		return next()
+	}
+}
+
+/**
+ * Request bodies are expected to have been parsed into ctx.request.body (e.g. by koa-bodyparser).
+ *
+ * @param {Function} validate function(request) returning an array of validation errors
+ * @returns {Function} koa middleware that responds 400 to invalid requests
+ */
+exports.requestValidator = function(validate) {
+	return function validateRequest(ctx, next) {
+		const errors = validate({
+			params: ctx.params,
+			headers: ctx.headers,
+			query: ctx.query,
+			body: ctx.request.body
+		})
+		if (!errors.length)
+			return next()
+
+		ctx.status = kBadRequestStatus
+		ctx.body = {errors}
+		return Promise.resolve()
+	}
+}
+
+/**
+ * @param {String} name of the route parameter
+ * @param {Function} handler function(value, ctx, next) as with router.param
+ * @returns {Function} koa middleware that calls ${handler} with the value of the ${name}
+ *   parameter (once per request and value)
+ */
+exports.paramHandler = function(name, handler) {
+	const values = new WeakMap()
+	return function handleParam(ctx, next) {
+		const value = ctx.params[name]
+		if (values.has(ctx) && values.get(ctx) === value)
+			return next()
+
+		values.set(ctx, value)
+		return handler(value, ctx, next)
+	}
+}
+
+/**
+ * @param {Function} load function() that returns a promise resolving to the route callbacks
+ * @returns {Function} koa middleware that passes each request through the callbacks resolved by
+ *   ${load}
+ */
+exports.lazyHandler = function(load) {
+	return function lazyHandler(ctx, next) {
+		return load().then((callbacks) => dispatchCallbacks(callbacks, 0, ctx, next))
+	}
+}
+
+/**
+ * @param {Array.<String>} allowedMethods uppercase methods for the Allow header
+ * @param {Boolean} respondToOptions
+ * @returns {Function} koa middleware that responds 204 to OPTIONS requests (if
+ *   ${respondToOptions}) and 405 to requests with any other method not in ${allowedMethods}
+ */
+exports.allowedMethodsResponder = function(allowedMethods, respondToOptions) {
+	const allow = allowedMethods.join(', ')
+	return function respondWithAllowedMethods(ctx, next) {
+		const isOptionsRequest = ctx.method === 'OPTIONS' && respondToOptions
+		if (!isOptionsRequest && allowedMethods.includes(ctx.method))
+			return next()
+
+		ctx.set('Allow', allow)
+		ctx.status = isOptionsRequest ? kNoContentStatus : kMethodNotAllowedStatus
+		return Promise.resolve()
+	}
+}
+
+/**
+ * @param {Array.<Function>} callbacks koa middleware
+ * @param {Number} index of the callback to call
+ * @param {Object} ctx koa context
+ * @param {Function} next called once all of ${callbacks} have called next
+ * @returns {Promise}
+ */
+function dispatchCallbacks(callbacks, index, ctx, next) {
+	if (index === callbacks.length)
+		return next()
+
+	return new Promise((resolve) => resolve(callbacks[index](ctx, () => dispatchCallbacks(callbacks, index + 1, ctx, next))))
+}
+
+/**
+ * @param {Array.<Function>} errorHandlers
+ * @param {Number} index of the error handler to call
+ * @param {Error} error
+ * @param {Object} ctx koa context
+ * @returns {Promise}
+ */
+function handleError(errorHandlers, index, error, ctx) {
+	if (index >= errorHandlers.length)
+		return Promise.reject(error)
+
+	return new Promise((resolve) => {
+		resolve(errorHandlers[index](error, ctx, (nextError = error) => handleError(errorHandlers, index + 1, nextError, ctx)))
+	})
+}
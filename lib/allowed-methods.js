@@ -0,0 +1,73 @@
+'use strict'
+
+// Local
+const routeConflicts = require('./route-conflicts')
+
+/**
+ * @typedef {Object} AllowedMethods
+ * @property {String} endpoint express route path (e.g. /users/:id)
+ * @property {Array.<String>} methods sorted, uppercase methods for the Allow header of ${endpoint}
+ * @property {Boolean} respondToOptions true if OPTIONS requests to ${endpoint} should be answered
+ *   automatically (i.e. no route handles them)
+ */
+
+/**
+ * Determines the methods allowed for each endpoint of ${routes}. Because a request may be handled
+ * by the routes of any endpoint that matches it, the methods of every endpoint that matches all
+ * the URLs of another (e.g. /users/:id for /users/new) are also allowed for the latter. Endpoints
+ * with an 'all' route allow every method and are omitted. As with express, GET routes also handle
+ * HEAD requests. OPTIONS requests are answered automatically only if 'options' is one of the
+ * ${supportedMethods} and no route handles them.
+ *
+ * Wildcard routes are designed to fall through and thus are not considered.
+ *
+ * @param {Array.<Object>} routes each with an httpMethod, endpoint (express syntax) and isStar
+ * @param {Set.<String>} supportedMethods lowercase methods that routes may be defined for
+ * @returns {Array.<AllowedMethods>} ordered such that more specific endpoints (those with fewer
+ *   parameters) precede those that match them
+ */
+exports.findAllowedMethods = function(routes, supportedMethods) {
+	// 1. Group the methods of each endpoint
+	const methodsByEndpoint = new Map()
+	routes.filter((route) => !route.isStar).forEach((route) => {
+		if (!methodsByEndpoint.has(route.endpoint))
+			methodsByEndpoint.set(route.endpoint, new Set())
+		methodsByEndpoint.get(route.endpoint).add(route.httpMethod)
+	})
+
+	// 2. Include the methods of every endpoint that matches all the URLs of each endpoint
+	const endpoints = Array.from(methodsByEndpoint.keys())
+	const result = []
+	endpoints.forEach((endpoint) => {
+		const methods = new Set()
+		endpoints
+			.filter((otherEndpoint) => routeConflicts.matchesAll(otherEndpoint, endpoint))
+			.forEach((otherEndpoint) => methodsByEndpoint.get(otherEndpoint).forEach((method) => methods.add(method)))
+		if (methods.has('all'))
+			return
+
+		const respondToOptions = !methods.has('options') && supportedMethods.has('options')
+		if (methods.has('get'))
+			methods.add('head')
+		if (respondToOptions)
+			methods.add('options')
+
+		result.push({
+			endpoint,
+			methods: Array.from(methods).map((method) => method.toUpperCase())
+				.sort(),
+			respondToOptions
+		})
+	})
+
+	// 3. More specific endpoints first (the sort is stable)
+	return result.sort((a, b) => paramCount(a.endpoint) - paramCount(b.endpoint))
+}
+
+/**
+ * @param {String} endpoint
+ * @returns {Number} the number of parameters in ${endpoint}
+ */
+function paramCount(endpoint) {
+	return endpoint.split('/').filter((segment) => segment[0] === ':').length
+}
@@ -0,0 +1,63 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const allowedMethods = require('./allowed-methods')
+
+describe('allowedMethods', function() {
+	describe('findAllowedMethods', function() {
+		const kSupportedMethods = new Set(['get', 'post', 'put', 'patch', 'delete', 'options'])
+
+		function route(httpMethod, endpoint, isStar = false) {
+			return {httpMethod, endpoint, isStar}
+		}
+
+		it('lists the methods of each endpoint with HEAD and OPTIONS', function() {
+			expect(allowedMethods.findAllowedMethods([
+				route('get', '/owners'),
+				route('post', '/owners'),
+				route('delete', '/owners')
+			], kSupportedMethods)).eql([
+				{endpoint: '/owners', methods: ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'POST'], respondToOptions: true}
+			])
+		})
+
+		it('OPTIONS requests are not answered if a route handles them', function() {
+			expect(allowedMethods.findAllowedMethods([
+				route('options', '/cors'),
+				route('post', '/cors')
+			], kSupportedMethods)).eql([
+				{endpoint: '/cors', methods: ['OPTIONS', 'POST'], respondToOptions: false}
+			])
+		})
+
+		it('OPTIONS requests are not answered if options is not supported', function() {
+			expect(allowedMethods.findAllowedMethods([route('post', '/owners')], new Set(['post']))).eql([
+				{endpoint: '/owners', methods: ['POST'], respondToOptions: false}
+			])
+		})
+
+		it('endpoints with an all route and wildcard routes are omitted', function() {
+			expect(allowedMethods.findAllowedMethods([
+				route('all', '/*', true),
+				route('get', '/owners', true),
+				route('all', '/anything'),
+				route('get', '/anything')
+			], kSupportedMethods)).eql([])
+		})
+
+		it('includes the methods of endpoints that match every request and orders specific endpoints first', function() {
+			expect(allowedMethods.findAllowedMethods([
+				route('get', '/owners/:id'),
+				route('post', '/owners/new'),
+				route('put', '/owners/:id(\\d+)/dogs')
+			], kSupportedMethods)).eql([
+				{endpoint: '/owners/new', methods: ['GET', 'HEAD', 'OPTIONS', 'POST'], respondToOptions: true},
+				{endpoint: '/owners/:id', methods: ['GET', 'HEAD', 'OPTIONS'], respondToOptions: true},
+				{endpoint: '/owners/:id(\\d+)/dogs', methods: ['OPTIONS', 'PUT'], respondToOptions: true}
+			])
+		})
+	})
+})
@@ -0,0 +1,266 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Local
+const moduleLoader = require('./module-loader')
+const PathRoutifier = require('./PathRoutifier')
+
+// Constants
+const kUsageExitCode = 2
+const kJsonIndent = 2
+const kUsage = `Usage: path-routify <command> <routes directory> [options]
+
+Commands:
+  routes    list the routes that would be generated along with their route middleware files
+  lint      list the files that would be ignored and any conflicting routes (exits with
+            status 1 if any are found)
+  manifest  write a manifest of the routes for use with routifyFromManifest, or with --check,
+            list how an existing manifest differs from the routes (exits with status 1 if it
+            is stale)
+
+Options:
+  --json                output JSON instead of text
+  --output <file>       write the manifest to this file instead of stdout
+  --check <file>        check this manifest instead of writing one
+  --config <file>       JavaScript or JSON file exporting PathRoutifier options (e.g. conventions
+                        and aliases)
+  --methods <list>      comma separated list of supported methods (e.g. get,post); overrides
+                        the methods of --config
+  --extensions <list>   comma separated list of module extensions (e.g. .js,.ts); overrides
+                        the extensions of --config
+  -h, --help            show this help
+`
+
+const kCommands = {
+	routes: routesCommand,
+	lint: lintCommand,
+	manifest: manifestCommand
+}
+
+/**
+ * Runs the path-routify command line tool. Only a dry run is performed; thus, no express app is
+ * required and no handler or middleware factories are called.
+ *
+ * @param {Array.<String>} argv command line arguments (excluding the node and script paths)
+ * @param {stream.Writable} stdout
+ * @param {stream.Writable} stderr
+ * @returns {Number} the process exit code
+ */
+exports.run = function(argv, stdout, stderr) {
+	let args = null
+	try {
+		args = exports.parseArgs(argv)
+	}
+	catch (error) {
+		stderr.write(`${error.message}\n\n${kUsage}`)
+		return kUsageExitCode
+	}
+
+	if (args.help) {
+		stdout.write(kUsage)
+		return 0
+	}
+
+	const command = kCommands[args.command]
+	if (!command || !args.directory) {
+		stderr.write(kUsage)
+		return kUsageExitCode
+	}
+
+	try {
+		const options = args.config ? loadConfig(args.config) : {}
+		if (args.methods)
+			options.methods = args.methods
+		if (args.extensions)
+			options.extensions = args.extensions
+
+		const routesPath = path.resolve(args.directory)
+		return command(new PathRoutifier(null, options), routesPath, args, stdout)
+	}
+	catch (error) {
+		stderr.write(`Error: ${error.message}\n`)
+		return 1
+	}
+}
+
+/**
+ * @param {Array.<String>} argv
+ * @returns {Object} parsed arguments
+ */
+exports.parseArgs = function(argv) {
+	const result = {
+		command: null,
+		directory: null,
+		json: false,
+		help: false,
+		methods: null,
+		extensions: null,
+		config: null,
+		output: null,
+		check: null
+	}
+	const positionals = []
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i]
+		switch (arg) {
+			case '--json':
+				result.json = true
+				break
+			case '-h':
+			case '--help':
+				result.help = true
+				break
+			case '--methods':
+			case '--extensions':
+				if (i + 1 >= argv.length)
+					throw new Error(`Missing value for ${arg}`)
+				result[arg.replace(/^--/, '')] = argv[++i].split(',').filter((x) => !!x)
+				break
+			case '--config':
+			case '--output':
+			case '--check':
+				if (i + 1 >= argv.length)
+					throw new Error(`Missing value for ${arg}`)
+				result[arg.replace(/^--/, '')] = argv[++i]
+				break
+
+			default:
+				if (arg[0] === '-')
+					throw new Error(`Unknown option: ${arg}`)
+				positionals.push(arg)
+		}
+	}
+
+	result.command = positionals[0] || null
+	result.directory = positionals[1] || null
+	return result
+}
+
+/**
+ * @param {PathRoutifier} pathRoutifier
+ * @param {String} routesPath
+ * @param {Object} args
+ * @param {stream.Writable} stdout
+ * @returns {Number} exit code
+ */
+function routesCommand(pathRoutifier, routesPath, args, stdout) {
+	const inspection = pathRoutifier.inspect(routesPath)
+	const routes = inspection.routes.map((route) => ({
+		method: route.httpMethod.toUpperCase(),
+		endpoint: route.endpoint,
+		file: path.relative(routesPath, route.path),
+		middlewares: route.middlewarePaths.map((middlewarePath) => path.relative(routesPath, middlewarePath))
+	}))
+
+	if (args.json) {
+		stdout.write(JSON.stringify(routes, null, kJsonIndent) + '\n')
+		return 0
+	}
+
+	stdout.write(formatTable(
+		['METHOD', 'ENDPOINT', 'FILE', 'MIDDLEWARES'],
+		routes.map((route) => [route.method, route.endpoint, route.file, route.middlewares.join(', ')])
+	))
+	return 0
+}
+
+/**
+ * @param {PathRoutifier} pathRoutifier
+ * @param {String} routesPath
+ * @param {Object} args
+ * @param {stream.Writable} stdout
+ * @returns {Number} exit code
+ */
+function lintCommand(pathRoutifier, routesPath, args, stdout) {
+	const inspection = pathRoutifier.inspect(routesPath)
+	const ignoredFiles = inspection.ignoredFiles.map((ignoredFile) => ({
+		file: path.relative(routesPath, ignoredFile.path),
+		reason: ignoredFile.reason,
+		message: ignoredFile.message
+	}))
+	const conflicts = inspection.conflicts.map((conflict) => ({
+		file: path.relative(routesPath, conflict.route.path),
+		reason: conflict.type,
+		message: `${conflict.route.httpMethod.toUpperCase()} ${conflict.route.endpoint} conflicts with ` +
+			`${conflict.conflictingRoute.httpMethod.toUpperCase()} ${conflict.conflictingRoute.endpoint} ` +
+			`(${path.relative(routesPath, conflict.conflictingRoute.path)})`
+	}))
+	const issues = [...ignoredFiles, ...conflicts]
+
+	if (args.json) {
+		stdout.write(JSON.stringify(issues, null, kJsonIndent) + '\n')
+	}
+	else {
+		issues.forEach((issue) => {
+			stdout.write(`${issue.file}: ${issue.message} (${issue.reason})\n`)
+		})
+	}
+
+	return issues.length ? 1 : 0
+}
+
+/**
+ * @param {PathRoutifier} pathRoutifier
+ * @param {String} routesPath
+ * @param {Object} args
+ * @param {stream.Writable} stdout
+ * @returns {Number} exit code
+ */
+function manifestCommand(pathRoutifier, routesPath, args, stdout) {
+	if (args.check) {
+		const manifest = JSON.parse(fs.readFileSync(args.check, 'utf8'))
+		const differences = pathRoutifier.checkManifest(manifest, routesPath)
+
+		if (args.json) {
+			stdout.write(JSON.stringify(differences, null, kJsonIndent) + '\n')
+		}
+		else {
+			differences.forEach((difference) => {
+				stdout.write(`${args.check}: ${difference}\n`)
+			})
+		}
+		return differences.length ? 1 : 0
+	}
+
+	const json = JSON.stringify(pathRoutifier.createManifest(routesPath), null, kJsonIndent) + '\n'
+	if (args.output)
+		fs.writeFileSync(args.output, json)
+	else
+		stdout.write(json)
+	return 0
+}
+
+/**
+ * @param {Array.<String>} headers
+ * @param {Array.<Array.<String>>} rows
+ * @returns {String} left-aligned table with each column padded to its widest value
+ */
+function formatTable(headers, rows) {
+	const allRows = [headers, ...rows]
+	const widths = headers.map((header, i) => Math.max(...allRows.map((row) => row[i].length)))
+
+	return allRows.map((row) => row.map((value, i) => {
+		// Do not pad the final column
+		if (i === row.length - 1)
+			return value
+		return value + ' '.repeat(widths[i] - value.length)
+	}).join('  ')
+	.trim() + '\n')
+	.join('')
+}
+
+/**
+ * @param {String} configPath path of a JavaScript or JSON file relative to the working directory
+ * @returns {Object} copy of the PathRoutifier options exported by ${configPath}
+ * @throws {Error} if ${configPath} does not export an object
+ */
+function loadConfig(configPath) {
+	const config = moduleLoader.load(path.resolve(configPath))
+	if (!config || typeof config !== 'object' || Array.isArray(config))
+		throw new Error(`The config file, ${configPath}, must export an object of PathRoutifier options`)
+	return Object.assign({}, config)
+}
@@ -0,0 +1,245 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict'
+
+// Core
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const cli = require('./cli')
+
+// Constants
+const kTestDataPath = path.resolve(__dirname, '..', 'test-data')
+const kTestLintPath = path.resolve(kTestDataPath, 'lint')
+const kTestRoutingPath = path.resolve(kTestDataPath, 'routing', 'owners')
+const kTestConfigPath = path.resolve(kTestDataPath, 'cli-config')
+
+/**
+ * Minimal writable stream that accumulates all written data.
+ */
+class MemoryStream {
+	constructor() {
+		this.data = ''
+	}
+
+	write(chunk) {
+		this.data += chunk
+		return true
+	}
+}
+
+describe('cli', function() {
+	let stdout = null
+	let stderr = null
+
+	beforeEach(function() {
+		stdout = new MemoryStream()
+		stderr = new MemoryStream()
+	})
+
+	function run(...argv) {
+		return cli.run(argv, stdout, stderr)
+	}
+
+	describe('parseArgs', function() {
+		it('parses command, directory and options', function() {
+			expect(cli.parseArgs(['routes', 'dir', '--json', '--methods', 'get,post'])).eql({
+				command: 'routes',
+				directory: 'dir',
+				json: true,
+				help: false,
+				methods: ['get', 'post'],
+				extensions: null,
+				output: null,
+				check: null,
+				config: null
+			})
+		})
+
+		it('unknown option throws error', function() {
+			expect(function() {
+				cli.parseArgs(['routes', 'dir', '--bogus'])
+			}).throw(Error)
+		})
+
+		it('missing option value throws error', function() {
+			expect(function() {
+				cli.parseArgs(['routes', 'dir', '--extensions'])
+			}).throw(Error)
+		})
+	})
+
+	it('--help prints usage', function() {
+		expect(run('--help')).equal(0)
+		expect(stdout.data).contain('Usage: path-routify')
+	})
+
+	it('unknown command prints usage and fails', function() {
+		expect(run('bogus', kTestRoutingPath)).equal(2)
+		expect(stderr.data).contain('Usage: path-routify')
+	})
+
+	it('missing directory prints usage and fails', function() {
+		expect(run('routes')).equal(2)
+		expect(stderr.data).contain('Usage: path-routify')
+	})
+
+	it('non-existent directory fails', function() {
+		expect(run('routes', path.resolve(kTestDataPath, 'non-existent-directory'))).equal(1)
+		expect(stderr.data).match(/^Error: /)
+	})
+
+	describe('routes', function() {
+		it('prints table of routes', function() {
+			expect(run('routes', kTestRoutingPath)).equal(0)
+			expect(stdout.data).equal([
+				'METHOD  ENDPOINT          FILE                             MIDDLEWARES',
+				'DELETE  /                 delete.js',
+				'GET     /                 get.js',
+				'DELETE  /:id              $id/delete.js',
+				'GET     /:id              $id/get.js',
+				'GET     /:id/accounts     $id/^protected/accounts/get.js   $id/^protected/all.js',
+				'POST    /:id/accounts     $id/^protected/accounts/post.js  $id/^protected/all.js, $id/^protected/post.js',
+				'PUT     /:id/dogs/:dogId  $id/dogs/$dogId/put.js'
+			].join('\n') + '\n')
+		})
+
+		it('--json prints routes as JSON', function() {
+			expect(run('routes', kTestRoutingPath, '--json', '--methods', 'post')).equal(0)
+			expect(JSON.parse(stdout.data)).eql([
+				{
+					method: 'POST',
+					endpoint: '/:id/accounts',
+					file: '$id/^protected/accounts/post.js',
+					middlewares: ['$id/^protected/all.js', '$id/^protected/post.js']
+				}
+			])
+		})
+	})
+
+	describe('lint', function() {
+		it('prints ignored files and fails', function() {
+			expect(run('lint', kTestLintPath)).equal(1)
+			expect(stdout.data.split('\n')).eql([
+				'Get.js: handler filenames must be lowercase (invalid-case)',
+				'^get.star.js: wildcard handlers may not be prefixed with the caret symbol (star-middleware)',
+				'get.ts: .ts is not a route module extension (see options.extensions) (unsupported-extension)',
+				'gets.js: gets is not a supported method (unsupported-method)',
+				'^mw/1.get.js: numeric, wildcard and caret prefixed files are not permitted in middleware directories (middleware-directory)',
+				''
+			])
+		})
+
+		it('--json prints ignored files as JSON', function() {
+			expect(run('lint', kTestLintPath, '--json')).equal(1)
+			expect(JSON.parse(stdout.data).map((x) => x.reason)).eql([
+				'invalid-case',
+				'star-middleware',
+				'unsupported-extension',
+				'unsupported-method',
+				'middleware-directory'
+			])
+		})
+
+		it('prints conflicting routes', function() {
+			expect(run('lint', path.resolve(kTestDataPath, 'routing-conflicts'))).equal(1)
+			expect(stdout.data.split('\n')).eql([
+				'owners/$name/get.js: GET /owners/:name conflicts with GET /owners/:id (owners/$id/get.js) (unreachable)',
+				'owners/new/get.js: GET /owners/new conflicts with GET /owners/:id (owners/$id/get.js) (shadowed)',
+				''
+			])
+		})
+
+		it('succeeds when no files are ignored', function() {
+			expect(run('lint', kTestRoutingPath)).equal(0)
+			expect(stdout.data).equal('')
+		})
+	})
+
+	describe('--config', function() {
+		it('passes the conventions to PathRoutifier', function() {
+			const routesPath = path.resolve(kTestDataPath, 'routing-conventions')
+			expect(run('lint', routesPath, '--config', path.resolve(kTestConfigPath, 'conventions.config.js'))).equal(1)
+			expect(stdout.data.split('\n')).eql([
+				'^get.js: filename does not follow the handler naming conventions (invalid-name)',
+				''
+			])
+		})
+
+		it('passes the methods and aliases to PathRoutifier', function() {
+			const routesPath = path.resolve(kTestDataPath, 'routing-verbs')
+			expect(run('routes', routesPath, '--json', '--config', path.resolve(kTestConfigPath, 'verbs.config.json'))).equal(0)
+			expect(JSON.parse(stdout.data).map((x) => `${x.method} ${x.file}`)).eql([
+				'HEAD head.js',
+				'GET get.js',
+				'PROPFIND propfind.js',
+				'SEARCH search.js',
+				'GET items/route.js',
+				'POST items/route.js',
+				'REPORT items/route.js',
+				'GET users/index.js'
+			])
+		})
+
+		it('--methods overrides the methods of the config', function() {
+			const routesPath = path.resolve(kTestDataPath, 'routing-verbs')
+			expect(run('routes', routesPath, '--json', '--methods', 'get,post', '--config', path.resolve(kTestConfigPath, 'verbs.config.json'))).equal(0)
+			expect(JSON.parse(stdout.data).map((x) => `${x.method} ${x.file}`)).eql([
+				'GET get.js',
+				'GET items/route.js',
+				'POST items/route.js',
+				'GET users/index.js'
+			])
+		})
+
+		it('config that does not export an object fails', function() {
+			expect(run('routes', kTestRoutingPath, '--config', path.resolve(kTestConfigPath, 'invalid.config.js'))).equal(1)
+			expect(stderr.data).match(/^Error: The config file, .*invalid\.config\.js, must export an object/)
+		})
+	})
+
+	describe('manifest', function() {
+		let manifestPath = null
+
+		beforeEach(function() {
+			manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'path-routify-cli-')), 'manifest.json')
+		})
+
+		afterEach(function() {
+			if (fs.existsSync(manifestPath))
+				fs.unlinkSync(manifestPath)
+			fs.rmdirSync(path.dirname(manifestPath))
+		})
+
+		it('prints the manifest', function() {
+			expect(run('manifest', kTestRoutingPath)).equal(0)
+			const manifest = JSON.parse(stdout.data)
+			expect(manifest.routesPath).equal(kTestRoutingPath)
+			expect(manifest.middlewares).eql(['$id/^protected/all.js', '$id/^protected/post.js'])
+			expect(manifest.routes.length).equal(7)
+		})
+
+		it('--output writes the manifest to a file which --check accepts', function() {
+			expect(run('manifest', kTestRoutingPath, '--output', manifestPath)).equal(0)
+			expect(stdout.data).equal('')
+
+			expect(run('manifest', kTestRoutingPath, '--check', manifestPath)).equal(0)
+			expect(stdout.data).equal('')
+		})
+
+		it('--check lists the differences of a stale manifest and fails', function() {
+			run('manifest', kTestRoutingPath, '--output', manifestPath)
+			const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+			manifest.routes.shift()
+			fs.writeFileSync(manifestPath, JSON.stringify(manifest))
+
+			expect(run('manifest', kTestRoutingPath, '--check', manifestPath)).equal(1)
+			expect(stdout.data).equal(`${manifestPath}: added route: DELETE / (delete.js)\n`)
+		})
+	})
+})
@@ -0,0 +1,163 @@
+'use strict'
+
+// Constants
+const kDefaultConventions = {
+	middlewarePrefix: '^',
+	paramPrefix: '$',
+	paramSuffix: '',
+	orderSeparator: '.',
+	starSuffix: '.star',
+	methodPattern: '[a-z]+'
+}
+const kRequiredTokens = ['middlewarePrefix', 'paramPrefix', 'orderSeparator', 'starSuffix']
+const kCanonicalParamPrefix = '$'
+const kGroupDirectoryPrefix = '('
+const kReservedFirstCharacterRegex = /[a-z0-9]/i
+
+/**
+ * The tokens that denote each part of the route directory and file naming conventions. For
+ * example, with {middlewarePrefix: '_', paramPrefix: '[', paramSuffix: ']', starSuffix: '+all'}
+ * the routes directory may contain _auth/, _get.js, owners/[id]/get.js and get+all.js in place of
+ * ^auth/, ^get.js, owners/$id/get.js and get.star.js.
+ *
+ * @typedef {Object} Conventions
+ * @property {String} [middlewarePrefix = '^'] prefix of route middleware directories and files
+ * @property {String} [paramPrefix = '$'] prefix of parameter directories; catch-all parameters
+ *   repeat it (e.g. $$path)
+ * @property {String} [paramSuffix = ''] suffix of parameter directories (e.g. ] for [id]);
+ *   catch-all parameters repeat it (e.g. [[path]])
+ * @property {String} [orderSeparator = '.'] separates the numeric ordering prefix from the method
+ *   (e.g. 1.get.js)
+ * @property {String} [starSuffix = '.star'] suffix of wildcard route files (e.g. get.star.js)
+ * @property {String} [methodPattern = '[a-z]+'] regular expression source that matches the method
+ *   names of route files; matched methods are lowercased
+ */
+
+/**
+ * @typedef {Object} FileName
+ * @property {Boolean} hasMiddlewarePrefix
+ * @property {Number?} numericPrefix the number that orders the file or null if it has none
+ * @property {String} httpMethod lowercase
+ * @property {Boolean} isStar
+ */
+
+/**
+ * @param {Conventions} [conventions = {}] tokens that replace the defaults
+ * @returns {Conventions} ${conventions} along with the default of any unspecified token
+ * @throws {Error} if any token is invalid or the tokens are ambiguous
+ */
+exports.resolve = function(conventions = {}) {
+	const result = Object.assign({}, kDefaultConventions, conventions)
+
+	// 1. Individual tokens
+	Object.keys(kDefaultConventions).forEach((name) => {
+		if (typeof result[name] !== 'string')
+			throw new Error(`Invalid conventions: ${name} must be a string`)
+		if (/[/\\]/.test(result[name]))
+			throw new Error(`Invalid conventions: ${name} may not contain a path separator`)
+	})
+	kRequiredTokens.forEach((name) => {
+		if (!result[name])
+			throw new Error(`Invalid conventions: ${name} may not be empty`)
+	})
+
+	let methodRegex = null
+	try {
+		methodRegex = new RegExp(`^(?:${result.methodPattern})$`)
+	}
+	catch (error) {
+		throw new Error(`Invalid conventions: methodPattern is not a valid regular expression (${error.message})`)
+	}
+	if (methodRegex.test(''))
+		throw new Error('Invalid conventions: methodPattern may not match an empty string')
+	if (new RegExp(`${result.methodPattern}|`).exec('').length > 1)
+		throw new Error('Invalid conventions: methodPattern may not contain capturing groups')
+
+	// 2. Ambiguities
+	const middlewarePrefix = result.middlewarePrefix
+	const paramPrefix = result.paramPrefix
+	if (middlewarePrefix.startsWith(paramPrefix) || paramPrefix.startsWith(middlewarePrefix))
+		throw new Error(`Invalid conventions: middlewarePrefix (${middlewarePrefix}) and paramPrefix (${paramPrefix}) are ambiguous`)
+	const directoryPrefixes = ['middlewarePrefix', 'paramPrefix']
+	directoryPrefixes.forEach((name) => {
+		const firstCharacter = result[name][0]
+		if (kReservedFirstCharacterRegex.test(firstCharacter) || firstCharacter === kGroupDirectoryPrefix)
+			throw new Error(`Invalid conventions: ${name} may not begin with a letter, digit or ${kGroupDirectoryPrefix}`)
+	})
+	if (/^\d/.test(result.orderSeparator) || methodRegex.test(result.orderSeparator[0]))
+		throw new Error(`Invalid conventions: orderSeparator (${result.orderSeparator}) may not begin with a digit or method character`)
+	if (methodRegex.test(result.starSuffix[0]))
+		throw new Error(`Invalid conventions: starSuffix (${result.starSuffix}) may not begin with a method character`)
+
+	return result
+}
+
+/**
+ * @param {Conventions} conventions resolved conventions (see resolve)
+ * @param {Array.<String>} extensions
+ * @returns {Function} function(fileName) that decodes route filenames with any of the given
+ *   ${extensions} into a FileName; returns null if the filename does not follow the conventions
+ */
+exports.fileNameParser = function(conventions, extensions) {
+	const escapedExtensions = extensions.map((extension) => {
+		if (extension[0] !== '.')
+			throw new Error(`Invalid extension, ${extension}; extensions must begin with a period`)
+		return escapeRegExp(extension)
+	})
+	const regex = new RegExp(`^(${escapeRegExp(conventions.middlewarePrefix)})?` +
+		`(?:(\\d+)${escapeRegExp(conventions.orderSeparator)})?` +
+		`(${conventions.methodPattern})` +
+		`(${escapeRegExp(conventions.starSuffix)})?` +
+		`(?:${escapedExtensions.join('|')})$`)
+
+	return function(fileName) {
+		const matches = regex.exec(fileName)
+		if (!matches)
+			return null
+
+		return {
+			hasMiddlewarePrefix: !!matches[1],
+			numericPrefix: matches[2] ? Number(matches[2]) : null,
+			httpMethod: matches[3].toLowerCase(),
+			isStar: !!matches[4]
+		}
+	}
+}
+
+/**
+ * @param {Conventions} conventions
+ * @param {String} name directory or file name
+ * @returns {Boolean} true if ${name} has the route middleware prefix
+ */
+exports.isMiddlewareName = function(conventions, name) {
+	return name.startsWith(conventions.middlewarePrefix)
+}
+
+/**
+ * Converts a parameter directory name into the $ form understood by param-types (e.g. [id(int)]
+ * to $id(int) and [[path]] to $$path).
+ *
+ * @param {Conventions} conventions
+ * @param {String} directoryName
+ * @returns {String?} the $ form of ${directoryName} or null if it is not a parameter directory
+ */
+exports.paramDirectoryName = function(conventions, directoryName) {
+	const prefix = conventions.paramPrefix
+	const suffix = conventions.paramSuffix
+	const isParam = directoryName.length > prefix.length + suffix.length &&
+		directoryName.startsWith(prefix) &&
+		directoryName.endsWith(suffix)
+	if (!isParam)
+		return null
+
+	const inner = directoryName.substr(prefix.length, directoryName.length - prefix.length - suffix.length)
+	return kCanonicalParamPrefix + (exports.paramDirectoryName(conventions, inner) || inner)
+}
+
+/**
+ * @param {String} value
+ * @returns {String} ${value} with all regular expression special characters escaped
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,100 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const conventions = require('./conventions')
+
+describe('conventions', function() {
+	const kBrackets = conventions.resolve({
+		middlewarePrefix: '_',
+		paramPrefix: '[',
+		paramSuffix: ']',
+		orderSeparator: '-',
+		starSuffix: '+all',
+		methodPattern: '[a-zA-Z]+'
+	})
+
+	describe('resolve', function() {
+		it('defaults', function() {
+			expect(conventions.resolve()).eql({
+				middlewarePrefix: '^',
+				paramPrefix: '$',
+				paramSuffix: '',
+				orderSeparator: '.',
+				starSuffix: '.star',
+				methodPattern: '[a-z]+'
+			})
+		})
+
+		const errorInputs = [
+			[{middlewarePrefix: ''}, 'middlewarePrefix may not be empty'],
+			[{paramSuffix: null}, 'paramSuffix must be a string'],
+			[{starSuffix: '/star'}, 'starSuffix may not contain a path separator'],
+			[{middlewarePrefix: '$'}, 'middlewarePrefix ($) and paramPrefix ($) are ambiguous'],
+			[{middlewarePrefix: '^', paramPrefix: '^^'}, 'middlewarePrefix (^) and paramPrefix (^^) are ambiguous'],
+			[{middlewarePrefix: 'm'}, 'middlewarePrefix may not begin with a letter, digit or ('],
+			[{paramPrefix: '('}, 'paramPrefix may not begin with a letter, digit or ('],
+			[{orderSeparator: '1'}, 'orderSeparator (1) may not begin with a digit or method character'],
+			[{starSuffix: 'star'}, 'starSuffix (star) may not begin with a method character'],
+			[{methodPattern: '[a-z'}, /^Invalid conventions: methodPattern is not a valid regular expression/],
+			[{methodPattern: '[a-z]*'}, 'methodPattern may not match an empty string'],
+			[{methodPattern: '(get|post)'}, 'methodPattern may not contain capturing groups']
+		]
+
+		errorInputs.forEach((input) => {
+			it(`throws error for ${JSON.stringify(input[0])}`, function() {
+				const message = typeof input[1] === 'string' ? `Invalid conventions: ${input[1]}` : input[1]
+				expect(() => conventions.resolve(input[0])).throw(Error, message)
+			})
+		})
+	})
+
+	describe('fileNameParser', function() {
+		it('decodes each part of the default conventions', function() {
+			const parseFileName = conventions.fileNameParser(conventions.resolve(), ['.js'])
+
+			expect(parseFileName('^1.get.star.js')).eql({hasMiddlewarePrefix: true, numericPrefix: 1, httpMethod: 'get', isStar: true})
+			expect(parseFileName('post.js')).eql({hasMiddlewarePrefix: false, numericPrefix: null, httpMethod: 'post', isStar: false})
+			expect(parseFileName('_get.js')).equal(null)
+			expect(parseFileName('get.ts')).equal(null)
+		})
+
+		it('decodes each part of custom conventions', function() {
+			const parseFileName = conventions.fileNameParser(kBrackets, ['.js'])
+
+			expect(parseFileName('_2-GET+all.js')).eql({hasMiddlewarePrefix: true, numericPrefix: 2, httpMethod: 'get', isStar: true})
+			expect(parseFileName('get.star.js')).equal(null)
+			expect(parseFileName('^get.js')).equal(null)
+		})
+
+		it('extension without leading period throws error', function() {
+			expect(() => conventions.fileNameParser(kBrackets, ['js'])).throw(Error)
+		})
+	})
+
+	describe('paramDirectoryName', function() {
+		const inputs = [
+			['[id]', '$id'],
+			['[id(int)]', '$id(int)'],
+			['[id_]', '$id_'],
+			['[[path]]', '$$path'],
+			['[]', null],
+			['[id', null],
+			['$id', null],
+			['owners', null]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} -> ${input[1]}`, function() {
+				expect(conventions.paramDirectoryName(kBrackets, input[0])).equal(input[1])
+			})
+		})
+
+		it('default conventions', function() {
+			expect(conventions.paramDirectoryName(conventions.resolve(), '$$path')).equal('$$path')
+			expect(conventions.paramDirectoryName(conventions.resolve(), '$id.uuid')).equal('$id.uuid')
+		})
+	})
+})
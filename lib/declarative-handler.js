@@ -0,0 +1,109 @@
+'use strict'
+
+/**
+ * @typedef {Object} HandlerDeclaration
+ * @property {Function|Array.<Function>} handler express-compatible route callback(s)
+ * @property {Array.<String>} [middlewares] dotted names (e.g. auth.hasAccount) of middlewares in
+ *   the loaded middleware tree to run before ${handler}
+ * @property {Array.<String>} [skipUpstream] names of upstream route middlewares to remove
+ * @property {Object} [meta] documentation metadata (see generateOpenApi)
+ */
+
+/**
+ * @param {any} moduleExports
+ * @returns {HandlerDeclaration?} the handler declaration exported by ${moduleExports} (directly or
+ *   as its default export) or null if it does not export one
+ */
+exports.declaration = function(moduleExports) {
+	if (isDeclaration(moduleExports))
+		return moduleExports
+
+	if (moduleExports && isDeclaration(moduleExports.default))
+		return moduleExports.default
+
+	return null
+}
+
+/**
+ * Validates ${declaration} and returns an equivalent handler factory function. When called, the
+ * factory resolves each of the declared middlewares, removes each skipUpstream middleware from
+ * the routeMiddlewares argument, and returns the declared middlewares followed by the handler(s).
+ *
+ * Upstream middlewares are matched either by identity with the middleware of the same dotted name
+ * in the middleware tree (e.g. jsonBody) or by their function name (e.g. those named via
+ * autoNameAnonymousMiddleware or defined in ^ files).
+ *
+ * @param {HandlerDeclaration} declaration
+ * @returns {Function} function(app, middlewares, routeMiddlewares)
+ */
+exports.factory = function(declaration) {
+	const handlers = Array.isArray(declaration.handler) ? declaration.handler : [declaration.handler]
+	const middlewareNames = declaration.middlewares || []
+	const skipUpstreamNames = declaration.skipUpstream || []
+
+	if (!handlers.length || !handlers.every((handler) => typeof handler === 'function'))
+		throw new Error('Handler declaration: handler must be a function or array of functions')
+	assertNames(middlewareNames, 'middlewares')
+	assertNames(skipUpstreamNames, 'skipUpstream')
+
+	return function(app, middlewares, routeMiddlewares) {
+		const declaredMiddlewares = middlewareNames.map((name) => {
+			const middleware = exports.resolveMiddleware(middlewares, name)
+			if (!middleware)
+				throw new Error(`Handler declaration: unknown middleware, ${name}`)
+			return middleware
+		})
+
+		skipUpstreamNames.forEach((name) => {
+			if (!routeMiddlewares)
+				throw new Error('Handler declaration: skipUpstream is only supported by route handlers')
+
+			const middleware = exports.resolveMiddleware(middlewares, name)
+			const skipped = middleware ? [].concat(middleware) : []
+			const isSkipped = (routeMiddleware) => skipped.includes(routeMiddleware) || routeMiddleware.name === name
+			if (!routeMiddlewares.some(isSkipped))
+				throw new Error(`Handler declaration: unable to skip upstream middleware, ${name}; it is not upstream of this route`)
+
+			// Modify in place; routeMiddlewares is the array used to register the route
+			for (let i = routeMiddlewares.length - 1; i >= 0; i--) {
+				if (isSkipped(routeMiddlewares[i]))
+					routeMiddlewares.splice(i, 1)
+			}
+		})
+
+		return [].concat(...declaredMiddlewares, handlers)
+	}
+}
+
+/**
+ * @param {Object} middlewares nested middleware tree (see loadMiddlewares)
+ * @param {String} name dotted path (e.g. auth.hasAccount)
+ * @returns {Function|Array.<Function>?} the middleware(s) located at ${name} or null if there is
+ *   no such middleware
+ */
+exports.resolveMiddleware = function(middlewares, name) {
+	const result = name.split('.').reduce((node, key) => {
+		if (!node || !Object.keys(node).includes(key))
+			return null
+		return node[key]
+	}, middlewares)
+
+	return typeof result === 'function' || Array.isArray(result) ? result : null
+}
+
+/**
+ * @param {any} value
+ * @returns {Boolean} true if ${value} is a handler declaration object
+ */
+function isDeclaration(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value) && 'handler' in value
+}
+
+/**
+ * @param {any} names
+ * @param {String} property
+ */
+function assertNames(names, property) {
+	if (!Array.isArray(names) || !names.every((name) => typeof name === 'string'))
+		throw new Error(`Handler declaration: ${property} must be an array of middleware names`)
+}
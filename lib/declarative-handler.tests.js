@@ -0,0 +1,90 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const declarativeHandler = require('./declarative-handler')
+
+describe('declarativeHandler', function() {
+	function handler(req, res, next) {}
+
+	describe('declaration', function() {
+		it('returns the exported object', function() {
+			const declaration = {handler}
+			expect(declarativeHandler.declaration(declaration)).equal(declaration)
+		})
+
+		it('returns the default exported object', function() {
+			const declaration = {handler}
+			expect(declarativeHandler.declaration({default: declaration})).equal(declaration)
+		})
+
+		it('functions and objects without a handler are not declarations', function() {
+			expect(declarativeHandler.declaration(function() {})).equal(null)
+			expect(declarativeHandler.declaration({meta: {}})).equal(null)
+			expect(declarativeHandler.declaration([handler])).equal(null)
+			expect(declarativeHandler.declaration(null)).equal(null)
+		})
+	})
+
+	describe('resolveMiddleware', function() {
+		function hasAccount() {}
+		const middlewares = {
+			auth: {
+				hasAccount,
+				users: {}
+			},
+			toString: 'not a middleware'
+		}
+
+		it('resolves dotted names', function() {
+			expect(declarativeHandler.resolveMiddleware(middlewares, 'auth.hasAccount')).equal(hasAccount)
+		})
+
+		it('returns null for unknown names and non-middleware nodes', function() {
+			expect(declarativeHandler.resolveMiddleware(middlewares, 'auth.missing')).equal(null)
+			expect(declarativeHandler.resolveMiddleware(middlewares, 'auth.users')).equal(null)
+			expect(declarativeHandler.resolveMiddleware(middlewares, 'toString')).equal(null)
+			expect(declarativeHandler.resolveMiddleware({}, 'constructor')).equal(null)
+		})
+	})
+
+	describe('factory', function() {
+		const invalidDeclarations = [
+			[{handler: null}, /handler must be/],
+			[{handler: []}, /handler must be/],
+			[{handler, middlewares: 'auth.hasAccount'}, /middlewares must be/],
+			[{handler, skipUpstream: [handler]}, /skipUpstream must be/]
+		]
+
+		invalidDeclarations.forEach((input, i) => {
+			it(`invalid declaration ${i} throws error`, function() {
+				expect(function() {
+					declarativeHandler.factory(input[0])
+				}).throw(Error, input[1])
+			})
+		})
+
+		it('removes every upstream middleware matching by identity or function name', function() {
+			function jsonBody() {}
+			function other() {}
+			const factory = declarativeHandler.factory({handler, skipUpstream: ['jsonBody', 'misc.cors']})
+			const cors = function() {}
+			const routeMiddlewares = [jsonBody, other, cors]
+
+			const result = factory(null, {misc: {cors}}, routeMiddlewares)
+
+			expect(result).eql([handler])
+			expect(routeMiddlewares).eql([other])
+		})
+
+		it('skipUpstream without route middlewares throws error', function() {
+			const factory = declarativeHandler.factory({handler, skipUpstream: ['jsonBody']})
+
+			expect(function() {
+				factory(null, {})
+			}).throw(Error, /only supported by route handlers/)
+		})
+	})
+})
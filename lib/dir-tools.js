@@ -4,6 +4,10 @@
 const fs = require('fs'),
 	path = require('path')
 
+// Constants
+const kSymlinkModes = ['follow', 'ignore', 'error']
+const kDefaultConcurrency = 16
+
 /**
  * @typedef {Object} Listing
  * @property {String} directory parent directory containing files and subDirectories
@@ -67,3 +71,202 @@ exports.traverseDirectory = function(directory, callbackFn) {
 		exports.traverseDirectory(fullPath, callbackFn)
 	})
 }
+
+/**
+ * Asynchronous counterpart to directoryListing that does not block the event loop. Entries are
+ * classified from the directory read itself (readdir withFileTypes); only symbolic links require
+ * an additional stat. The resulting Listing is sorted identically to that of directoryListing.
+ *
+ * @param {String} directory the source path to obtain a directory listing
+ * @param {Object} [options = {}]
+ * @param {String} [options.symlinks = 'follow'] how to treat symbolic links: 'follow' (classify
+ *   them by their target), 'ignore' (exclude them), or 'error' (same as follow)
+ * @param {Number} [options.concurrency = 16] maximum number of concurrent file system operations
+ * @returns {Promise.<Listing>}
+ */
+exports.directoryListingAsync = function(directory, options = {}) {
+	return traversalSettings(options)
+	.then((settings) => readDirectory(directory, settings))
+	.then((result) => result.listing)
+}
+
+/**
+ * Asynchronous counterpart to traverseDirectory. Directories are read concurrently (bounded by
+ * options.concurrency); however, ${callbackFn} is called in exactly the same order as
+ * traverseDirectory (each directory before its lexically sorted sub-directories). If
+ * ${callbackFn} returns a promise, traversal waits for it to settle before continuing.
+ *
+ * A followed symbolic link that resolves to one of its own ancestor directories would otherwise
+ * be traversed endlessly. Such cycles are skipped when options.symlinks is 'follow' and reject
+ * the returned promise when it is 'error'.
+ *
+ * @param {String} directory the source path to begin traversing
+ * @param {listingCallback} callbackFn
+ * @param {Object} [options = {}] see directoryListingAsync
+ * @returns {Promise} resolves once every directory has been passed to ${callbackFn}
+ */
+exports.traverseDirectoryAsync = function(directory, callbackFn, options = {}) {
+	return traversalSettings(options)
+	.then((settings) => settings.limit(() => fs.promises.realpath(directory))
+		.then((realPath) => emitTree(readTree(directory, [realPath], settings), callbackFn)))
+}
+
+/**
+ * @param {Object} options
+ * @returns {Promise.<Object>} resolves to the validated settings including a limit function
+ *   shared by all file system operations of a single listing or traversal
+ */
+function traversalSettings(options) {
+	const symlinks = options.symlinks || 'follow'
+	const concurrency = options.concurrency || kDefaultConcurrency
+
+	if (!kSymlinkModes.includes(symlinks))
+		return Promise.reject(new Error(`Invalid symlinks option, ${symlinks}; expected one of ${kSymlinkModes.join(', ')}`))
+	if (!Number.isInteger(concurrency) || concurrency < 1)
+		return Promise.reject(new Error(`Invalid concurrency option, ${concurrency}; expected a positive integer`))
+
+	return Promise.resolve({
+		symlinks,
+		limit: concurrencyLimit(concurrency)
+	})
+}
+
+/**
+ * @param {String} directory
+ * @param {Object} settings
+ * @returns {Promise.<Object>} resolves to the Listing of ${directory} and the Set of its
+ *   sub-directories that are symbolic links
+ */
+function readDirectory(directory, settings) {
+	return settings.limit(() => fs.promises.readdir(directory, {withFileTypes: true}))
+	.then((entries) => {
+		const files = []
+		const subDirectories = []
+		const symlinkedDirectories = new Set()
+
+		return Promise.all(entries.map((entry) => {
+			if (!entry.isSymbolicLink()) {
+				if (entry.isFile())
+					files.push(entry.name)
+				else if (entry.isDirectory())
+					subDirectories.push(entry.name)
+				return null
+			}
+
+			if (settings.symlinks === 'ignore')
+				return null
+
+			return settings.limit(() => fs.promises.stat(path.resolve(directory, entry.name)))
+			.then((stats) => {
+				if (stats.isFile()) {
+					files.push(entry.name)
+				}
+				else if (stats.isDirectory()) {
+					subDirectories.push(entry.name)
+					symlinkedDirectories.add(entry.name)
+				}
+			})
+		}))
+		.then(() => {
+			files.sort()
+			subDirectories.sort()
+
+			return {
+				listing: {
+					directory,
+					files,
+					subDirectories
+				},
+				symlinkedDirectories
+			}
+		})
+	})
+}
+
+/**
+ * Reads ${directory} and begins reading all of its sub-directories without waiting for them.
+ *
+ * @param {String} directory
+ * @param {Array.<String>} realPaths real paths of ${directory} and each of its ancestors
+ * @param {Object} settings
+ * @returns {Promise.<Object>} resolves to a node with the listing and a promised node for each
+ *   sub-directory (in order)
+ */
+function readTree(directory, realPaths, settings) {
+	return readDirectory(directory, settings)
+	.then((result) => {
+		const children = result.listing.subDirectories.map((subDirectory) => {
+			const fullPath = path.resolve(directory, subDirectory)
+			const realPath = result.symlinkedDirectories.has(subDirectory) ?
+				settings.limit(() => fs.promises.realpath(fullPath)) :
+				Promise.resolve(path.join(realPaths[realPaths.length - 1], subDirectory))
+
+			const child = realPath.then((childRealPath) => {
+				if (!realPaths.includes(childRealPath))
+					return readTree(fullPath, [...realPaths, childRealPath], settings)
+
+				if (settings.symlinks === 'error')
+					throw new Error(`Symbolic link cycle: ${fullPath} resolves to its ancestor, ${childRealPath}`)
+				return null
+			})
+			// Rejections are handled once this child is emitted; prevent them from being reported
+			// as unhandled in the meantime
+			child.catch(() => {})
+			return child
+		})
+
+		return {
+			listing: result.listing,
+			children
+		}
+	})
+}
+
+/**
+ * Calls ${callbackFn} for each listing beneath ${promisedNode} in depth-first order.
+ *
+ * @param {Promise.<Object>} promisedNode
+ * @param {listingCallback} callbackFn
+ * @returns {Promise}
+ */
+function emitTree(promisedNode, callbackFn) {
+	return promisedNode.then((node) => {
+		if (!node)
+			return null
+
+		return Promise.resolve(callbackFn(node.listing))
+		.then(() => node.children.reduce((promise, child) => promise.then(() => emitTree(child, callbackFn)), Promise.resolve()))
+	})
+}
+
+/**
+ * @param {Number} concurrency
+ * @returns {Function} function(task) that calls ${task} (which returns a promise) once fewer than
+ *   ${concurrency} previously limited tasks are still pending
+ */
+function concurrencyLimit(concurrency) {
+	const queue = []
+	let active = 0
+
+	function next() {
+		if (active >= concurrency || !queue.length)
+			return
+
+		const item = queue.shift()
+		active++
+		// Also captures any synchronously thrown error
+		Promise.resolve().then(item.task)
+		.then(item.resolve, item.reject)
+		.then(() => {
+			active--
+			next()
+		})
+	}
+
+	return function(task) {
+		return new Promise((resolve, reject) => {
+			queue.push({task, resolve, reject})
+			next()
+		})
+	}
+}
@@ -1,7 +1,11 @@
+/* eslint-disable no-magic-numbers */
+
 'use strict'
 
 // Core
-const path = require('path')
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path')
 
 // Vendor
 const expect = require('chai').expect
@@ -92,4 +96,147 @@ describe('dirTools', function() {
 			])
 		})
 	})
+
+	describe('directoryListingAsync', function() {
+		it('undefined directory rejects', function() {
+			return expectRejection(dirTools.directoryListingAsync())
+		})
+
+		it('non-existent directory rejects', function() {
+			return expectRejection(dirTools.directoryListingAsync(path.resolve(__dirname, 'non-existent-directory')))
+		})
+
+		it('invalid options reject', function() {
+			return expectRejection(dirTools.directoryListingAsync(kTestRootPath, {symlinks: 'skip'}), /^Invalid symlinks option/)
+				.then(() => expectRejection(dirTools.directoryListingAsync(kTestRootPath, {concurrency: 1.5}), /^Invalid concurrency option/))
+		})
+
+		it('resolves to the same listing as directoryListing', function() {
+			return dirTools.directoryListingAsync(kTestRootPath)
+				.then((listing) => {
+					expect(listing).deep.equal(dirTools.directoryListing(kTestRootPath))
+				})
+		})
+	})
+
+	describe('traverseDirectoryAsync', function() {
+		function traverse(directory, options) {
+			const results = []
+			return dirTools.traverseDirectoryAsync(directory, (listing) => results.push(listing), options)
+				.then(() => results)
+		}
+
+		it('non-existent directory rejects', function() {
+			return expectRejection(traverse(path.resolve(__dirname, 'non-existent-directory')))
+		})
+
+		it('calls callback with the same listings in the same order as traverseDirectory', function() {
+			const expected = []
+			dirTools.traverseDirectory(kTestRootPath, (listing) => expected.push(listing))
+
+			return traverse(kTestRootPath, {concurrency: 1})
+				.then((results) => {
+					expect(results).deep.equal(expected)
+				})
+		})
+
+		it('waits for promises returned by the callback', function() {
+			const events = []
+			return dirTools.traverseDirectoryAsync(kTestRootPath, (listing) => {
+				const name = path.basename(listing.directory)
+				events.push(`start ${name}`)
+				return new Promise((resolve) => setTimeout(resolve, 5))
+					.then(() => events.push(`end ${name}`))
+			})
+			.then(() => {
+				expect(events).eql([
+					'start dir-tools',
+					'end dir-tools',
+					'start .hidden-directory',
+					'end .hidden-directory',
+					'start high-priority',
+					'end high-priority'
+				])
+			})
+		})
+
+		describe('symbolic links', function() {
+			let rootPath = null
+
+			beforeEach(function() {
+				// root/
+				//   a/
+				//     file.txt
+				//     loop -> ..
+				//   b -> a
+				//   link.txt -> a/file.txt
+				rootPath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'path-routify-dir-tools-')))
+				fs.mkdirSync(path.join(rootPath, 'a'))
+				fs.writeFileSync(path.join(rootPath, 'a', 'file.txt'), '')
+				fs.symlinkSync('..', path.join(rootPath, 'a', 'loop'))
+				fs.symlinkSync('a', path.join(rootPath, 'b'))
+				fs.symlinkSync(path.join('a', 'file.txt'), path.join(rootPath, 'link.txt'))
+			})
+
+			afterEach(function() {
+				removeDirectory(rootPath)
+			})
+
+			it('are followed and cycles skipped by default', function() {
+				return traverse(rootPath)
+					.then((results) => {
+						expect(results).deep.equal([
+							{directory: rootPath, files: ['link.txt'], subDirectories: ['a', 'b']},
+							{directory: path.join(rootPath, 'a'), files: ['file.txt'], subDirectories: ['loop']},
+							{directory: path.join(rootPath, 'b'), files: ['file.txt'], subDirectories: ['loop']}
+						])
+					})
+			})
+
+			it('are excluded if ignored', function() {
+				return traverse(rootPath, {symlinks: 'ignore'})
+					.then((results) => {
+						expect(results).deep.equal([
+							{directory: rootPath, files: [], subDirectories: ['a']},
+							{directory: path.join(rootPath, 'a'), files: ['file.txt'], subDirectories: []}
+						])
+					})
+			})
+
+			it('cycles reject if configured to error', function() {
+				return expectRejection(traverse(rootPath, {symlinks: 'error'}), /^Symbolic link cycle/)
+			})
+		})
+	})
 })
+
+/**
+ * @param {Promise} promise
+ * @param {RegExp} [messagePattern]
+ * @returns {Promise} resolves if ${promise} rejects with an Error (matching ${messagePattern})
+ */
+function expectRejection(promise, messagePattern) {
+	return promise.then(() => {
+		throw new Error('Expected promise to reject')
+	}, (error) => {
+		expect(error).instanceof(Error)
+		if (messagePattern)
+			expect(error.message).match(messagePattern)
+	})
+}
+
+/**
+ * Recursively removes ${directory} and all of its contents without following symbolic links.
+ *
+ * @param {String} directory
+ */
+function removeDirectory(directory) {
+	fs.readdirSync(directory).forEach((fileName) => {
+		const fullPath = path.join(directory, fileName)
+		if (fs.lstatSync(fullPath).isDirectory())
+			removeDirectory(fullPath)
+		else
+			fs.unlinkSync(fullPath)
+	})
+	fs.rmdirSync(directory)
+}
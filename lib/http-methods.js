@@ -0,0 +1,65 @@
+'use strict'
+
+// Core
+const http = require('http')
+
+// Constants
+const kHttpMethods = http.METHODS.map((method) => method.toLowerCase())
+const kDefaultMethods = [
+	'get',
+	'post',
+	'put',
+	'patch',
+	'delete',
+	'options'
+]
+
+/**
+ * @param {String} method
+ * @returns {Boolean} true if ${method} is a lowercase HTTP method supported by node (e.g. get,
+ *   propfind or m-search)
+ */
+exports.isHttpMethod = function(method) {
+	return kHttpMethods.includes(method)
+}
+
+/**
+ * @param {Array.<String>|String} [methods = ['get', 'post', 'put', 'patch', 'delete', 'options']]
+ *   lowercase HTTP methods or '*' for all of them; all (whose handlers are always enabled) is also
+ *   accepted
+ * @returns {Array.<String>} ${methods} with '*' expanded into every HTTP method
+ * @throws {Error} if any of ${methods} is not all or an HTTP method supported by node
+ */
+exports.expand = function(methods = kDefaultMethods) {
+	if (methods === '*')
+		return kHttpMethods.slice()
+
+	methods.forEach((method) => {
+		if (method !== 'all' && !exports.isHttpMethod(method))
+			throw new Error(`Unsupported method, ${method}; methods must be lowercase HTTP methods (see http.METHODS)`)
+	})
+	return methods.slice()
+}
+
+/**
+ * @param {any} moduleExports exports of a method map file (e.g. route.js)
+ * @returns {Object?} the method map exported by ${moduleExports} (directly or as its default
+ *   export) or null if it does not export one
+ */
+exports.methodMap = function(moduleExports) {
+	if (!moduleExports || typeof moduleExports !== 'object')
+		return null
+
+	const defaultExport = moduleExports.default
+	return defaultExport && typeof defaultExport === 'object' ? defaultExport : moduleExports
+}
+
+/**
+ * @param {any} moduleExports exports of a method map file
+ * @param {String} httpMethod
+ * @returns {any} the handler factory (or declaration) that ${moduleExports} defines for
+ *   ${httpMethod}
+ */
+exports.methodMapHandler = function(moduleExports, httpMethod) {
+	return (exports.methodMap(moduleExports) || {})[httpMethod]
+}
@@ -0,0 +1,45 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const httpMethods = require('./http-methods')
+
+describe('httpMethods', function() {
+	describe('expand', function() {
+		it('* expands to every HTTP method', function() {
+			const result = httpMethods.expand('*')
+
+			expect(result).include.members(['get', 'head', 'search', 'propfind', 'report', 'm-search'])
+			expect(result).not.include('all')
+		})
+
+		it('returns valid methods as is', function() {
+			expect(httpMethods.expand(['get', 'search'])).eql(['get', 'search'])
+		})
+
+		it('defaults to the methods supported by PathRoutifier and generateOpenApi', function() {
+			expect(httpMethods.expand()).eql(['get', 'post', 'put', 'patch', 'delete', 'options'])
+		})
+
+		it('accepts all', function() {
+			expect(httpMethods.expand(['get', 'all'])).eql(['get', 'all'])
+		})
+
+		it('unknown method throws error', function() {
+			expect(() => httpMethods.expand(['get', 'fetch'])).throw(Error, 'Unsupported method, fetch')
+		})
+	})
+
+	describe('methodMapHandler', function() {
+		function get() {}
+
+		it('reads the method from the module or its default export', function() {
+			expect(httpMethods.methodMapHandler({get}, 'get')).equal(get)
+			expect(httpMethods.methodMapHandler({default: {get}}, 'get')).equal(get)
+			expect(httpMethods.methodMapHandler({get}, 'post')).be.a('undefined')
+			expect(httpMethods.methodMapHandler(get, 'get')).be.a('undefined')
+		})
+	})
+})
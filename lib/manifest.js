@@ -0,0 +1,157 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Constants
+const kManifestVersion = 1
+
+/**
+ * @typedef {Object} Manifest
+ * @property {Number} version manifest format version
+ * @property {String} routesPath the routes directory the manifest was created from
+ * @property {Array.<String>} middlewares paths (relative to routesPath) of every route middleware
+ *   and error handler file (e.g. ^post.js, ^auth/all.js or ^error.js) used by any route, in the
+ *   order they are first used
+ * @property {Array.<ManifestRoute>} routes in registration order
+ */
+
+/**
+ * @typedef {Object} ManifestRoute
+ * @property {String} httpMethod
+ * @property {String} endpoint express route path (e.g. /users/:id)
+ * @property {String} path handler module path relative to routesPath
+ * @property {Boolean} isStar
+ * @property {Boolean} hasNumericPrefix
+ * @property {Array.<Number>} middlewares indices into Manifest.middlewares in the order they are
+ *   called
+ * @property {Array.<Number>} errorHandlers indices into Manifest.middlewares of the error handler
+ *   files in the order they are called (may be absent from older manifests)
+ * @property {Array.<Param>} params route parameters (see param-types)
+ * @property {Object?} schema request schema (see request-validation)
+ */
+
+/**
+ * Serializes the ${routes} generated by a (dry) routify of ${routesPath} into a manifest from
+ * which the same routes may be registered without traversing the filesystem. The manifest only
+ * contains JSON-compatible values.
+ *
+ * @param {Array.<Object>} routes the routes property of PathRoutifier.inspect
+ * @param {String} routesPath
+ * @returns {Manifest}
+ */
+exports.create = function(routes, routesPath) {
+	const middlewares = []
+	const middlewareIndices = new Map()
+	const middlewareIndex = (middlewarePath) => {
+		if (!middlewareIndices.has(middlewarePath)) {
+			middlewareIndices.set(middlewarePath, middlewares.length)
+			middlewares.push(path.relative(routesPath, middlewarePath))
+		}
+		return middlewareIndices.get(middlewarePath)
+	}
+
+	return {
+		version: kManifestVersion,
+		routesPath,
+		middlewares,
+		routes: routes.map((route) => ({
+			httpMethod: route.httpMethod,
+			endpoint: route.endpoint,
+			path: path.relative(routesPath, route.path),
+			isStar: route.isStar,
+			hasNumericPrefix: route.hasNumericPrefix,
+			middlewares: route.middlewarePaths.map(middlewareIndex),
+			errorHandlers: route.errorHandlerPaths.map(middlewareIndex),
+			params: route.params,
+			schema: route.schema
+		}))
+	}
+}
+
+/**
+ * @param {Manifest} manifest
+ * @param {Function} predicate function(manifestRoute) that returns true for each route to keep
+ * @returns {Manifest} copy of ${manifest} with only the routes that satisfy ${predicate} and the
+ *   middleware files that they use
+ */
+exports.subset = function(manifest, predicate) {
+	const middlewares = []
+	const middlewareIndices = new Map()
+	const middlewareIndex = (index) => {
+		if (!middlewareIndices.has(index)) {
+			middlewareIndices.set(index, middlewares.length)
+			middlewares.push(manifest.middlewares[index])
+		}
+		return middlewareIndices.get(index)
+	}
+
+	const routes = manifest.routes.filter(predicate).map((route) => Object.assign({}, route, {
+		middlewares: route.middlewares.map(middlewareIndex),
+		errorHandlers: (route.errorHandlers || []).map(middlewareIndex)
+	}))
+	return Object.assign({}, manifest, {middlewares, routes})
+}
+
+/**
+ * @param {any} manifest
+ * @throws {Error} if ${manifest} is not a manifest or has an unsupported version
+ */
+exports.assertValid = function(manifest) {
+	if (!manifest || !Array.isArray(manifest.routes) || !Array.isArray(manifest.middlewares))
+		throw new Error('Invalid manifest: expected an object with routes and middlewares arrays')
+
+	if (manifest.version !== kManifestVersion)
+		throw new Error(`Unsupported manifest version, ${manifest.version}; expected ${kManifestVersion} (rebuild the manifest)`)
+}
+
+/**
+ * Compares ${manifest} with ${currentManifest} (freshly created from the routes directory) and
+ * describes every difference. Routes are identified by their method, endpoint and handler path.
+ *
+ * @param {Manifest} manifest
+ * @param {Manifest} currentManifest
+ * @returns {Array.<String>} human readable differences; empty if ${manifest} is up to date
+ */
+exports.differences = function(manifest, currentManifest) {
+	const routes = describeRoutes(manifest)
+	const currentRoutes = describeRoutes(currentManifest)
+	const result = []
+
+	currentRoutes.forEach((description, key) => {
+		if (!routes.has(key))
+			result.push(`added route: ${key}`)
+		else if (routes.get(key) !== description)
+			result.push(`changed route: ${key}`)
+	})
+	routes.forEach((description, key) => {
+		if (!currentRoutes.has(key))
+			result.push(`removed route: ${key}`)
+	})
+
+	if (!result.length && Array.from(routes.keys()).join('\n') !== Array.from(currentRoutes.keys()).join('\n'))
+		result.push('route order changed')
+
+	return result
+}
+
+/**
+ * @param {Manifest} manifest
+ * @returns {Map.<String, String>} serialized description of each route (in order) keyed by its
+ *   method, endpoint and path
+ */
+function describeRoutes(manifest) {
+	const result = new Map()
+	manifest.routes.forEach((route) => {
+		const key = `${route.httpMethod.toUpperCase()} ${route.endpoint} (${route.path})`
+		result.set(key, JSON.stringify({
+			isStar: route.isStar,
+			hasNumericPrefix: route.hasNumericPrefix,
+			middlewares: route.middlewares.map((index) => manifest.middlewares[index]),
+			errorHandlers: (route.errorHandlers || []).map((index) => manifest.middlewares[index]),
+			params: route.params,
+			schema: route.schema
+		}))
+	})
+	return result
+}
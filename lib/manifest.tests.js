@@ -0,0 +1,112 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const manifest = require('./manifest')
+
+describe('manifest', function() {
+	const routes = [
+		{
+			httpMethod: 'get',
+			endpoint: '/users',
+			path: '/routes/users/get.js',
+			isStar: false,
+			hasNumericPrefix: false,
+			middlewarePaths: ['/routes/^auth/all.js'],
+			schema: null,
+			errorHandlerPaths: []
+		},
+		{
+			httpMethod: 'post',
+			endpoint: '/users',
+			path: '/routes/users/post.js',
+			isStar: false,
+			hasNumericPrefix: false,
+			middlewarePaths: ['/routes/^auth/post.js', '/routes/^auth/all.js'],
+			schema: {body: {type: 'object'}},
+			errorHandlerPaths: []
+		}
+	]
+
+	describe('create', function() {
+		it('stores relative paths and indexes shared middleware files', function() {
+			const result = manifest.create(routes, '/routes')
+
+			expect(result.version).equal(1)
+			expect(result.middlewares).eql(['^auth/all.js', '^auth/post.js'])
+			expect(result.routes.map((route) => [route.path, route.middlewares])).eql([
+				['users/get.js', [0]],
+				['users/post.js', [1, 0]]
+			])
+			expect(result.routes[1].schema).eql({body: {type: 'object'}})
+		})
+
+		it('indexes error handler files alongside the middleware files', function() {
+			const errorRoutes = routes.map((route) => Object.assign({}, route, {errorHandlerPaths: ['/routes/^auth/error.js', '/routes/^error.js']}))
+			const result = manifest.create(errorRoutes, '/routes')
+
+			expect(result.middlewares).eql(['^auth/all.js', '^auth/error.js', '^error.js', '^auth/post.js'])
+			expect(result.routes[0].errorHandlers).eql(result.routes[1].errorHandlers)
+			expect(result.routes[0].errorHandlers.map((index) => result.middlewares[index])).eql(['^auth/error.js', '^error.js'])
+		})
+	})
+
+	describe('subset', function() {
+		it('keeps the selected routes and reindexes the middleware files they use', function() {
+			const result = manifest.subset(manifest.create(routes, '/routes'), (route) => route.httpMethod === 'post')
+
+			expect(result.middlewares).eql(['^auth/post.js', '^auth/all.js'])
+			expect(result.routes.map((route) => [route.path, route.middlewares])).eql([
+				['users/post.js', [0, 1]]
+			])
+		})
+	})
+
+	describe('assertValid', function() {
+		it('non-manifest throws error', function() {
+			expect(function() {
+				manifest.assertValid({routes: []})
+			}).throw(Error, /^Invalid manifest/)
+		})
+
+		it('unsupported version throws error', function() {
+			expect(function() {
+				manifest.assertValid({version: 0, routes: [], middlewares: []})
+			}).throw(Error, /^Unsupported manifest version, 0/)
+		})
+	})
+
+	describe('differences', function() {
+		it('identical manifests have no differences', function() {
+			expect(manifest.differences(manifest.create(routes, '/routes'), manifest.create(routes, '/routes'))).eql([])
+		})
+
+		it('reports added, changed and removed routes', function() {
+			const current = manifest.create(routes, '/routes')
+			const stale = manifest.create([Object.assign({}, routes[1], {middlewarePaths: []}), Object.assign({}, routes[0], {endpoint: '/people'})], '/routes')
+
+			expect(manifest.differences(stale, current)).eql([
+				'added route: GET /users (users/get.js)',
+				'changed route: POST /users (users/post.js)',
+				'removed route: GET /people (users/get.js)'
+			])
+		})
+
+		it('manifests created before error handlers have no differences', function() {
+			const current = manifest.create(routes, '/routes')
+			const stale = manifest.create(routes, '/routes')
+			stale.routes.forEach((route) => Reflect.deleteProperty(route, 'errorHandlers'))
+
+			expect(manifest.differences(stale, current)).eql([])
+		})
+
+		it('reports reordered routes', function() {
+			const current = manifest.create(routes, '/routes')
+			const stale = manifest.create(routes.slice().reverse(), '/routes')
+
+			expect(manifest.differences(stale, current)).eql(['route order changed'])
+		})
+	})
+})
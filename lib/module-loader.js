@@ -0,0 +1,63 @@
+'use strict'
+
+// Core
+const path = require('path'),
+	url = require('url')
+
+/**
+ * Synchronously loads the CommonJS module located at ${modulePath}. Other file types (e.g. .ts)
+ * are supported provided a suitable transpiler has been registered with require.
+ *
+ * @param {String} modulePath absolute path to the module
+ * @returns {any} the module exports
+ */
+exports.load = function(modulePath) {
+	// eslint-disable-next-line global-require
+	return require(modulePath)
+}
+
+/**
+ * Asynchronously loads the module located at ${modulePath}. Native ES modules (.mjs, or any
+ * module that require refuses to load) are loaded via import(); all others via require.
+ *
+ * @param {String} modulePath absolute path to the module
+ * @returns {Promise.<any>} resolves to the module exports (or namespace object for ES modules)
+ */
+exports.loadAsync = function(modulePath) {
+	if (path.extname(modulePath) === '.mjs')
+		return exports.import(modulePath)
+
+	return new Promise((resolve) => resolve(exports.load(modulePath)))
+		.catch((error) => {
+			if (error.code === 'ERR_REQUIRE_ESM')
+				return exports.import(modulePath)
+
+			throw error
+		})
+}
+
+/**
+ * @param {String} modulePath absolute path to the module
+ * @returns {Promise.<Object>} resolves to the module namespace object
+ */
+exports.import = function(modulePath) {
+	return import(url.pathToFileURL(modulePath).href)
+}
+
+/**
+ * Extracts the factory function from ${moduleExports}. In addition to modules that directly export
+ * a function, modules with a default export function (ES modules and their transpiled
+ * equivalents) are also supported.
+ *
+ * @param {any} moduleExports
+ * @returns {Function?} the exported function or null if none was found
+ */
+exports.exportedFunction = function(moduleExports) {
+	if (typeof moduleExports === 'function')
+		return moduleExports
+
+	if (moduleExports && typeof moduleExports.default === 'function')
+		return moduleExports.default
+
+	return null
+}
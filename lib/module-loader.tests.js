@@ -0,0 +1,74 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const moduleLoader = require('./module-loader')
+
+// Constants
+const kTestDataPath = path.resolve(__dirname, '..', 'test-data')
+const kTestEsmRoutingPath = path.resolve(kTestDataPath, 'routing-esm')
+
+describe('moduleLoader', function() {
+	describe('load', function() {
+		it('requires CommonJS modules', function() {
+			const result = moduleLoader.load(path.resolve(kTestEsmRoutingPath, 'post.cjs'))
+
+			expect(result).a('function')
+		})
+
+		it('non-existent module throws error', function() {
+			expect(function() {
+				moduleLoader.load(path.resolve(kTestEsmRoutingPath, 'non-existent.js'))
+			}).throw(Error)
+		})
+	})
+
+	describe('loadAsync', function() {
+		it('imports native ES modules', function() {
+			return moduleLoader.loadAsync(path.resolve(kTestEsmRoutingPath, 'get.mjs'))
+				.then((result) => {
+					expect(result.default).a('function')
+				})
+		})
+
+		it('requires CommonJS modules', function() {
+			return moduleLoader.loadAsync(path.resolve(kTestEsmRoutingPath, 'post.cjs'))
+				.then((result) => {
+					expect(result).a('function')
+				})
+		})
+
+		it('non-existent module rejects', function() {
+			return moduleLoader.loadAsync(path.resolve(kTestEsmRoutingPath, 'non-existent.js'))
+				.then(() => {
+					throw new Error('Expected loadAsync to reject')
+				}, (error) => {
+					expect(error).instanceof(Error)
+				})
+		})
+	})
+
+	describe('exportedFunction', function() {
+		function fn() {}
+
+		it('function export', function() {
+			expect(moduleLoader.exportedFunction(fn)).equal(fn)
+		})
+
+		it('default function export', function() {
+			expect(moduleLoader.exportedFunction({default: fn})).equal(fn)
+		})
+
+		const invalidInputs = [null, {}, [], {default: {}}, 'fn']
+		invalidInputs.forEach((invalidInput) => {
+			it(`${JSON.stringify(invalidInput)} returns null`, function() {
+				expect(moduleLoader.exportedFunction(invalidInput)).equal(null)
+			})
+		})
+	})
+})
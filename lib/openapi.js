@@ -0,0 +1,255 @@
+'use strict'
+
+// Local
+const httpMethods = require('./http-methods')
+const moduleLoader = require('./module-loader')
+const paramTypes = require('./param-types')
+const PathRoutifier = require('./PathRoutifier')
+const requestValidation = require('./request-validation')
+
+// Constants
+const kOpenApiVersion = '3.0.3'
+const kOperationMethods = new Set([
+	'get',
+	'put',
+	'post',
+	'delete',
+	'options',
+	'head',
+	'patch',
+	'trace'
+])
+const kWildcardExtension = 'x-path-routify-wildcard'
+// Request schema location -> OpenAPI parameter location
+const kParameterLocations = {
+	query: 'query',
+	headers: 'header'
+}
+
+/**
+ * Generates an OpenAPI 3.0 document describing the routes that PathRoutifier would create for
+ * ${routesPath}. Parameter directories (e.g. $id) become path parameters (e.g. {id}) whose schema
+ * reflects any type or pattern (e.g. $id(int) is an integer). OpenAPI path
+ * parameters are always required and thus each optional parameter (e.g. $year_) yields one path
+ * without its segment (/reports) and one with it (/reports/{year}). Handlers for 'all' are
+ * documented under each supported method that lacks a method specific handler at the same path.
+ *
+ * Any metadata exported by a handler module via its meta property (e.g. module.exports.meta = {})
+ * is merged into the generated operation object; for method map files (route.js), that of the
+ * factory of each method (e.g. module.exports.get.meta). Typical fields include summary, description,
+ * tags, operationId, parameters, requestBody and responses. Parameters are merged with the
+ * generated path parameters by name and location.
+ *
+ * Any request schema (see PathRoutifier request validation) is used to document the path, query
+ * and header parameters, the JSON request body, and the 400 response to invalid requests. Metadata
+ * takes precedence over these.
+ *
+ * Handler modules are loaded synchronously (via options.loader or require) but their factories
+ * are not called. Thus, asynchronous factories are supported, but native ES modules only where
+ * require supports them and loaders that return a promise are not supported at all.
+ *
+ * @param {String} routesPath root path of the routes
+ * @param {Object} [options = {}] also passed to PathRoutifier (e.g. methods, extensions, loader)
+ * @param {Object} [options.info = {title: 'API', version: '1.0.0'}] OpenAPI info object
+ * @param {Array.<Object>} [options.servers] OpenAPI server objects
+ * @param {Boolean} [options.includeWildcards = false] include wildcard (.star.js) routes; these
+ *   are flagged with the x-path-routify-wildcard extension
+ * @returns {Object} OpenAPI document
+ */
+exports.generateOpenApi = function(routesPath, options = {}) {
+	const pathRoutifier = new PathRoutifier(null, options)
+	const methods = httpMethods.expand(options.methods).filter((method) => kOperationMethods.has(method))
+	const loadModule = options.loader || moduleLoader.load
+	const paths = {}
+	// Operations generated from 'all' handlers; these yield to method specific handlers
+	const allOperations = new Set()
+
+	pathRoutifier.dryRoutify(routesPath).forEach((dryPathRoute) => {
+		dryPathRoute.routes.forEach((routeInfo) => {
+			if (routeInfo.isStar && !options.includeWildcards)
+				return
+
+			const routeMethods = routeInfo.httpMethod === 'all' ? methods : [routeInfo.httpMethod]
+			const moduleExports = handlerExports(routeInfo, loadModule(routeInfo.path))
+			const meta = moduleExports && moduleExports.meta
+			const schema = requestValidation.loadSchema(routeInfo.path, moduleExports)
+
+			pathVariants(routeInfo).forEach((variant) => {
+				routeMethods
+				.filter((method) => kOperationMethods.has(method))
+				.forEach((method) => {
+					const pathItem = paths[variant.openApiPath] || (paths[variant.openApiPath] = {})
+					const existing = pathItem[method]
+					// Otherwise, the first registered handler is the one that receives the request
+					if (existing && (routeInfo.httpMethod === 'all' || !allOperations.has(existing)))
+						return
+
+					pathItem[method] = operation(routeInfo, variant.params, meta, schema)
+					if (routeInfo.httpMethod === 'all')
+						allOperations.add(pathItem[method])
+				})
+			})
+		})
+	})
+
+	const document = {
+		openapi: kOpenApiVersion,
+		info: options.info || {title: 'API', version: '1.0.0'}
+	}
+	if (options.servers)
+		document.servers = options.servers
+	document.paths = paths
+
+	return document
+}
+
+/**
+ * @param {String} endpoint route endpoint using $ for parameters (e.g. /owners/$id)
+ * @returns {String} the OpenAPI path equivalent (e.g. /owners/{id}); parameter patterns and
+ *   optional markers are removed
+ */
+exports.openApiPath = function(endpoint) {
+	return endpoint.replace(/\$([^/*(?]+)(?:\([^/]*\))?\??/g, '{$1}')
+}
+
+/**
+ * @param {Object} routeInfo
+ * @param {any} moduleExports exports of the module at ${routeInfo.path}
+ * @returns {any} the exports that define the handler of ${routeInfo} (see
+ *   PathRoutifier.handlerExports_)
+ */
+function handlerExports(routeInfo, moduleExports) {
+	return routeInfo.isMethodMap ? httpMethods.methodMapHandler(moduleExports, routeInfo.httpMethod) : moduleExports
+}
+
+/**
+ * @param {Object} routeInfo
+ * @returns {Array.<Object>} {openApiPath, params} for each combination of the optional parameters
+ *   of ${routeInfo} being omitted or not (e.g. /reports/$year_ yields /reports without any
+ *   params and /reports/{year} with the year param)
+ */
+function pathVariants(routeInfo) {
+	let result = [{openApiPath: exports.openApiPath(routeInfo.endpoint), params: routeInfo.params}]
+	routeInfo.params
+	.filter((param) => param.optional)
+	.forEach((param) => {
+		const omitted = result.map((variant) => ({
+			openApiPath: variant.openApiPath.replace(`/{${param.name}}`, '') || '/',
+			params: variant.params.filter((x) => x !== param)
+		}))
+		result = [...omitted, ...result]
+	})
+	return result
+}
+
+/**
+ * @param {Object} routeInfo
+ * @param {Array.<Param>} params path parameters of the operation
+ * @param {Object?} meta handler metadata
+ * @param {Object?} schema request schema
+ * @returns {Object} OpenAPI operation object
+ */
+function operation(routeInfo, params, meta, schema) {
+	const generated = {
+		responses: {
+			default: {
+				description: 'Default response'
+			}
+		}
+	}
+	if (schema) {
+		generated.responses['400'] = {
+			description: 'Invalid request'
+		}
+		if (schema.body) {
+			generated.requestBody = {
+				required: true,
+				content: {
+					'application/json': {
+						schema: schema.body
+					}
+				}
+			}
+		}
+	}
+	const result = Object.assign(generated, meta)
+
+	const parameters = mergeParameters(
+		[...pathParameters(params, schema && schema.params), ...schemaParameters(schema)],
+		meta && meta.parameters)
+	if (parameters.length)
+		result.parameters = parameters
+	else
+		Reflect.deleteProperty(result, 'parameters')
+
+	if (routeInfo.isStar)
+		result[kWildcardExtension] = true
+
+	return result
+}
+
+/**
+ * @param {Array.<Param>} params route parameters
+ * @param {Object?} paramsSchema JSON schema of the route parameters
+ * @returns {Array.<Object>} OpenAPI parameter objects for each of ${params}
+ */
+function pathParameters(params, paramsSchema) {
+	const properties = (paramsSchema && paramsSchema.properties) || {}
+	return params.map((param) => ({
+		name: param.name,
+		in: 'path',
+		required: true,
+		schema: properties[param.name] || paramTypes.schema(param)
+	}))
+}
+
+/**
+ * @param {Object?} schema request schema
+ * @returns {Array.<Object>} OpenAPI parameter objects for each query and header property declared
+ *   in ${schema}
+ */
+function schemaParameters(schema) {
+	const result = []
+	if (!schema)
+		return result
+
+	Object.keys(kParameterLocations).forEach((location) => {
+		const locationSchema = schema[location]
+		if (!locationSchema || !locationSchema.properties)
+			return
+
+		const required = new Set(locationSchema.required || [])
+		Object.keys(locationSchema.properties).forEach((name) => {
+			result.push({
+				name,
+				in: kParameterLocations[location],
+				required: required.has(name),
+				schema: locationSchema.properties[name]
+			})
+		})
+	})
+	return result
+}
+
+/**
+ * Any parameter in ${overrides} replaces the parameter in ${parameters} with the same name and
+ * location; the remainder are appended.
+ *
+ * @param {Array.<Object>} parameters
+ * @param {Array.<Object>?} overrides
+ * @returns {Array.<Object>}
+ */
+function mergeParameters(parameters, overrides) {
+	if (!overrides)
+		return parameters
+
+	const result = parameters.slice()
+	overrides.forEach((override) => {
+		const index = result.findIndex((x) => x.name === override.name && x.in === override.in)
+		if (index >= 0)
+			result[index] = Object.assign({}, result[index], override)
+		else
+			result.push(override)
+	})
+	return result
+}
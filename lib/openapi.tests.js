@@ -0,0 +1,276 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const openapi = require('./openapi')
+
+// Constants
+const kTestOpenApiPath = path.resolve(__dirname, '..', 'test-data', 'openapi')
+
+describe('openapi', function() {
+	describe('openApiPath', function() {
+		const inputs = [
+			['/', '/'],
+			['/owners', '/owners'],
+			['/owners/$id', '/owners/{id}'],
+			['/owners/$id/dogs/$dogId', '/owners/{id}/dogs/{dogId}'],
+			['/owners/$id*', '/owners/{id}*'],
+			['/owners/$id(\\d+)/dogs/$name([a-z-]+)*', '/owners/{id}/dogs/{name}*'],
+			['/reports/$year?', '/reports/{year}'],
+			['/files/$path(.+)?', '/files/{path}']
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} -> ${input[1]}`, function() {
+				expect(openapi.openApiPath(input[0])).equal(input[1])
+			})
+		})
+	})
+
+	describe('generateOpenApi', function() {
+		const kDefaultResponses = {
+			default: {
+				description: 'Default response'
+			}
+		}
+
+		it('non-existent routesPath throws error', function() {
+			expect(function() {
+				openapi.generateOpenApi(path.resolve(__dirname, 'non-existent-directory'))
+			}).throw(Error)
+		})
+
+		it('generates document with path parameters and merged metadata', function() {
+			const result = openapi.generateOpenApi(kTestOpenApiPath, {
+				info: {title: 'Owners', version: '2.0.0'},
+				methods: ['get', 'post']
+			})
+
+			expect(result).eql({
+				openapi: '3.0.3',
+				info: {title: 'Owners', version: '2.0.0'},
+				paths: {
+					'/': {
+						get: {
+							responses: kDefaultResponses
+						}
+					},
+					'/owners': {
+						post: {
+							summary: 'Create an owner',
+							tags: ['owners'],
+							requestBody: {
+								required: true,
+								content: {
+									'application/json': {
+										schema: {
+											type: 'object',
+											properties: {
+												name: {type: 'string'}
+											}
+										}
+									}
+								}
+							},
+							responses: {
+								201: {
+									description: 'Created owner'
+								}
+							}
+						}
+					},
+					'/owners/{id}': {
+						get: {
+							summary: 'Fetch an owner',
+							tags: ['owners'],
+							parameters: [
+								{
+									name: 'id',
+									in: 'path',
+									required: true,
+									schema: {type: 'integer'}
+								},
+								{
+									name: 'fields',
+									in: 'query',
+									schema: {type: 'string'}
+								}
+							],
+							responses: kDefaultResponses
+						},
+						post: {
+							parameters: [
+								{
+									name: 'id',
+									in: 'path',
+									required: true,
+									schema: {type: 'string'}
+								}
+							],
+							responses: kDefaultResponses
+						}
+					},
+					'/users': {
+						get: {
+							responses: kDefaultResponses
+						}
+					}
+				}
+			})
+		})
+
+		it('includeWildcards flags wildcard routes', function() {
+			const result = openapi.generateOpenApi(kTestOpenApiPath, {
+				methods: ['get'],
+				includeWildcards: true,
+				servers: [{url: 'https://example.com'}]
+			})
+
+			expect(result.servers).eql([{url: 'https://example.com'}])
+			expect(Object.keys(result.paths)).eql(['/*', '/', '/users', '/owners/{id}'])
+			expect(result.paths['/*']).eql({
+				get: {
+					responses: kDefaultResponses,
+					'x-path-routify-wildcard': true
+				}
+			})
+		})
+
+		it('documents request schemas', function() {
+			const result = openapi.generateOpenApi(path.resolve(__dirname, '..', 'test-data', 'routing-validation'))
+			const kValidatedResponses = Object.assign({
+				400: {
+					description: 'Invalid request'
+				}
+			}, kDefaultResponses)
+
+			expect(result.paths['/owners']).eql({
+				get: {
+					responses: kValidatedResponses,
+					parameters: [
+						{
+							name: 'limit',
+							in: 'query',
+							required: true,
+							schema: {type: 'integer', maximum: 100}
+						},
+						{
+							name: 'x-api-version',
+							in: 'header',
+							required: false,
+							schema: {type: 'string', enum: ['1']}
+						}
+					]
+				}
+			})
+			expect(result.paths['/owners/{id}'].post).eql({
+				responses: kValidatedResponses,
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								required: ['name'],
+								properties: {
+									name: {type: 'string'}
+								}
+							}
+						}
+					}
+				},
+				parameters: [
+					{
+						name: 'id',
+						in: 'path',
+						required: true,
+						schema: {type: 'integer'}
+					}
+				]
+			})
+		})
+
+		it('methods: * documents every OpenAPI operation method', function() {
+			const result = openapi.generateOpenApi(path.resolve(__dirname, '..', 'test-data', 'openapi-verbs'), {methods: '*'})
+
+			// search is an HTTP method but not an OpenAPI operation
+			expect(result.paths['/']).eql({
+				head: {
+					responses: kDefaultResponses
+				}
+			})
+		})
+
+		it('documents the meta and schema of each method of a method map', function() {
+			const result = openapi.generateOpenApi(path.resolve(__dirname, '..', 'test-data', 'openapi-verbs'))
+			const kValidatedResponses = Object.assign({
+				400: {
+					description: 'Invalid request'
+				}
+			}, kDefaultResponses)
+
+			expect(result.paths['/items']).eql({
+				get: {
+					summary: 'List items',
+					responses: kValidatedResponses,
+					parameters: [
+						{
+							name: 'limit',
+							in: 'query',
+							required: false,
+							schema: {type: 'integer'}
+						}
+					]
+				},
+				post: {
+					summary: 'Create an item',
+					responses: kValidatedResponses,
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {type: 'object', required: ['name']}
+							}
+						}
+					}
+				}
+			})
+		})
+
+		it('documents typed parameters', function() {
+			const result = openapi.generateOpenApi(path.resolve(__dirname, '..', 'test-data', 'routing-typed'))
+
+			expect(Object.keys(result.paths)).eql(['/owners/{id}', '/owners/new', '/posts/{slug}', '/tokens/{token}'])
+			expect(result.paths['/owners/{id}'].get.parameters[0].schema).eql({type: 'integer', minimum: 0})
+			expect(result.paths['/posts/{slug}'].get.parameters[0].schema).eql({type: 'string', pattern: '^(?:[a-z-]+)$'})
+			expect(result.paths['/tokens/{token}'].get.parameters[0].schema).eql({type: 'string', format: 'uuid'})
+		})
+
+		it('documents optional parameters as paths with and without their segment', function() {
+			const result = openapi.generateOpenApi(path.resolve(__dirname, '..', 'test-data', 'routing-optional'))
+
+			expect(Object.keys(result.paths)).eql(['/archive', '/archive/{rest}', '/files/{path}', '/reports', '/reports/{year}'])
+			expect(result.paths['/reports']).eql({
+				get: {
+					responses: kDefaultResponses
+				}
+			})
+			expect(result.paths['/reports/{year}'].get.parameters).eql([
+				{
+					name: 'year',
+					in: 'path',
+					required: true,
+					schema: {type: 'integer', minimum: 0}
+				}
+			])
+			expect(result.paths['/archive/{rest}'].get.parameters[0].required).equal(true)
+		})
+	})
+})
@@ -0,0 +1,141 @@
+'use strict'
+
+// Constants
+const kParamDirectoryPrefix = '$'
+const kCatchAllDirectoryPrefix = '$$'
+const kOptionalSuffix = '_'
+const kParamDirectoryRegex = /^\$(\w+)(?:\((.+)\)|\.(\w+))?$/
+const kCatchAllDirectoryRegex = /^\$\$(\w+)$/
+const kCatchAllPattern = '.+'
+const kParamTypes = {
+	int: {
+		pattern: '\\d+',
+		coerce: Number
+	},
+	uuid: {
+		pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+		coerce: null
+	}
+}
+
+/**
+ * @typedef {Object} Param
+ * @property {String} name
+ * @property {String?} type name of the built-in type (e.g. int or uuid) if any
+ * @property {String?} pattern regular expression source that constrains the parameter value;
+ *   null if the parameter is not constrained
+ * @property {Boolean} optional true if the parameter (and its leading slash) may be omitted
+ * @property {Boolean} catchAll true if the parameter captures the rest of the URL, slashes
+ *   included
+ */
+
+/**
+ * Decodes a parameter directory name. Parameters may be constrained to a built-in type either
+ * with parentheses or a period (e.g. $id(int) or $id.uuid) or to a custom regular expression
+ * within parentheses (e.g. $slug([a-z-]+)). Because the pattern is embedded in the express route
+ * path, it may not contain groups, wildcards or slashes.
+ *
+ * Directory names with a period suffix that is not a built-in type (e.g. $file.json) are
+ * untyped parameters as before.
+ *
+ * A double dollar sign denotes a named catch-all parameter (e.g. $$path) that captures the rest of
+ * the URL (at least one character). Any parameter, including a catch-all, suffixed with an
+ * underscore is optional (e.g. $year_ or $year(int)_).
+ *
+ * @param {String} directoryName
+ * @returns {Param?} the decoded parameter or null if ${directoryName} is not a parameter directory
+ * @throws {Error} if the constraint is not a valid regular expression
+ */
+exports.parse = function(directoryName) {
+	if (directoryName[0] !== kParamDirectoryPrefix)
+		return null
+
+	// 1. Optional suffix (a lone $_ is simply a parameter named _)
+	const optional = directoryName.endsWith(kOptionalSuffix) && directoryName !== kParamDirectoryPrefix + kOptionalSuffix
+	const baseName = optional ? directoryName.slice(0, -1) : directoryName
+
+	// 2. Catch-all
+	if (baseName.startsWith(kCatchAllDirectoryPrefix)) {
+		const catchAllMatches = kCatchAllDirectoryRegex.exec(baseName)
+		if (!catchAllMatches)
+			throw new Error(`Invalid parameter directory, ${directoryName}: catch-all parameter names may only contain word characters`)
+		return {name: catchAllMatches[1], type: null, pattern: kCatchAllPattern, optional, catchAll: true}
+	}
+
+	// 3. Typed or plain parameter
+	const matches = kParamDirectoryRegex.exec(baseName)
+	const constraint = matches && (matches[2] || (kParamTypes[matches[3]] && matches[3]))
+	if (!constraint)
+		return {name: baseName.substr(1), type: null, pattern: null, optional, catchAll: false}
+
+	if (kParamTypes[constraint])
+		return {name: matches[1], type: constraint, pattern: kParamTypes[constraint].pattern, optional, catchAll: false}
+
+	assertValidPattern(constraint, directoryName)
+	return {name: matches[1], type: null, pattern: constraint, optional, catchAll: false}
+}
+
+/**
+ * @param {Param} param
+ * @returns {String} the express route path chunk for ${param} (e.g. :id(\d+), :year? or
+ *   :path(.+))
+ */
+exports.routeChunk = function(param) {
+	const pattern = param.pattern ? `(${param.pattern})` : ''
+	const optional = param.optional ? '?' : ''
+	return `:${param.name}${pattern}${optional}`
+}
+
+/**
+ * @param {Array.<Param>} params
+ * @returns {Function?} function(requestParams) that converts in place the value of each numeric
+ *   parameter in ${params} to a number; null if there are no numeric parameters
+ */
+exports.coercer = function(params) {
+	const coercedParams = params.filter((param) => param.type && kParamTypes[param.type].coerce)
+	if (!coercedParams.length)
+		return null
+
+	return function(requestParams) {
+		coercedParams.forEach((param) => {
+			if (typeof requestParams[param.name] === 'string')
+				requestParams[param.name] = kParamTypes[param.type].coerce(requestParams[param.name])
+		})
+	}
+}
+
+/**
+ * @param {Param} param
+ * @returns {Object} JSON schema that describes the values of ${param}
+ */
+exports.schema = function(param) {
+	if (param.catchAll)
+		return {type: 'string'}
+
+	if (param.type === 'int')
+		return {type: 'integer', minimum: 0}
+
+	if (param.type === 'uuid')
+		return {type: 'string', format: 'uuid'}
+
+	if (param.pattern)
+		return {type: 'string', pattern: `^(?:${param.pattern})$`}
+
+	return {type: 'string'}
+}
+
+/**
+ * @param {String} pattern
+ * @param {String} directoryName
+ */
+function assertValidPattern(pattern, directoryName) {
+	if (/[()*/]/.test(pattern))
+		throw new Error(`Invalid parameter directory, ${directoryName}: the constraint may not contain groups, wildcards or slashes`)
+
+	try {
+		new RegExp(pattern) // eslint-disable-line no-new
+	}
+	catch (error) {
+		throw new Error(`Invalid parameter directory, ${directoryName}: ${error.message}`)
+	}
+}
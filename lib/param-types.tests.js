@@ -0,0 +1,78 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const paramTypes = require('./param-types')
+
+describe('paramTypes', function() {
+	describe('parse', function() {
+		const kUuidPattern = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}'
+		const inputs = [
+			['users', null],
+			['$id', {name: 'id', type: null, pattern: null, optional: false, catchAll: false}],
+			['$id(int)', {name: 'id', type: 'int', pattern: '\\d+', optional: false, catchAll: false}],
+			['$id.int', {name: 'id', type: 'int', pattern: '\\d+', optional: false, catchAll: false}],
+			['$id.uuid', {name: 'id', type: 'uuid', pattern: kUuidPattern, optional: false, catchAll: false}],
+			['$slug([a-z-]+)', {name: 'slug', type: null, pattern: '[a-z-]+', optional: false, catchAll: false}],
+			['$id(\\d{3})', {name: 'id', type: null, pattern: '\\d{3}', optional: false, catchAll: false}],
+			['$file.json', {name: 'file.json', type: null, pattern: null, optional: false, catchAll: false}],
+			['$year_', {name: 'year', type: null, pattern: null, optional: true, catchAll: false}],
+			['$year(int)_', {name: 'year', type: 'int', pattern: '\\d+', optional: true, catchAll: false}],
+			['$_', {name: '_', type: null, pattern: null, optional: false, catchAll: false}],
+			['$$path', {name: 'path', type: null, pattern: '.+', optional: false, catchAll: true}],
+			['$$path_', {name: 'path', type: null, pattern: '.+', optional: true, catchAll: true}]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} -> ${JSON.stringify(input[1])}`, function() {
+				expect(paramTypes.parse(input[0])).eql(input[1])
+			})
+		})
+
+		const invalidInputs = [
+			['$id([a-z)', /Invalid parameter directory, \$id\(\[a-z\): Invalid regular expression/],
+			['$id((a|b))', /may not contain groups/],
+			['$id(a*)', /may not contain groups, wildcards or slashes/],
+			['$$path(int)', /catch-all parameter names may only contain word characters/]
+		]
+
+		invalidInputs.forEach((input) => {
+			it(`${input[0]} throws error`, function() {
+				expect(function() {
+					paramTypes.parse(input[0])
+				}).throw(Error, input[1])
+			})
+		})
+	})
+
+	describe('routeChunk', function() {
+		it('untyped and typed parameters', function() {
+			expect(paramTypes.routeChunk(paramTypes.parse('$id'))).equal(':id')
+			expect(paramTypes.routeChunk(paramTypes.parse('$id(int)'))).equal(':id(\\d+)')
+		})
+
+		it('optional and catch-all parameters', function() {
+			expect(paramTypes.routeChunk(paramTypes.parse('$year_'))).equal(':year?')
+			expect(paramTypes.routeChunk(paramTypes.parse('$year(int)_'))).equal(':year(\\d+)?')
+			expect(paramTypes.routeChunk(paramTypes.parse('$$path'))).equal(':path(.+)')
+			expect(paramTypes.routeChunk(paramTypes.parse('$$path_'))).equal(':path(.+)?')
+		})
+	})
+
+	describe('coercer', function() {
+		it('no numeric parameters returns null', function() {
+			expect(paramTypes.coercer([paramTypes.parse('$id'), paramTypes.parse('$id.uuid')])).equal(null)
+		})
+
+		it('converts only the numeric parameters to numbers', function() {
+			const coerce = paramTypes.coercer([paramTypes.parse('$id(int)'), paramTypes.parse('$name')])
+			const params = {id: '42', name: '7'}
+
+			coerce(params)
+
+			expect(params).eql({id: 42, name: '7'})
+		})
+	})
+})
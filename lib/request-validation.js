@@ -0,0 +1,123 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Vendor
+const Ajv = require('ajv')
+
+// Constants
+const kSchemaFileSuffix = '.schema.json'
+const kLocations = [
+	'params',
+	'headers',
+	'query',
+	'body'
+]
+// Values in these locations are always strings and thus are coerced to the schema types
+const kCoercedLocations = new Set([
+	'params',
+	'headers',
+	'query'
+])
+// Shared by every validator so that compiled schemas are cached once per process
+const kAjv = new Ajv({allErrors: true})
+const kCoercingAjv = new Ajv({allErrors: true, coerceTypes: true})
+
+/**
+ * @typedef {Object} RequestSchema
+ * @property {Object} [params] JSON schema for req.params
+ * @property {Object} [headers] JSON schema for req.headers (header names are lowercase)
+ * @property {Object} [query] JSON schema for req.query
+ * @property {Object} [body] JSON schema for req.body
+ */
+
+/**
+ * @param {String} routePath path of a route handler file (e.g. /routes/owners/$id/post.js)
+ * @returns {String} path of its co-located schema file (e.g. /routes/owners/$id/post.schema.json)
+ */
+exports.schemaPath = function(routePath) {
+	const extension = path.extname(routePath)
+	return path.join(path.dirname(routePath), path.basename(routePath, extension) + kSchemaFileSuffix)
+}
+
+/**
+ * Returns the request schema for the route handler located at ${routePath}. This is either read
+ * from its co-located schema file or the schema property exported by the handler module. It is
+ * an error for both to be defined.
+ *
+ * @param {String} routePath
+ * @param {any} moduleExports exports of the route handler module
+ * @returns {RequestSchema?} the request schema or null if there is none
+ */
+exports.loadSchema = function(routePath, moduleExports) {
+	const schemaPath = exports.schemaPath(routePath)
+	const exportedSchema = moduleExports && moduleExports.schema
+	let fileSchema = null
+
+	if (fs.existsSync(schemaPath)) {
+		try {
+			fileSchema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'))
+		}
+		catch (error) {
+			throw new Error(`Unable to read schema file, ${schemaPath}: ${error.message}`)
+		}
+	}
+
+	if (fileSchema && exportedSchema)
+		throw new Error(`Ambiguous request schema: both ${schemaPath} and the schema exported by ${routePath} are defined`)
+
+	const schema = fileSchema || exportedSchema || null
+	if (schema) {
+		Object.keys(schema).forEach((location) => {
+			if (!kLocations.includes(location))
+				throw new Error(`Invalid request schema for ${routePath}: unsupported location, ${location} (expected one of ${kLocations.join(', ')})`)
+		})
+	}
+	return schema
+}
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {String} location params, headers, query or body
+ * @property {String} path location of the invalid value (e.g. .name)
+ * @property {String} keyword the failing JSON schema keyword (e.g. type)
+ * @property {String} message
+ */
+
+/**
+ * Compiles ${schema} and returns a function that validates the params, headers, query and body
+ * of a request against it. Values in params, headers and query are coerced (in place) to the
+ * types declared in the schema (e.g. query.limit becomes a number).
+ *
+ * @param {RequestSchema} schema
+ * @returns {Function} function(request) that returns an array of ValidationErrors (empty if
+ *   ${request} is valid); ${request} is any object with params, headers, query and body properties
+ */
+exports.compileValidator = function(schema) {
+	const validators = kLocations
+		.filter((location) => !!schema[location])
+		.map((location) => ({
+			location,
+			validate: (kCoercedLocations.has(location) ? kCoercingAjv : kAjv).compile(schema[location])
+		}))
+
+	return function(request) {
+		const errors = []
+		validators.forEach((validator) => {
+			if (validator.validate(request[validator.location] || {}))
+				return
+
+			validator.validate.errors.forEach((error) => {
+				errors.push({
+					location: validator.location,
+					path: error.dataPath,
+					keyword: error.keyword,
+					message: error.message
+				})
+			})
+		})
+		return errors
+	}
+}
@@ -0,0 +1,105 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const requestValidation = require('./request-validation')
+
+// Constants
+const kTestRoutingValidationPath = path.resolve(__dirname, '..', 'test-data', 'routing-validation')
+
+describe('request-validation', function() {
+	describe('schemaPath', function() {
+		const inputs = [
+			['/routes/post.js', '/routes/post.schema.json'],
+			['/routes/owners/$id/1.get.js', '/routes/owners/$id/1.get.schema.json'],
+			['/routes/all.star.ts', '/routes/all.star.schema.json']
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} -> ${input[1]}`, function() {
+				expect(requestValidation.schemaPath(input[0])).equal(input[1])
+			})
+		})
+	})
+
+	describe('loadSchema', function() {
+		it('reads the co-located schema file', function() {
+			const routePath = path.resolve(kTestRoutingValidationPath, 'owners', '$id', 'post.js')
+			const schema = requestValidation.loadSchema(routePath, {})
+
+			expect(Object.keys(schema)).eql(['params', 'body'])
+		})
+
+		it('returns the exported schema', function() {
+			const routePath = path.resolve(kTestRoutingValidationPath, 'owners', 'get.js')
+			const moduleExports = {schema: {query: {type: 'object'}}}
+
+			expect(requestValidation.loadSchema(routePath, moduleExports)).equal(moduleExports.schema)
+		})
+
+		it('returns null if there is no schema', function() {
+			const routePath = path.resolve(kTestRoutingValidationPath, 'owners', '$id', 'get.js')
+
+			expect(requestValidation.loadSchema(routePath, function() {})).equal(null)
+		})
+
+		it('both a schema file and exported schema throws error', function() {
+			const routePath = path.resolve(kTestRoutingValidationPath, 'owners', '$id', 'post.js')
+
+			expect(function() {
+				requestValidation.loadSchema(routePath, {schema: {}})
+			}).throw(Error, /^Ambiguous request schema/)
+		})
+
+		it('unsupported location throws error', function() {
+			expect(function() {
+				requestValidation.loadSchema('/routes/get.js', {schema: {cookies: {}}})
+			}).throw(Error, /unsupported location, cookies/)
+		})
+	})
+
+	describe('compileValidator', function() {
+		it('invalid schema throws error', function() {
+			expect(function() {
+				requestValidation.compileValidator({body: {type: 'not-a-type'}})
+			}).throw(Error)
+		})
+
+		it('valid request has no errors and params, query and headers are coerced', function() {
+			const validate = requestValidation.compileValidator({
+				params: {properties: {id: {type: 'integer'}}},
+				query: {properties: {verbose: {type: 'boolean'}}}
+			})
+			const req = {params: {id: '12'}, query: {verbose: 'true'}}
+
+			expect(validate(req)).eql([])
+			expect(req.params.id).equal(12)
+			expect(req.query.verbose).equal(true)
+		})
+
+		it('does not coerce the body', function() {
+			const validate = requestValidation.compileValidator({
+				body: {properties: {count: {type: 'integer'}}}
+			})
+
+			expect(validate({body: {count: '12'}})).eql([
+				{location: 'body', path: '.count', keyword: 'type', message: 'should be integer'}
+			])
+		})
+
+		it('missing request location is validated as an empty object', function() {
+			const validate = requestValidation.compileValidator({
+				body: {required: ['name']}
+			})
+
+			expect(validate({})[0].keyword).equal('required')
+		})
+	})
+})
@@ -0,0 +1,146 @@
+'use strict'
+
+// Constants
+const kConflictPhrases = {
+	duplicate: 'duplicates',
+	unreachable: 'is unreachable because of',
+	shadowed: 'is shadowed by'
+}
+
+/**
+ * @typedef {Object} Conflict
+ * @property {String} type duplicate, unreachable, or shadowed
+ * @property {Object} route the route that may never be reached
+ * @property {Object} conflictingRoute the earlier registered route that takes precedence
+ * @property {String} message human readable description including both file paths
+ */
+
+/**
+ * Analyzes ${routes} (in registration order) for routes that may never receive a request because
+ * an earlier registered route with the same method (or 'all') matches every request they do:
+ *
+ * - duplicate: an earlier route has the identical endpoint (e.g. get.js in two route groups);
+ *   handlers ordered by a numeric prefix (e.g. 1.get.js and get.js) are designed to pass control
+ *   onwards and thus are not duplicates
+ * - unreachable: an earlier route has an equivalent endpoint apart from its parameter names (e.g.
+ *   sibling $id and $name directories)
+ * - shadowed: an earlier route with a parameter matches the more specific endpoint (e.g. $id/get.js
+ *   registered before new/get.js)
+ *
+ * A typed parameter (e.g. $id(int)) only conflicts with the segments its pattern matches; thus,
+ * $id(int)/get.js does not shadow new/get.js. Endpoints are compared segment by segment; hence,
+ * optional and catch-all parameters only conflict with endpoints of the same length.
+ *
+ * Because the earlier handler may still pass control onwards by calling next(), these represent
+ * likely - rather than certain - mistakes. Wildcard routes are designed to fall through and thus
+ * are not considered.
+ *
+ * @param {Array.<Object>} routes each with an httpMethod, endpoint (express syntax), path, isStar
+ *   and (optionally) hasNumericPrefix
+ * @returns {Array.<Conflict>}
+ */
+exports.findConflicts = function(routes) {
+	const conflicts = []
+	const candidates = routes.filter((route) => !route.isStar)
+
+	candidates.forEach((route, i) => {
+		for (let j = 0; j < i; j++) {
+			const earlierRoute = candidates[j]
+			let type = earlierRoute.httpMethod === route.httpMethod || earlierRoute.httpMethod === 'all' ?
+				conflictType(earlierRoute.endpoint, route.endpoint) : null
+			if (type === 'duplicate' && (earlierRoute.hasNumericPrefix || route.hasNumericPrefix))
+				type = null
+
+			if (type) {
+				conflicts.push({
+					type,
+					route,
+					conflictingRoute: earlierRoute,
+					message: `${describe(route)} ${kConflictPhrases[type]} ${describe(earlierRoute)}`
+				})
+				break
+			}
+		}
+	})
+
+	return conflicts
+}
+
+/**
+ * @param {String} endpoint express route path
+ * @param {String} otherEndpoint express route path
+ * @returns {Boolean} true if ${endpoint} matches every URL that ${otherEndpoint} does (including
+ *   if they are identical)
+ */
+exports.matchesAll = function(endpoint, otherEndpoint) {
+	return conflictType(endpoint, otherEndpoint) !== null
+}
+
+/**
+ * @param {String} earlierEndpoint
+ * @param {String} endpoint
+ * @returns {String?} the type of conflict, if any, that ${earlierEndpoint} poses to ${endpoint}
+ */
+function conflictType(earlierEndpoint, endpoint) {
+	if (earlierEndpoint === endpoint)
+		return 'duplicate'
+
+	const earlierSegments = earlierEndpoint.split('/')
+	const segments = endpoint.split('/')
+	if (earlierSegments.length !== segments.length)
+		return null
+
+	let isEquivalent = true
+	for (let i = 0; i < segments.length; i++) {
+		const earlierIsParam = isParam(earlierSegments[i])
+		const isParamSegment = isParam(segments[i])
+
+		if (earlierIsParam) {
+			const earlierPattern = paramPattern(earlierSegments[i])
+			const pattern = isParamSegment ? paramPattern(segments[i]) : null
+
+			if (isParamSegment && earlierPattern === pattern)
+				continue
+
+			// A constrained parameter only matches some of the values of another parameter or none
+			// of the non-matching literal segments
+			const isMatch = !earlierPattern ||
+				(!isParamSegment && new RegExp(`^(?:${earlierPattern})$`).test(segments[i]))
+			if (!isMatch)
+				return null
+
+			isEquivalent = false
+			continue
+		}
+
+		if (isParamSegment || earlierSegments[i] !== segments[i])
+			return null
+	}
+
+	return isEquivalent ? 'unreachable' : 'shadowed'
+}
+
+/**
+ * @param {String} segment
+ * @returns {Boolean} true if ${segment} is an express route parameter
+ */
+function isParam(segment) {
+	return segment[0] === ':'
+}
+
+/**
+ * @param {String} segment express route parameter (e.g. :id, :id(\d+) or :year(\d+)?)
+ * @returns {String?} the pattern that constrains ${segment} or null if it is unconstrained
+ */
+function paramPattern(segment) {
+	const matches = /^:\w+\((.*)\)\??$/.exec(segment)
+	return matches ? matches[1] : null
+}
+
+/**
+ * @param {Object} route
+ * @returns {String}
+ */
+function describe(route) {
+	return `${route.httpMethod.toUpperCase()} ${route.endpoint} (${route.path})`
+}
@@ -0,0 +1,161 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const routeConflicts = require('./route-conflicts')
+
+describe('routeConflicts', function() {
+	describe('findConflicts', function() {
+		function route(httpMethod, endpoint, isStar = false) {
+			return {httpMethod, endpoint, path: `${httpMethod}${endpoint}.js`, isStar}
+		}
+
+		function types(routes) {
+			return routeConflicts.findConflicts(routes).map((conflict) => conflict.type)
+		}
+
+		it('empty routes have no conflicts', function() {
+			expect(routeConflicts.findConflicts([])).eql([])
+		})
+
+		it('distinct routes have no conflicts', function() {
+			expect(types([
+				route('get', '/owners'),
+				route('post', '/owners'),
+				route('get', '/owners/:id'),
+				route('get', '/owners/:id/dogs')
+			])).eql([])
+		})
+
+		it('duplicate endpoint and method', function() {
+			const first = route('get', '/colors')
+			const second = route('get', '/colors')
+			const conflicts = routeConflicts.findConflicts([first, second])
+
+			expect(conflicts).eql([
+				{
+					type: 'duplicate',
+					route: second,
+					conflictingRoute: first,
+					message: 'GET /colors (get/colors.js) duplicates GET /colors (get/colors.js)'
+				}
+			])
+		})
+
+		it('handlers ordered by a numeric prefix are not duplicates', function() {
+			const numbered = Object.assign(route('get', '/colors'), {hasNumericPrefix: true})
+
+			expect(types([numbered, route('get', '/colors')])).eql([])
+			expect(types([route('all', '/colors'), numbered])).eql([])
+		})
+
+		it('equivalent parameters are unreachable', function() {
+			expect(types([
+				route('get', '/owners/:id'),
+				route('get', '/owners/:name')
+			])).eql(['unreachable'])
+		})
+
+		it('parameter shadows static segment', function() {
+			const conflicts = routeConflicts.findConflicts([
+				route('get', '/owners/:id'),
+				route('get', '/owners/new')
+			])
+
+			expect(conflicts.map((conflict) => conflict.type)).eql(['shadowed'])
+			expect(conflicts[0].message).equal('GET /owners/new (get/owners/new.js) is shadowed by GET /owners/:id (get/owners/:id.js)')
+		})
+
+		it('static segment does not shadow parameter', function() {
+			expect(types([
+				route('get', '/owners/new'),
+				route('get', '/owners/:id')
+			])).eql([])
+		})
+
+		it('all shadows specific methods', function() {
+			expect(types([
+				route('all', '/owners/:id'),
+				route('delete', '/owners/new')
+			])).eql(['shadowed'])
+		})
+
+		it('specific method does not shadow all', function() {
+			expect(types([
+				route('get', '/owners'),
+				route('all', '/owners')
+			])).eql([])
+		})
+
+		it('wildcard routes are ignored', function() {
+			expect(types([
+				route('get', '/*', true),
+				route('get', '/owners/:id*', true),
+				route('get', '/owners/:id*', true),
+				route('get', '/owners/5')
+			])).eql([])
+		})
+
+		it('typed parameter only shadows the static segments it matches', function() {
+			expect(types([
+				route('get', '/owners/:id(\\d+)'),
+				route('get', '/owners/new'),
+				route('get', '/owners/5')
+			])).eql(['shadowed'])
+		})
+
+		it('typed parameters are only equivalent to parameters with the same pattern', function() {
+			expect(types([
+				route('get', '/owners/:id(\\d+)'),
+				route('get', '/owners/:name([a-z]+)'),
+				route('get', '/owners/:ownerId(\\d+)'),
+				route('get', '/owners/:slug')
+			])).eql(['unreachable'])
+		})
+
+		it('untyped parameter shadows typed parameter', function() {
+			expect(types([
+				route('get', '/owners/:id'),
+				route('get', '/owners/:slug([a-z]+)')
+			])).eql(['shadowed'])
+		})
+
+		it('catch-all and optional parameters shadow endpoints of the same length', function() {
+			expect(types([
+				route('get', '/files/:path(.+)'),
+				route('get', '/files/readme'),
+				route('get', '/files/docs/readme'),
+				route('get', '/reports/:year(\\d+)?'),
+				route('get', '/reports/2020'),
+				route('get', '/reports')
+			])).eql(['shadowed', 'shadowed'])
+		})
+
+		it('only the first conflicting route is reported', function() {
+			expect(types([
+				route('get', '/owners/:id'),
+				route('get', '/owners/:name'),
+				route('get', '/owners/new')
+			])).eql(['unreachable', 'shadowed'])
+		})
+	})
+
+	describe('matchesAll', function() {
+		const inputs = [
+			['/owners/:id', '/owners/:id', true],
+			['/owners/:id', '/owners/new', true],
+			['/owners/:id', '/owners/:name', true],
+			['/owners/new', '/owners/:id', false],
+			['/owners/:id(\\d+)', '/owners/new', false],
+			['/owners/:id', '/owners/new/dogs', false]
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} ${input[2] ? 'matches' : 'does not match'} all of ${input[1]}`, function() {
+				expect(routeConflicts.matchesAll(input[0], input[1])).equal(input[2])
+			})
+		})
+	})
+})
@@ -0,0 +1,79 @@
+'use strict'
+
+// Constants
+const kPrefixRegex = /^(\/[\w.~-]+)*$/
+
+/**
+ * @typedef {Object} RoutesRoot
+ * @property {String} path routes directory
+ * @property {String} [prefix = ''] static URL prefix of every route beneath ${path} (e.g. /v1)
+ * @property {String} [fallback] prefix of a preceding root whose routes are also registered
+ *   beneath ${prefix} unless a route with the same method (or 'all') and relative endpoint exists
+ *   beneath ${path}
+ */
+
+/**
+ * @param {String|Array.<RoutesRoot>} routesPath a single routes directory or an array of roots
+ * @returns {Array.<RoutesRoot>} each root with its prefix (without any trailing slash) and
+ *   fallback (or null)
+ * @throws {Error} if any root is invalid
+ */
+exports.normalize = function(routesPath) {
+	if (!Array.isArray(routesPath))
+		return [{path: routesPath, prefix: '', fallback: null}]
+
+	if (!routesPath.length)
+		throw new Error('Invalid routes roots: expected at least one root')
+
+	const prefixes = []
+	return routesPath.map((root, i) => {
+		if (!root || typeof root.path !== 'string')
+			throw new Error(`Invalid routes root ${i}: path must be a string`)
+
+		const prefix = normalizePrefix(root.prefix || '', i)
+		let fallback = null
+		if (typeof root.fallback !== 'undefined') {
+			fallback = normalizePrefix(root.fallback, i)
+			if (!prefixes.includes(fallback))
+				throw new Error(`Invalid routes root ${i}: fallback, ${root.fallback}, is not the prefix of a preceding root`)
+		}
+
+		prefixes.push(prefix)
+		return {path: root.path, prefix, fallback}
+	})
+}
+
+/**
+ * @param {String} endpoint route endpoint beneath ${prefixEndpoint} (e.g. /v1/users/:id)
+ * @param {String} prefixEndpoint endpoint of the root directory (e.g. /v1 or /)
+ * @returns {String} ${endpoint} relative to ${prefixEndpoint} (e.g. users/:id)
+ */
+exports.relativeEndpoint = function(endpoint, prefixEndpoint) {
+	return endpoint.substr(prefixEndpoint.length).replace(/^\//, '')
+}
+
+/**
+ * Inverse of relativeEndpoint.
+ *
+ * @param {String} prefixEndpoint endpoint of the root directory (e.g. /v2 or /)
+ * @param {String} relativeEndpoint (e.g. users/:id, * or an empty string)
+ * @returns {String} (e.g. /v2/users/:id, /v2* or /v2)
+ */
+exports.joinEndpoint = function(prefixEndpoint, relativeEndpoint) {
+	if (!relativeEndpoint || relativeEndpoint[0] === '*')
+		return prefixEndpoint + relativeEndpoint
+
+	return `${prefixEndpoint.replace(/\/$/, '')}/${relativeEndpoint}`
+}
+
+/**
+ * @param {any} prefix
+ * @param {Number} index of the root
+ * @returns {String} ${prefix} without any trailing slash
+ */
+function normalizePrefix(prefix, index) {
+	const result = typeof prefix === 'string' ? prefix.replace(/\/$/, '') : null
+	if (result === null || !kPrefixRegex.test(result))
+		throw new Error(`Invalid routes root ${index}: prefix, ${prefix}, must be a static path beginning with a slash (e.g. /v1)`)
+	return result
+}
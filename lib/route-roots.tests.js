@@ -0,0 +1,61 @@
+'use strict'
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const routeRoots = require('./route-roots')
+
+describe('routeRoots', function() {
+	describe('normalize', function() {
+		it('single routes directory', function() {
+			expect(routeRoots.normalize('/routes')).eql([{path: '/routes', prefix: '', fallback: null}])
+		})
+
+		it('removes trailing slashes from prefixes and fallbacks', function() {
+			expect(routeRoots.normalize([
+				{path: '/v1', prefix: '/v1/'},
+				{path: '/v2', prefix: '/api/v2', fallback: '/v1/'},
+				{path: '/plugin', prefix: '/'}
+			])).eql([
+				{path: '/v1', prefix: '/v1', fallback: null},
+				{path: '/v2', prefix: '/api/v2', fallback: '/v1'},
+				{path: '/plugin', prefix: '', fallback: null}
+			])
+		})
+
+		const invalidInputs = [
+			[[], /expected at least one root/],
+			[[{prefix: '/v1'}], /^Invalid routes root 0: path must be a string/],
+			[[{path: '/v1', prefix: 'v1'}], /prefix, v1, must be a static path/],
+			[[{path: '/v1', prefix: '/users/$id'}], /must be a static path/],
+			[[{path: '/v1', prefix: '/v1', fallback: '/v1'}], /^Invalid routes root 0: fallback, \/v1, is not the prefix of a preceding root/]
+		]
+
+		invalidInputs.forEach((input, i) => {
+			it(`invalid roots ${i} throws error`, function() {
+				expect(function() {
+					routeRoots.normalize(input[0])
+				}).throw(Error, input[1])
+			})
+		})
+	})
+
+	describe('relativeEndpoint and joinEndpoint', function() {
+		const inputs = [
+			['/', '/', '', '/v2', '/v2'],
+			['/*', '/', '*', '/v2', '/v2*'],
+			['/users/:id', '/', 'users/:id', '/v2', '/v2/users/:id'],
+			['/v1', '/v1', '', '/', '/'],
+			['/v1*', '/v1', '*', '/', '/*'],
+			['/v1/users/:id', '/v1', 'users/:id', '/', '/users/:id']
+		]
+
+		inputs.forEach((input) => {
+			it(`${input[0]} relative to ${input[1]} -> ${input[2]} -> ${input[4]}`, function() {
+				expect(routeRoots.relativeEndpoint(input[0], input[1])).equal(input[2])
+				expect(routeRoots.joinEndpoint(input[3], input[2])).equal(input[4])
+			})
+		})
+	})
+})
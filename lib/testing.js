@@ -0,0 +1,149 @@
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const express = require('express')
+const pathToRegexp = require('path-to-regexp')
+
+// Local
+const PathRoutifier = require('./PathRoutifier')
+const conventions = require('./conventions')
+const moduleLoader = require('./module-loader')
+const routeManifest = require('./manifest')
+
+// Constants
+const kDefaultExtensions = ['.js']
+const kMethodMapMethod = 'route'
+
+/**
+ * Test harness for individual route files. Rather than routifying an entire routes directory,
+ * only the routes whose endpoint matches ${url} are registered - along with the route middleware
+ * (^ directories and ^verb.js files) and error handlers that they inherit - with an express
+ * application. No other route module is loaded (not even required) except for method map files
+ * (route.js), which are loaded to find the methods that they define.
+ *
+ * const testing = require('path-routify/testing')
+ *
+ * it('get /owners/:id', function() {
+ * 		return testing.route('routes', '/owners/5', {
+ * 			middlewares: {
+ * 				'auth.validToken': (req, res, next) => next()
+ * 			}
+ * 		})
+ * 		.get('/owners/5')
+ * 		.expect(200)
+ * })
+ *
+ * Global middlewares are loaded from options.middlewaresPath (if any) and each of
+ * options.middlewares then replaces (or adds) the middleware with the same dotted name. All other
+ * options are passed to the PathRoutifier (e.g. coerceParams). Wildcard routes are not included
+ * unless options.wildcards is true. Only the express adapter and synchronous factories are
+ * supported. The supertest package must be installed (e.g. as a development dependency); it is
+ * only required when route is called.
+ *
+ * @param {String} routesPath
+ * @param {String} url path (and optional query string) that the routes must match (e.g.
+ *   /owners/5)
+ * @param {Object} [options = {}]
+ * @param {Object} [options.middlewares = {}] mock global middlewares keyed by dotted name (e.g.
+ *   auth.validToken)
+ * @param {String} [options.middlewaresPath] path to all application middlewares
+ * @param {Boolean} [options.wildcards = false] also register the wildcard routes that match ${url}
+ * @param {express} [options.app = express()] application to register the routes with (e.g. with a
+ *   body parser already installed)
+ * @returns {Object} supertest agent for the application (e.g. agent.get('/owners/5'))
+ * @throws {Error} if no route matches ${url}
+ */
+exports.route = function(routesPath, url, options = {}) {
+	const supertest = requireSupertest()
+	const app = options.app || express()
+	const resolvedRoutesPath = path.resolve(routesPath)
+
+	// 1. Find the matching routes without loading any modules
+	const requestPath = url.split('?')[0]
+	const finder = new PathRoutifier(app, Object.assign({}, options, {loader: finderLoader(options)}))
+	const manifest = routeManifest.subset(finder.createManifest(resolvedRoutesPath), (route) => {
+		return (!route.isStar || !!options.wildcards) && endpointMatches(route.endpoint, requestPath)
+	})
+	if (!manifest.routes.length)
+		throw new Error(`No routes beneath ${resolvedRoutesPath} match ${url}`)
+
+	// 2. The schema of each route is loaded along with its module (the stub has none)
+	manifest.routes.forEach((route) => Reflect.deleteProperty(route, 'schema'))
+
+	// 3. Register the matching routes with the mocked middlewares
+	const pathRoutifier = new PathRoutifier(app, options)
+	const middlewares = options.middlewaresPath ? pathRoutifier.loadMiddlewares(options.middlewaresPath) : {}
+	const mocks = options.middlewares || {}
+	Object.keys(mocks).forEach((name) => setMiddleware(middlewares, name, mocks[name]))
+	app.use(pathRoutifier.routifyFromManifest(manifest, middlewares, resolvedRoutesPath))
+
+	return supertest(app)
+}
+
+/**
+ * @param {Object} options options of the PathRoutifier
+ * @returns {Function} loader that loads method map files as usual and stubs every other module
+ */
+function finderLoader(options) {
+	const parseFileName = conventions.fileNameParser(conventions.resolve(options.conventions), options.extensions || kDefaultExtensions)
+	const load = options.loader || moduleLoader.load
+
+	return function(modulePath) {
+		const fileName = parseFileName(path.basename(modulePath))
+		return fileName && fileName.httpMethod === kMethodMapMethod ? load(modulePath) : stubModule()
+	}
+}
+
+/**
+ * Module exports used in place of every route module while searching for the matching routes.
+ *
+ * @returns {Function} handler factory
+ */
+function stubModule() {
+	return function() {}
+}
+
+/**
+ * @param {String} endpoint express route path
+ * @param {String} requestPath
+ * @returns {Boolean} true if ${endpoint} matches ${requestPath}
+ */
+function endpointMatches(endpoint, requestPath) {
+	return pathToRegexp(endpoint, [], {sensitive: true, strict: true, end: true}).test(requestPath)
+}
+
+/**
+ * @param {Object} middlewares global middlewares tree (see PathRoutifier.loadMiddlewares)
+ * @param {String} name dotted name (e.g. auth.validToken)
+ * @param {Function|Array.<Function>} middleware
+ */
+function setMiddleware(middlewares, name, middleware) {
+	const keys = name.split('.')
+	const lastKey = keys.pop()
+	const ref = keys.reduce((node, key) => {
+		if (!node[key] || typeof node[key] !== 'object' || Array.isArray(node[key]))
+			node[key] = {}
+		return node[key]
+	}, middlewares)
+	ref[lastKey] = middleware
+}
+
+/**
+ * @returns {Function} the supertest module; this is only required when used so that supertest
+ *   remains an optional (development) dependency
+ * @throws {Error} if supertest is not installed
+ */
+function requireSupertest() {
+	try {
+		// eslint-disable-next-line global-require
+		return require('supertest')
+	}
+	catch (error) {
+		if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('\'supertest\''))
+			throw new Error('path-routify/testing requires the supertest package (e.g. npm install --save-dev supertest)')
+		throw error
+	}
+}
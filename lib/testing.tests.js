@@ -0,0 +1,72 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict'
+
+// Core
+const path = require('path')
+
+// Vendor
+const expect = require('chai').expect
+
+// Local
+const testing = require('../testing')
+
+// Constants
+const kTestDataPath = path.resolve(__dirname, '..', 'test-data')
+const kTestRoutingPath = path.resolve(kTestDataPath, 'routing-testing')
+
+describe('testing', function() {
+	describe('route', function() {
+		const middlewares = {
+			'auth.validToken': function(req, res, next) {
+				res.locals.user = 'mock'
+				next()
+			}
+		}
+
+		it('registers the matching route with its route middlewares and mocked middlewares', function() {
+			return testing.route(kTestRoutingPath, '/owners/5', {middlewares})
+				.get('/owners/5')
+				.expect(200, {id: '5', user: 'mock'})
+		})
+
+		it('non-matching route modules are not loaded', function() {
+			expect(function() {
+				testing.route(kTestRoutingPath, '/broken', {middlewares})
+			}).throw(Error, /^Only the modules of the matching routes should be loaded/)
+		})
+
+		it('url without a matching route throws error', function() {
+			expect(function() {
+				testing.route(kTestRoutingPath, '/owners', {middlewares})
+			}).throw(Error, /^No routes beneath .+ match \/owners/)
+		})
+
+		it('inherited error handlers are included', function() {
+			return testing.route(path.resolve(kTestDataPath, 'routing-error-handlers'), '/owners/5')
+				.get('/owners/5')
+				.expect(500, 'owners: get /owners/:id (owner 5)')
+		})
+
+		it('requests are validated against the schema exported by the handler module', function() {
+			return testing.route(path.resolve(kTestDataPath, 'routing-validation'), '/owners?limit=abc')
+				.get('/owners?limit=abc')
+				.expect(400)
+		})
+
+		it('method map files register the matching methods', function() {
+			return testing.route(path.resolve(kTestDataPath, 'routing-verbs'), '/items')
+				.post('/items')
+				.expect(200, 'post /items')
+		})
+
+		it('wildcard routes are only included if requested', function() {
+			return testing.route(kTestRoutingPath, '/wildcard', {middlewares})
+				.get('/wildcard')
+				.expect(200, {wildcard: false})
+				.then(() => testing.route(kTestRoutingPath, '/wildcard', {middlewares, wildcards: true})
+					.get('/wildcard')
+					.expect(200, {wildcard: true}))
+		})
+	})
+})
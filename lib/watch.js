@@ -0,0 +1,165 @@
+'use strict'
+
+// Core
+const fs = require('fs'),
+	path = require('path')
+
+// Local
+const adapters = require('./adapters')
+const dirTools = require('./dir-tools')
+const PathRoutifier = require('./PathRoutifier')
+const routeRoots = require('./route-roots')
+
+// Constants
+const kDefaultDebounceMs = 100
+
+/**
+ * @callback reloadCallback
+ * @param {Error?} error the reason the routes could not be rebuilt (if any)
+ * @param {express.Router?} router the newly built router (if successful)
+ */
+
+/**
+ * Development helper that generates the routes beneath ${routesPath} (and middlewares beneath
+ * options.middlewaresPath) and rebuilds them whenever a file in either tree is added, changed or
+ * removed. The routes are served through a stable dispatcher function that may be mounted once
+ * (e.g. app.use(dispatcher)); each successful rebuild atomically replaces the router behind it.
+ *
+ * Prior to each rebuild, all modules beneath either path are purged from the require cache. If
+ * the rebuild fails (e.g. a syntax error in a handler), the error is logged and the previous
+ * router continues serving requests. Native ES modules cannot be purged and thus are not
+ * reloaded.
+ *
+ * The initial build is performed synchronously and any error is thrown. Only the express adapter
+ * is supported; any other adapter throws an error.
+ *
+ * @param {express} app
+ * @param {String|Array.<RoutesRoot>} routesPath routes directory or array of roots (each of which
+ *   is watched)
+ * @param {Object} [options = {}] also passed to PathRoutifier
+ * @param {String} [options.middlewaresPath] path to all application middlewares
+ * @param {RegExp} [options.ignorePattern] ignore all middleware files matching this regex
+ * @param {Number} [options.debounce = 100] milliseconds to wait for further changes before
+ *   rebuilding
+ * @param {reloadCallback} [options.onReload] called after every rebuild attempt
+ * @returns {Function} express-compatible dispatcher with reload() and close() methods
+ */
+exports.watch = function(app, routesPath, options = {}) {
+	const adapter = adapters.resolve(options.adapter)
+	if (adapter.name !== 'express')
+		throw new Error(`The ${adapter.name} adapter does not support watch`)
+
+	const rootPaths = routeRoots.normalize(routesPath).map((root) => root.path)
+	const watchedPaths = [...rootPaths, options.middlewaresPath].filter((x) => !!x)
+	const debounceMs = typeof options.debounce === 'number' ? options.debounce : kDefaultDebounceMs
+	let router = build(app, routesPath, options)
+	let watchers = []
+	let timer = null
+
+	function dispatcher(req, res, next) {
+		router(req, res, next)
+	}
+
+	/**
+	 * Purges the require cache and rebuilds the router. On failure, the current router is
+	 * retained.
+	 *
+	 * @returns {Boolean} true if the router was replaced; false otherwise
+	 */
+	dispatcher.reload = function() {
+		let newRouter = null
+		try {
+			watchedPaths.forEach(exports.purgeRequireCache)
+			newRouter = build(app, routesPath, options)
+		}
+		catch (error) {
+			if (options.logger)
+				options.logger.error({err: error, path: error.sourcePath}, `Unable to reload routes; continuing with the previous routes: ${error.message}`)
+			if (options.onReload)
+				options.onReload(error, null)
+			return false
+		}
+
+		router = newRouter
+		if (options.logger)
+			options.logger.info(`Reloaded routes: ${rootPaths.join(', ')}`)
+		if (options.onReload)
+			options.onReload(null, router)
+		return true
+	}
+
+	/**
+	 * Stops watching for changes.
+	 */
+	dispatcher.close = function() {
+		clearTimeout(timer)
+		timer = null
+		unwatch()
+	}
+
+	function onChange() {
+		clearTimeout(timer)
+		timer = setTimeout(() => {
+			timer = null
+			// Directories may have been added or removed
+			unwatch()
+			watch()
+			dispatcher.reload()
+		}, debounceMs)
+	}
+
+	function watch() {
+		watchedPaths.forEach((watchedPath) => {
+			try {
+				dirTools.traverseDirectory(watchedPath, (listing) => {
+					const watcher = fs.watch(listing.directory, onChange)
+					// Emitted on some platforms when a watched directory is removed
+					watcher.on('error', onChange)
+					watchers.push(watcher)
+				})
+			}
+			catch (error) {
+				// The directory may have been removed between listing and watching; the next change
+				// will re-attempt
+				if (options.logger)
+					options.logger.error({err: error}, `Unable to watch ${watchedPath}: ${error.message}`)
+			}
+		})
+	}
+
+	function unwatch() {
+		watchers.forEach((watcher) => watcher.close())
+		watchers = []
+	}
+
+	watch()
+
+	return dispatcher
+}
+
+/**
+ * Removes all modules located beneath ${directory} from the require cache.
+ *
+ * @param {String} directory
+ */
+exports.purgeRequireCache = function(directory) {
+	// The require cache is keyed by the real path of each module
+	const prefix = (fs.existsSync(directory) ? fs.realpathSync(directory) : path.resolve(directory)) + path.sep
+	Object.keys(require.cache)
+	.filter((modulePath) => modulePath.startsWith(prefix))
+	.forEach((modulePath) => {
+		Reflect.deleteProperty(require.cache, modulePath)
+	})
+}
+
+/**
+ * @param {express} app
+ * @param {String|Array.<RoutesRoot>} routesPath
+ * @param {Object} options
+ * @returns {express.Router}
+ */
+function build(app, routesPath, options) {
+	const pathRoutifier = new PathRoutifier(app, options)
+	const middlewares = pathRoutifier.loadMiddlewares(options.middlewaresPath, options.ignorePattern)
+	return pathRoutifier.routify(routesPath, middlewares)
+}
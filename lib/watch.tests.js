@@ -0,0 +1,160 @@
+/* eslint-disable no-magic-numbers, no-invalid-this */
+
+'use strict'
+
+// Core
+const fs = require('fs'),
+	os = require('os'),
+	path = require('path')
+
+// Vendor
+const bunyan = require('bunyan')
+const expect = require('chai').expect
+const express = require('express')
+const request = require('supertest')
+
+// Local
+const watch = require('./watch')
+
+const logger = bunyan.createLogger({
+	name: 'watchTester',
+	streams: []
+})
+
+describe('watch', function() {
+	let app = null
+	let routesPath = null
+	let dispatcher = null
+
+	beforeEach(function() {
+		app = express()
+		routesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'path-routify-watch-'))
+		writeHandler(path.join(routesPath, 'get.js'), 'get / (v1)')
+	})
+
+	afterEach(function() {
+		if (dispatcher)
+			dispatcher.close()
+		dispatcher = null
+		removeDirectory(routesPath)
+	})
+
+	it('serves the initial routes', function() {
+		dispatcher = watch.watch(app, routesPath, {logger})
+		app.use(dispatcher)
+
+		return request(app).get('/')
+			.expect(200, 'get / (v1)')
+	})
+
+	it('initial build error throws', function() {
+		fs.writeFileSync(path.join(routesPath, 'post.js'), 'module.exports = []\n')
+
+		expect(function() {
+			dispatcher = watch.watch(app, routesPath, {logger})
+		}).throw(Error)
+	})
+
+	it('non-express adapter throws error', function() {
+		['koa', 'fastify'].forEach((adapter) => {
+			expect(function() {
+				dispatcher = watch.watch(app, routesPath, {logger, adapter})
+			}).throw(Error, `The ${adapter} adapter does not support watch`)
+		})
+	})
+
+	it('reload picks up modified and added files', function() {
+		dispatcher = watch.watch(app, routesPath, {logger})
+		app.use(dispatcher)
+
+		writeHandler(path.join(routesPath, 'get.js'), 'get / (v2)')
+		fs.mkdirSync(path.join(routesPath, '$id'))
+		writeHandler(path.join(routesPath, '$id', 'get.js'), 'get /:id')
+
+		expect(dispatcher.reload()).equal(true)
+
+		return request(app).get('/')
+			.expect(200, 'get / (v2)')
+			.then(() => request(app).get('/5')
+				.expect(200, 'get /:id'))
+	})
+
+	it('reload failure keeps serving the previous routes', function() {
+		const reloadErrors = []
+		dispatcher = watch.watch(app, routesPath, {
+			logger,
+			onReload: (error) => reloadErrors.push(error)
+		})
+		app.use(dispatcher)
+
+		fs.writeFileSync(path.join(routesPath, 'get.js'), 'module.exports = (\n')
+
+		expect(dispatcher.reload()).equal(false)
+		expect(reloadErrors).length(1)
+		expect(reloadErrors[0]).instanceof(SyntaxError)
+
+		return request(app).get('/')
+			.expect(200, 'get / (v1)')
+	})
+
+	it('rebuilds the routes when a file changes', function() {
+		this.timeout(5000)
+
+		return new Promise((resolve, reject) => {
+			dispatcher = watch.watch(app, routesPath, {
+				logger,
+				debounce: 10,
+				onReload: (error) => (error ? reject(error) : resolve())
+			})
+			app.use(dispatcher)
+
+			writeHandler(path.join(routesPath, 'post.js'), 'post /')
+		})
+		.then(() => request(app).post('/')
+			.expect(200, 'post /'))
+	})
+
+	describe('purgeRequireCache', function() {
+		it('removes modules beneath directory from the require cache', function() {
+			const modulePath = path.join(routesPath, 'get.js')
+			require(modulePath) // eslint-disable-line global-require
+			expect(require.cache[modulePath]).a('object')
+
+			watch.purgeRequireCache(routesPath)
+			expect(require.cache[modulePath]).equal(undefined) // eslint-disable-line no-undefined
+		})
+	})
+})
+
+/**
+ * Writes a route handler to ${filePath} which responds with ${message}.
+ *
+ * @param {String} filePath
+ * @param {String} message
+ */
+function writeHandler(filePath, message) {
+	fs.writeFileSync(filePath, `'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send(${JSON.stringify(message)})
+	}
+}
+`)
+}
+
+/**
+ * Recursively removes ${directory} and all of its contents.
+ *
+ * @param {String} directory
+ */
+function removeDirectory(directory) {
+	fs.readdirSync(directory).forEach((fileName) => {
+		const fullPath = path.join(directory, fileName)
+		if (fs.statSync(fullPath).isDirectory())
+			removeDirectory(fullPath)
+		else
+			fs.unlinkSync(fullPath)
+	})
+	fs.rmdirSync(directory)
+}
@@ -0,0 +1,12 @@
+'use strict'
+
+module.exports = {
+	conventions: {
+		middlewarePrefix: '_',
+		paramPrefix: '[',
+		paramSuffix: ']',
+		orderSeparator: '-',
+		starSuffix: '+all',
+		methodPattern: '[a-zA-Z]+'
+	}
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		next()
+	}
+}
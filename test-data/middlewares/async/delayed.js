@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app) {
+	return new Promise((resolve) => setTimeout(resolve, 20))
+		.then(() => function delayed(req, res, next) {
+			res.locals.stack.push('mw:delayed')
+			next()
+		})
+}
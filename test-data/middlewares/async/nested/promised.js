@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app) {
+	return Promise.resolve(function promised(req, res, next) {
+		next()
+	})
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	context.initialized.push('audit')
+	const session = middlewares.auth.session
+	return function audit(req, res, next) {
+		session(req, res, () => {
+			res.locals.stack.push(`audit ${res.locals.user}`)
+			next()
+		})
+	}
+}
+module.exports.dependencies = ['auth.session']
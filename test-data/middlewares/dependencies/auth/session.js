@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	context.initialized.push('auth.session')
+	return function session(req, res, next) {
+		res.locals.user = context.db.user
+		next()
+	}
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app) {
+	return function common(req, res, next) {
+		next()
+	}
+}
@@ -0,0 +1,6 @@
+export default function(app) {
+	return function defaultExport(req, res, next) {
+		res.locals.stack.push('mw:defaultExport')
+		next()
+	}
+}
@@ -0,0 +1,6 @@
+// Plain JavaScript is valid TypeScript; this file is loaded via a custom loader in the tests
+module.exports = function(app) {
+	return function hasAccount(req, res, next) {
+		next()
+	}
+}
@@ -0,0 +1,31 @@
+'use strict'
+
+function get(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send('get /items')
+	}
+}
+get.meta = {summary: 'List items'}
+get.schema = {
+	query: {
+		type: 'object',
+		properties: {
+			limit: {type: 'integer'}
+		}
+	}
+}
+
+function post(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send('post /items')
+	}
+}
+post.meta = {summary: 'Create an item'}
+post.schema = {
+	body: {
+		type: 'object',
+		required: ['name']
+	}
+}
+
+module.exports = {get, post}
@@ -0,0 +1,24 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send({id: req.params.id})
+	}
+}
+
+module.exports.meta = {
+	summary: 'Fetch an owner',
+	tags: ['owners'],
+	parameters: [
+		{
+			name: 'id',
+			in: 'path',
+			schema: {type: 'integer'}
+		},
+		{
+			name: 'fields',
+			in: 'query',
+			schema: {type: 'string'}
+		}
+	]
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.status(201).send(req.body)
+	}
+}
+
+module.exports.meta = {
+	summary: 'Create an owner',
+	tags: ['owners'],
+	requestBody: {
+		required: true,
+		content: {
+			'application/json': {
+				schema: {
+					type: 'object',
+					properties: {
+						name: {type: 'string'}
+					}
+				}
+			}
+		}
+	},
+	responses: {
+		201: {
+			description: 'Created owner'
+		}
+	}
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return new Promise((resolve) => setTimeout(resolve, 20))
+		.then(() => function(req, res, next) {
+			res.locals.stack = ['all ^all']
+			next()
+		})
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return new Promise((resolve) => setTimeout(resolve, 10))
+		.then(() => function(req, res, next) {
+			res.locals.stack.push('get /')
+			res.send(res.locals.stack)
+		})
+}
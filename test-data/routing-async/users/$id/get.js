@@ -0,0 +1,11 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return Promise.resolve([
+		middlewares.delayed,
+		function(req, res, next) {
+			res.locals.stack.push(`get /users/${req.params.id}`)
+			res.send(res.locals.stack)
+		}
+	])
+}
@@ -0,0 +1,11 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return [
+		middlewares.audit,
+		function(req, res) {
+			res.locals.stack.push(`get / ${context.config.name}`)
+			res.json(res.locals.stack)
+		}
+	]
+}
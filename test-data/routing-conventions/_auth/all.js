@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		res.locals.stack.push('_auth/all.js')
+		next()
+	}
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		res.json([...res.locals.stack, `files/[[path]]/get.js ${req.params.path}`])
+	}
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		res.locals.stack.push('owners/1-get.js')
+		res.json(res.locals.stack)
+	}
+}
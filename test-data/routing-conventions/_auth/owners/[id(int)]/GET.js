@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		res.locals.stack.push(`owners/[id(int)]/GET.js ${req.params.id}`)
+		res.json(res.locals.stack)
+	}
+}
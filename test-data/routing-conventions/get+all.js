@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		res.locals.stack = ['get+all.js']
+		next()
+	}
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = {
+	middlewares: ['auth.hasAccount'],
+	handler(req, res, next) {
+		res.locals.stack.push('^get')
+		next()
+	}
+}
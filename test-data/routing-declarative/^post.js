@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function jsonBody(req, res, next) {
+		res.locals.stack.push('^post')
+		next()
+	}
+}
@@ -0,0 +1,16 @@
+'use strict'
+
+module.exports = {
+	default: {
+		handler: [
+			function(req, res, next) {
+				res.locals.stack.push('get / (1)')
+				next()
+			},
+			function(req, res, next) {
+				res.locals.stack.push('get / (2)')
+				res.send(res.locals.stack)
+			}
+		]
+	}
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+module.exports = {
+	middlewares: ['auth.hasAccount', 'audit'],
+	skipUpstream: ['jsonBody'],
+	handler(req, res, next) {
+		res.locals.stack.push('post /')
+		res.send(res.locals.stack)
+	},
+	meta: {
+		summary: 'Declarative handler'
+	}
+}
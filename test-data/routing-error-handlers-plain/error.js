@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(error, req, res, next) {
+		res.status(418).json({message: 'error.js'})
+	}
+}
@@ -0,0 +1,10 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(req, res, next) {
+		if (req.query.token)
+			next()
+		else
+			next(new Error('unauthorized'))
+	}
+}
@@ -0,0 +1,10 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(error, req, res, next) {
+		if (error.message === 'unauthorized')
+			res.status(401).json({error: 'Please sign in'})
+		else
+			next(error)
+	}
+}
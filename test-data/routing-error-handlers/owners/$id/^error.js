@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(error, req, res, next) {
+		error.message += ` (owner ${req.params.id})`
+		next(error)
+	}
+}
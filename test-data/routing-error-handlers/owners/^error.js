@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function(error, req, res, next) {
+		res.status(500).send(`owners: ${error.message}`)
+	}
+}
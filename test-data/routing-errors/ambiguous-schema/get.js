@@ -0,0 +1,11 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send('ambiguous')
+	}
+}
+
+module.exports.schema = {
+	query: {type: 'object'}
+}
@@ -0,0 +1,5 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return Promise.reject(new Error('unable to connect'))
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares) {
+	return function formatError(error, req, res) {
+		res.status(500).send(error.message)
+	}
+}
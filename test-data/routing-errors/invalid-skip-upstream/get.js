@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	skipUpstream: ['jsonBody'],
+	handler(req, res, next) {
+		res.send('invalid')
+	}
+}
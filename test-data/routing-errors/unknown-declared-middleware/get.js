@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+	middlewares: ['auth.doesNotExist'],
+	handler(req, res, next) {
+		res.send('unknown')
+	}
+}
@@ -0,0 +1,6 @@
+export default function(app, middlewares) {
+	return function(req, res, next) {
+		res.locals.stack = ['all ^all.mjs']
+		next()
+	}
+}
@@ -0,0 +1,9 @@
+export default function(app, middlewares, routeMiddlewares) {
+	return [
+		middlewares.defaultExport,
+		function(req, res, next) {
+			res.locals.stack.push('get / (mjs)')
+			res.send(res.locals.stack)
+		}
+	]
+}
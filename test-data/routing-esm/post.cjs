@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.locals.stack.push('post / (cjs)')
+		res.send(res.locals.stack)
+	}
+}
@@ -0,0 +1,10 @@
+'use strict'
+
+// Equivalent of a transpiled ES module with a default export
+Object.defineProperty(exports, '__esModule', {value: true})
+exports.default = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.locals.stack.push('get /users (default export)')
+		res.send(res.locals.stack)
+	}
+}
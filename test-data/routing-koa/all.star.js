@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(ctx, next) {
+		ctx.state.stack = ['all /*']
+		return next()
+	}
+}
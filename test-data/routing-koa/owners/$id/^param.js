@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(id, ctx, next) {
+		ctx.state.stack.push(`param ${id}`)
+		return next()
+	}
+}
@@ -0,0 +1,11 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return [
+		middlewares.jsonBody,
+		function(ctx, next) {
+			ctx.state.stack.push('post /skills')
+			ctx.body = ctx.state.stack
+		}
+	]
+}
@@ -0,0 +1,18 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	context.loaded.push('get /owners/$id')
+	return function(req, res, next) {
+		res.locals.stack.push(`get /owners/${req.params.id}`)
+		res.json(res.locals.stack)
+	}
+}
+
+module.exports.schema = {
+	params: {
+		type: 'object',
+		properties: {
+			id: {type: 'integer'}
+		}
+	}
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	context.loaded.push('get /owners')
+	return function(req, res, next) {
+		res.locals.stack.push('get /owners')
+		res.json(res.locals.stack)
+	}
+}
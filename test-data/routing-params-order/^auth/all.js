@@ -0,0 +1,13 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next) {
+		context.calls.push('^auth')
+		if (!req.get('authorization')) {
+			res.sendStatus(401)
+			return
+		}
+
+		next()
+	}
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next) {
+		context.calls.push('^get')
+		next()
+	}
+}
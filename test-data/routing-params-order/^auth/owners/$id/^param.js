@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next, id) {
+		context.calls.push(`owner ${id}`)
+		next()
+	}
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next) {
+		res.json(context.calls)
+	}
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next, id) {
+		context.calls.push(`dog ${id}`)
+		req.dog = `dog ${id}`
+		next()
+	}
+}
@@ -0,0 +1,16 @@
+'use strict'
+
+const kOwners = {1: 'Luke'}
+
+module.exports = function(app, middlewares, routeMiddlewares, context) {
+	return function(req, res, next, id) {
+		context.calls.push(`owner ${id}`)
+		if (!kOwners[id]) {
+			res.status(404).json({message: `owner ${id} not found`})
+			return
+		}
+
+		req.owner = kOwners[id]
+		next()
+	}
+}
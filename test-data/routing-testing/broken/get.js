@@ -0,0 +1,3 @@
+'use strict'
+
+throw new Error('Only the modules of the matching routes should be loaded')
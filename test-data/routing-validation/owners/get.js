@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = function(app, middlewares, routeMiddlewares) {
+	return function(req, res, next) {
+		res.send({limit: req.query.limit})
+	}
+}
+
+module.exports.schema = {
+	query: {
+		type: 'object',
+		required: ['limit'],
+		properties: {
+			limit: {type: 'integer', maximum: 100}
+		}
+	},
+	headers: {
+		type: 'object',
+		properties: {
+			'x-api-version': {type: 'string', enum: ['1']}
+		}
+	}
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+module.exports = {
+	get: function(app, middlewares, routeMiddlewares) {
+		return function(req, res, next) {
+			res.send('get /items')
+		}
+	},
+	post: function(app, middlewares, routeMiddlewares) {
+		return function(req, res, next) {
+			res.send('post /items')
+		}
+	},
+	report: function(app, middlewares, routeMiddlewares) {
+		return function(req, res, next) {
+			res.send('report /items')
+		}
+	}
+}
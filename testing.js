@@ -0,0 +1,12 @@
+'use strict'
+
+/**
+ * Test harness that registers only the routes (and their inherited route middlewares) matching a
+ * URL with an express application (see lib/testing.js for details).
+ *
+ * const testing = require('path-routify/testing')
+ * testing.route(routesPath, '/owners/5', {middlewares: {'auth.validToken': mock}})
+ * 	.get('/owners/5')
+ * 	.expect(200)
+ */
+module.exports = require('./lib/testing')